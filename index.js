@@ -5,40 +5,121 @@ import { WebSocketServer } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import { createClient } from '@supabase/supabase-js';
 import 'dotenv/config';
+import { validateGameSettings } from './src/settings.js';
+import { reduce, createInitialGameState, stateForPlayer, isKicked } from './src/auction/engine.js';
+import { createCricketerProvider, loadCricketers } from './src/cricketers/index.js';
+import { createSnapshotStore } from './src/snapshots/index.js';
+import { createAuctionArchive } from './src/history/archive.js';
+import { auctionLogToJson, auctionLogToCsv } from './src/history/export.js';
+import { replayAuctionLog } from './src/history/replay.js';
+import { createStatsStore } from './src/stats/index.js';
+import { historyEntry, lifetimeStats, compareForLeaderboard } from './src/stats/records.js';
+import { createSessionTokens } from './src/auth/sessionTokens.js';
+import { createAccountVerifier } from './src/auth/accounts.js';
+import { parseClientMessage, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from './src/protocol/schemas.js';
+import { ERROR_CODES, errorMessage } from './src/protocol/errors.js';
+import { createStateSync } from './src/protocol/stateSync.js';
+import { createTokenBucket, createKeyedLimiter } from './src/protocol/rateLimits.js';
+import { logger } from './src/logger.js';
+import { createMetrics } from './src/admin/metrics.js';
+import { createAdminRouter } from './src/admin/routes.js';
+import { createBus, createRoomBus } from './src/cluster/index.js';
+import { createScheduler } from './src/scheduler.js';
+import { createRoomChat, handleChatAction } from './src/chat/chatRoom.js';
+import { publicListing, sortListings, quickMatchCandidates } from './src/matchmaking/publicRooms.js';
 
 // --- Constants ---
+// Game rules (budget, timers, squad size, quotas, bid increments) are per-room settings, see src/settings.js.
 const PORT = process.env.PORT || 8080;
-const STARTING_BUDGET = 10000;
-const TURN_DURATION_SECONDS = 7;
-const ROUND_OVER_DURATION_MS = 2500;
-const PRE_AUCTION_DURATION_SECONDS = 10;
-const PRE_ROUND_DURATION_SECONDS = 7;
-const PLAYER_BREAK_DURATION_SECONDS = 5;
-const MAX_PLAYERS_PER_ROOM = 4;
-const MAX_SQUAD_SIZE = 8;
+// How long a disconnected player keeps their seat, squad and budget before being removed.
+const RECONNECT_GRACE_PERIOD_SECONDS = process.env.RECONNECT_GRACE_PERIOD_SECONDS !== undefined
+  ? Number(process.env.RECONNECT_GRACE_PERIOD_SECONDS)
+  : 60;
+// How long a room's owner instance can go silent before another instance takes the room over.
+const ROOM_LEASE_SECONDS = Number(process.env.ROOM_LEASE_SECONDS) || 10;
+// Every socket is pinged this often; one that hasn't answered the previous ping is closed.
+const HEARTBEAT_INTERVAL_SECONDS = Number(process.env.HEARTBEAT_INTERVAL_SECONDS) || 15;
+// Larger messages close the socket (close code 1009).
+const MAX_MESSAGE_BYTES = Number(process.env.MAX_MESSAGE_BYTES) || 16 * 1024;
+// Larger cricketer list uploads (PUT /rooms/:roomCode/pool) are refused with a 413.
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 512 * 1024;
+// Archived auction logs can be exported and replayed for this long.
+const AUCTION_LOG_TTL_HOURS = Number(process.env.AUCTION_LOG_TTL_HOURS) || 24;
+// How long an HTTP request that acts on a room waits for the room's owner to answer.
+const OWNER_REPLY_TIMEOUT_MS = 5000;
+// Token-bucket limits: a steady rate per second, plus a burst allowance.
+const SOCKET_MESSAGES_PER_SECOND = Number(process.env.SOCKET_MESSAGES_PER_SECOND) || 10;
+const SOCKET_MESSAGE_BURST = Number(process.env.SOCKET_MESSAGE_BURST) || 20;
+const IP_MESSAGES_PER_SECOND = Number(process.env.IP_MESSAGES_PER_SECOND) || 40;
+const IP_MESSAGE_BURST = Number(process.env.IP_MESSAGE_BURST) || 80;
+const IP_ROOMS_PER_MINUTE = Number(process.env.IP_ROOMS_PER_MINUTE) || 5;
+// A socket that keeps sending after being told it is over the limit is closed once it has
+// had this many messages refused (recovering one per second).
+const FLOOD_STRIKES = 30;
+// Behind a reverse proxy, take the client's address from X-Forwarded-For.
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+// Kicks also ban the address the player connected from. Opt-in, and only with TRUST_PROXY:
+// otherwise everyone behind the proxy shares its address, and one kick would turn them all away.
+const BAN_KICKED_ADDRESSES = process.env.BAN_KICKED_ADDRESSES === 'true' && TRUST_PROXY;
+if (process.env.BAN_KICKED_ADDRESSES === 'true' && !TRUST_PROXY) logger.warn('BAN_KICKED_ADDRESSES needs TRUST_PROXY=true; kicks will only ban ids and accounts.');
 
 // --- Supabase Setup ---
+// Supabase is optional when cricketers come from a local file (CRICKETER_SOURCE=file).
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error("Supabase URL or Anon Key is missing. Make sure to set SUPABASE_URL and SUPABASE_ANON_KEY environment variables.");
+const supabase = supabaseUrl && supabaseAnonKey ? createClient(supabaseUrl, supabaseAnonKey) : null;
+
+// Session tokens prove which player a socket is. Set SESSION_SECRET so they survive restarts.
+if (!process.env.SESSION_SECRET) logger.warn('SESSION_SECRET is not set; players will not be able to reconnect after a restart.');
+// A token outlives its last refresh by the reconnect window, plus the time it can take to
+// notice a dead socket (two heartbeats) and the heartbeat between refreshes.
+const sessionTokens = createSessionTokens(process.env.SESSION_SECRET || undefined, {
+  maxAgeMs: (RECONNECT_GRACE_PERIOD_SECONDS + 3 * HEARTBEAT_INTERVAL_SECONDS) * 1000,
+});
+// Verifies optional Supabase auth JWTs so players can be linked to accounts. Null when unavailable.
+const verifyAccount = createAccountVerifier(process.env, supabase);
+
+let cricketerProvider;
+let snapshotStore;
+let statsStore;
+let bus;
+try {
+  cricketerProvider = createCricketerProvider(process.env, supabase);
+  snapshotStore = createSnapshotStore(process.env, supabase);
+  statsStore = createStatsStore(process.env, supabase);
+  bus = createBus(process.env);
+} catch (error) {
+  logger.error(error.message);
   process.exit(1);
 }
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
 
 // --- In-Memory State ---
-// This will hold all active game rooms.
-// rooms = { 'ROOM_CODE': { gameState: {...}, clients: { 'sessionId': ws }, turnTimer: Timeout } }
+// This will hold the rooms this instance owns or has sockets in.
+// rooms = { 'ROOM_CODE': { gameState: {...}, clients: { 'playerId': ws }, syncs: { 'playerId': StateSync|null }, scheduler: Scheduler, snapshotQueue: Promise } }
 const rooms = {};
+// Open sockets on this instance by connection id, so replies from a room's owner can find them.
+const connections = new Map();
+// HTTP requests on this instance waiting for a room owner's reply, by the id they use in place of a connection id.
+const pendingHttpReplies = new Map();
+// Shares rooms with other instances; with the default memory bus this instance owns every room.
+const roomBus = createRoomBus(bus, { leaseMs: ROOM_LEASE_SECONDS * 1000 });
 let cricketersMasterList = [];
+// Event logs of finished and abandoned auctions, kept on the bus so any instance can export them.
+const auctionArchive = createAuctionArchive(bus, { ttlMs: AUCTION_LOG_TTL_HOURS * 60 * 60 * 1000 });
+// Results are saved one at a time, so two auctions ending together can't race on a player's totals.
+let statsQueue = Promise.resolve();
+const metrics = createMetrics();
+// Limits shared by every socket from the same address.
+const ipMessageLimiter = createKeyedLimiter({ capacity: IP_MESSAGE_BURST, refillPerSecond: IP_MESSAGES_PER_SECOND });
+const roomCreationLimiter = createKeyedLimiter({ capacity: IP_ROOMS_PER_MINUTE, refillPerSecond: IP_ROOMS_PER_MINUTE / 60 });
 
 // --- Helper Functions ---
 
 /**
- * Generates a random 6-character uppercase room code.
+ * Generates a random 6-character uppercase room code and reserves it on the room bus,
+ * so no other instance can hand out the same code.
  */
-const generateRoomCode = () => {
+const generateRoomCode = async () => {
   let code;
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
   do {
@@ -46,7 +127,7 @@ const generateRoomCode = () => {
     for (let i = 0; i < 6; i++) {
       code += chars.charAt(Math.floor(Math.random() * chars.length));
     }
-  } while (rooms[code]); // Ensure code is unique
+  } while (rooms[code] || !(await roomBus.reserveCode(code))); // Ensure code is unique
   return code;
 };
 
@@ -69,640 +150,1057 @@ const broadcast = (roomCode, message) => {
 };
 
 /**
- * A more specific broadcast function for game state updates.
- * @param {string} roomCode The code of the room.
+ * Sends one client its view of the room's state. Protocol 1 clients get the whole state as
+ * `type`; protocol 2 clients get a snapshot as `type`, or for GAME_STATE_UPDATE a patch
+ * against what they last saw (see src/protocol/stateSync.js).
+ * @param {(message: object) => void} send Where the messages go.
  */
-const broadcastGameState = (roomCode) => {
+const sendGameState = (roomCode, sessionId, send, type = 'GAME_STATE_UPDATE') => {
   const room = rooms[roomCode];
-  if (room && room.gameState) {
-    broadcast(roomCode, {
-      type: 'GAME_STATE_UPDATE',
-      payload: room.gameState
-    });
+  const view = stateForPlayer(room.gameState, sessionId);
+  const sync = room.syncs[sessionId];
+  if (!sync) {
+    send({ type, payload: view });
+    return;
   }
+  const messages = type === 'GAME_STATE_UPDATE' ? sync.update(view) : sync.snapshot(view, type);
+  messages.forEach(send);
 };
 
 /**
- * Calculates the bid increment based on the current bid amount.
+ * A more specific broadcast function for game state updates. Each client gets
+ * its own view, so private fields like proxy bid ceilings stay private.
+ * @param {string} roomCode The code of the room.
  */
-const getBidIncrement = (bid) => {
-    if (bid < 100) return 5;
-    if (bid < 200) return 10;
-    if (bid < 500) return 20;
-    return 25;
+const broadcastGameState = (roomCode) => {
+  const room = rooms[roomCode];
+  if (!room || !room.gameState) return;
+
+  for (const sessionId in room.clients) {
+    const client = room.clients[sessionId];
+    if (client.readyState === client.OPEN) {
+      sendGameState(roomCode, sessionId, message => client.send(JSON.stringify(message)));
+    }
+  }
 };
 
+// --- Cricketer Data ---
+
 /**
- * Shuffles an array in place.
- * @param {Array} array The array to shuffle.
+ * (Re)loads the master list of cricketers from the configured provider.
+ * Rooms that already drew their pool keep it; new draws use the fresh list.
+ * If the load fails the previous list is kept and the error is rethrown.
+ * @returns {Promise<number>} How many cricketers were loaded.
  */
-const shuffleArray = (array) => {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
+const reloadCricketers = async () => {
+  logger.info('Fetching cricketers.', { source: cricketerProvider.name });
+  try {
+    const cricketers = await loadCricketers(cricketerProvider);
+    cricketersMasterList = cricketers;
+    logger.info('Fetched cricketers.', { count: cricketersMasterList.length });
+    return cricketersMasterList.length;
+  } catch (error) {
+    logger.error('Error fetching cricketers.', { error });
+    throw error;
   }
 };
 
+// --- Engine Adapter ---
+// The game rules live in src/auction/engine.js. This layer feeds it actions and carries
+// out the effects it returns: sending messages, arming timers and deleting empty rooms.
+//
+// Every room has one owner instance (see src/cluster/roomBus.js). Only the owner runs the
+// engine, its timers and the reconnect windows; it publishes each dispatch so every instance
+// with sockets in the room, itself included, can deliver the messages to its own clients.
+// Other instances keep a copy of the state that they update from what the owner publishes.
+
 /**
- * Maps database-specific role names to the application's standard role names.
- * This is now case-insensitive to handle variations like 'Batter' vs 'batter'.
- * @param {string} dbRole The role name from the database (e.g., 'Batter', 'wk').
- * @returns {string} The application-standard role name (e.g., 'Batsman', 'Wicket-Keeper').
+ * Registers a room around a game state.
  */
-const mapDbRoleToGameRole = (dbRole) => {
-  if (typeof dbRole !== 'string') {
-    return 'Unknown'; 
-  }
-  const lowerCaseRole = dbRole.toLowerCase();
-  switch (lowerCaseRole) {
-    case 'batter':
-      return 'Batsman';
-    case 'wk':
-      return 'Wicket-Keeper';
-    case 'bowler':
-      return 'Bowler';
-    case 'all-rounder':
-      return 'All-Rounder';
-    default:
-      return dbRole; // Fallback for any roles that already match
-  }
+const addRoom = (gameState, createdAt = Date.now()) => {
+    rooms[gameState.roomCode] = {
+        gameState, createdAt, clients: {}, syncs: {}, chat: createRoomChat(), scheduler: createScheduler(), snapshotQueue: Promise.resolve(),
+    };
+    return rooms[gameState.roomCode];
 };
 
+/**
+ * Attaches a client's socket to its seat. Protocol 2 clients start a fresh state sync,
+ * so the next state they are sent is a full snapshot.
+ */
+const attachClient = (room, playerId, ws, protocolVersion) => {
+    room.clients[playerId] = ws;
+    room.syncs[playerId] = protocolVersion >= 2 ? createStateSync() : null;
+};
 
-// --- Core Game Logic Functions ---
+const detachClient = (room, playerId) => {
+    delete room.clients[playerId];
+    delete room.syncs[playerId];
+};
 
 /**
- * Fetches the master list of cricketers from Supabase.
+ * Cancels the timers an owner runs for a room: the engine's and the reconnect windows.
  */
-const fetchCricketers = async () => {
-  if (cricketersMasterList.length > 0) return;
-  console.log("Fetching cricketers from Supabase...");
-  const { data, error } = await supabase.from('cricketers').select('*');
-  if (error) {
-    console.error("Error fetching cricketers:", error);
-    return;
-  }
-  // Map Supabase columns to our Cricketer type, using the corrected mapping function
-  cricketersMasterList = data.map(c => ({
-    id: c.id,
-    name: c.Name,
-    role: mapDbRoleToGameRole(c.ROLE),
-    basePrice: c.base_price,
-    image: c.image,
-    overall: c.OVR,
-    battingOVR: c['Batting OVR'],
-    bowlingOVR: c['Bowling OVR'],
-    fieldingOVR: c['Fielding OVR'],
-  }));
-  console.log(`Fetched ${cricketersMasterList.length} cricketers.`);
+const stopTimers = (room) => {
+    room.scheduler.cancelAll();
 };
 
 /**
- * Creates the initial state for a new game.
+ * Forgets a room on this instance: lets its sockets know it is gone and stops listening to it.
  */
-const createInitialGameState = (roomCode, hostSessionId, hostPlayerName) => {
-  const hostPlayer = {
-    id: hostSessionId,
-    name: hostPlayerName,
-    budget: STARTING_BUDGET,
-    squad: [],
-    isHost: true,
-    isReady: true, // Host is always ready
-    readyForAuction: true,
-  };
+const closeLocalRoom = (roomCode) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+    logger.info('Closing room.', { roomCode });
+    // Let anyone still watching know the room is gone.
+    broadcast(roomCode, errorMessage(ERROR_CODES.ROOM_CLOSED, 'The room has closed.', true));
+    stopTimers(room);
+    delete rooms[roomCode];
+    roomBus.unwatch(roomCode).catch(error => logger.error('Failed to unsubscribe from room.', { roomCode, error }));
+};
 
-  return {
-    gameStatus: 'LOBBY',
-    roomCode: roomCode,
-    players: [hostPlayer],
-    auctionPool: [],
-    subPools: {},
-    subPoolOrder: [],
-    cricketersMasterList: [],
-    currentPlayerForAuction: null,
-    auctionHistory: [],
-    currentBid: 0,
-    highestBidderId: null,
-    activePlayerId: '',
-    masterBiddingOrder: [],
-    biddingOrder: [],
-    startingPlayerIndex: 0,
-    playersInRound: [],
-    lastActionMessage: `Room created by ${hostPlayerName}.`,
-    isLoading: false,
-    currentSubPoolName: '',
-    currentSubPoolPlayers: [],
-    nextSubPoolName: '',
-    nextSubPoolPlayers: [],
-    currentSubPoolOrderIndex: 0,
-    currentPlayerInSubPoolIndex: -1,
-    // New state for unsold players
-    unsoldPool: [],
-    isSecondRound: false,
-  };
+/**
+ * Drops this instance's copy of a room it neither owns nor has sockets in.
+ */
+const releaseIfIdle = (roomCode) => {
+    const room = rooms[roomCode];
+    if (!room || roomBus.isOwner(roomCode) || Object.keys(room.clients).length > 0) return;
+    delete rooms[roomCode];
+    roomBus.unwatch(roomCode).catch(error => logger.error('Failed to unsubscribe from room.', { roomCode, error }));
 };
 
 /**
- * Resets a room's game state to the lobby, keeping players.
+ * Saves the owner's state where other instances can take it over from, and queues a
+ * snapshot of it. Saves for one room run in order, so an older state can never overwrite a newer one.
  */
-const resetGameForLobby = (roomCode) => {
+const saveSnapshot = (roomCode) => {
     const room = rooms[roomCode];
     if (!room) return;
 
-    // Preserve players, but reset their game-specific stats
-    const preservedPlayers = room.gameState.players.map(p => ({
-        ...p,
-        budget: STARTING_BUDGET,
-        squad: [],
-        isReady: p.isHost, // Only host is ready by default
-        readyForAuction: p.isHost,
-    }));
-
-    const host = preservedPlayers.find(p => p.isHost);
-    if (!host) {
-        console.error(`Could not find host to reset room ${roomCode}`);
-        return;
-    }
-
-    // Create a fresh state, then overwrite players
-    const freshState = createInitialGameState(roomCode, host.id, host.name);
-    
-    room.gameState = {
-        ...freshState,
-        players: preservedPlayers,
-        lastActionMessage: 'Returned to lobby. The host can draw players for a new game.'
-    };
+    const saved = { gameState: room.gameState, createdAt: room.createdAt };
+    roomBus.saveState(roomCode, saved).catch(error => logger.error('Failed to share room state.', { roomCode, error }));
+    if (!snapshotStore) return;
+    const snapshot = { ...saved, savedAt: Date.now() };
+    room.snapshotQueue = room.snapshotQueue
+        .then(() => snapshotStore.save(roomCode, snapshot))
+        .catch(error => logger.error('Failed to snapshot room.', { roomCode, error }));
 };
 
 /**
- * Draws players based on specific role quotas and creates tiered sub-pools.
+ * Subscribes this instance to a room's messages on the bus.
  */
-const drawPlayersLogic = (roomCode) => {
-    const room = rooms[roomCode];
-    if (!room) return;
+const watchRoom = (roomCode) => roomBus.watch(roomCode, {
+    onAction: (action, origin) => handleAction(roomCode, action, origin),
+    onDispatch: (result) => applyDispatch(roomCode, result),
+    presentPlayers: () => Object.keys(rooms[roomCode]?.clients ?? {}),
+    onAdopt: (saved, connectedIds) => adoptRoom(roomCode, saved, connectedIds),
+    onLeaseLost: () => {
+        logger.warn('Lost the lease on a room; another instance will take it over.', { roomCode });
+        if (rooms[roomCode]) stopTimers(rooms[roomCode]);
+        releaseIfIdle(roomCode);
+    },
+});
 
-    const allBatsmen = cricketersMasterList.filter(p => p.role === 'Batsman');
-    const allBowlers = cricketersMasterList.filter(p => p.role === 'Bowler');
-    const allAllRounders = cricketersMasterList.filter(p => p.role === 'All-Rounder');
-    const allWicketKeepers = cricketersMasterList.filter(p => p.role === 'Wicket-Keeper');
+/**
+ * Makes sure this instance has a copy of a room, loading it from the bus if another
+ * instance owns it.
+ * @returns {Promise<object|null>} The local room, or null if the room doesn't exist.
+ */
+const openRoom = async (roomCode) => {
+    if (rooms[roomCode]) return rooms[roomCode];
+    if (!(await roomBus.exists(roomCode))) return null;
+    await watchRoom(roomCode);
+    const saved = await roomBus.loadState(roomCode);
+    if (rooms[roomCode]) return rooms[roomCode];
+    if (!saved) {
+        await roomBus.unwatch(roomCode);
+        return null;
+    }
+    return addRoom(saved.gameState, saved.createdAt);
+};
 
-    const quotas = {
-        Batsman: 17, Bowler: 15, 'All-Rounder': 20, 'Wicket-Keeper': 8
-    };
+/**
+ * Rehydrates rooms from the snapshot store after a restart. Every player gets the
+ * usual reconnect window to rejoin with their session token. Rooms another instance
+ * is already running are left to it.
+ */
+const restoreRooms = async () => {
+    if (!snapshotStore) return;
 
-    const errors = [];
-    if (allBatsmen.length < quotas.Batsman) errors.push(`need ${quotas.Batsman} batsmen, found ${allBatsmen.length}`);
-    if (allBowlers.length < quotas.Bowler) errors.push(`need ${quotas.Bowler} bowlers, found ${allBowlers.length}`);
-    if (allAllRounders.length < quotas['All-Rounder']) errors.push(`need ${quotas['All-Rounder']} all-rounders, found ${allAllRounders.length}`);
-    if (allWicketKeepers.length < quotas['Wicket-Keeper']) errors.push(`need ${quotas['Wicket-Keeper']} wicket-keepers, found ${allWicketKeepers.length}`);
-
-    if (errors.length > 0) {
-        const errorMessage = `Cannot draw players, insufficient numbers in database: ${errors.join(', ')}.`;
-        console.error(errorMessage);
-        broadcast(roomCode, { type: 'ERROR', payload: { message: errorMessage, fatal: false } });
-        room.gameState.lastActionMessage = `Error: ${errorMessage}`;
+    let snapshots;
+    try {
+        snapshots = await snapshotStore.loadAll();
+    } catch (error) {
+        logger.error('Failed to load room snapshots.', { error });
         return;
     }
 
-    shuffleArray(allBatsmen);
-    shuffleArray(allBowlers);
-    shuffleArray(allAllRounders);
-    shuffleArray(allWicketKeepers);
-
-    const selectedBatsmen = allBatsmen.slice(0, quotas.Batsman);
-    const selectedBowlers = allBowlers.slice(0, quotas.Bowler);
-    const selectedAllRounders = allAllRounders.slice(0, quotas['All-Rounder']);
-    const selectedWicketKeepers = allWicketKeepers.slice(0, quotas['Wicket-Keeper']);
-
-    const sortByOverall = (a, b) => b.overall - a.overall;
-    selectedBatsmen.sort(sortByOverall);
-    selectedBowlers.sort(sortByOverall);
-    selectedAllRounders.sort(sortByOverall);
-    selectedWicketKeepers.sort(sortByOverall);
-
-    const subPools = {
-        "Batsmen 1": selectedBatsmen.slice(0, 8), "Batsmen 2": selectedBatsmen.slice(8, 17),
-        "Bowlers 1": selectedBowlers.slice(0, 7), "Bowlers 2": selectedBowlers.slice(7, 15),
-        "All-Rounders 1": selectedAllRounders.slice(0, 6), "All-Rounders 2": selectedAllRounders.slice(6, 13), "All-Rounders 3": selectedAllRounders.slice(13, 20),
-        "Wicket-Keepers": selectedWicketKeepers,
-    };
+    let restored = 0;
+    for (const { gameState, createdAt, savedAt } of snapshots) {
+        if (!gameState?.roomCode || rooms[gameState.roomCode]) continue;
+        if (!(await roomBus.claim(gameState.roomCode))) continue;
+        await roomBus.reserveCode(gameState.roomCode);
+        addRoom(gameState, createdAt ?? savedAt);
+        await watchRoom(gameState.roomCode);
+        dispatch(gameState.roomCode, { type: 'ROOM_RESTORED' });
+        restored++;
+    }
+    logger.info('Restored rooms.', { count: restored, store: snapshotStore.name });
+};
+
+/**
+ * Carries on a room whose owner stopped renewing its lease. `saved` is the state it last shared.
+ */
+const adoptRoom = (roomCode, saved, connectedIds) => {
+    if (!saved) {
+        closeLocalRoom(roomCode);
+        roomBus.removeRoom(roomCode).catch(() => {});
+        return;
+    }
+    logger.warn('Taking over room from another instance.', { roomCode, connected: connectedIds.length });
+    const room = rooms[roomCode] ?? addRoom(saved.gameState, saved.createdAt);
+    room.gameState = saved.gameState;
+    dispatch(roomCode, { type: 'ROOM_ADOPTED', payload: { connectedIds } });
+};
 
-    const subPoolOrder = [
-        "Batsmen 1", "Bowlers 1", "All-Rounders 1", "Wicket-Keepers",
-        "Batsmen 2", "All-Rounders 2", "Bowlers 2", "All-Rounders 3",
-    ];
+/**
+ * Sends an action to the room's owner, wherever it is.
+ * @param {object|null} [origin] Where REPLY effects go (see originOf).
+ */
+const submit = (roomCode, action, origin = null) => roomBus.sendAction(roomCode, action, origin)
+    .catch(error => logger.error('Failed to send action to room owner.', { roomCode, type: action.type, error }));
 
-    room.gameState.auctionPool = [...selectedBatsmen, ...selectedBowlers, ...selectedAllRounders, ...selectedWicketKeepers];
-    room.gameState.subPools = subPools;
-    room.gameState.subPoolOrder = subPoolOrder;
-    room.gameState.gameStatus = 'AUCTION_POOL_VIEW';
-    room.gameState.lastActionMessage = "Auction pool has been drawn!";
-    
-    room.gameState.players.forEach(p => {
-        p.isReady = p.isHost;
-        p.readyForAuction = p.isHost;
-    });
+/**
+ * Handles an action as the room's owner. Draws always use the owner's cricketer list.
+ */
+const handleAction = (roomCode, action, origin) => {
+    if (action.type === 'CHAT_MESSAGE' || action.type === 'REACTION') {
+        dispatchChat(roomCode, action, origin);
+        return;
+    }
+    if (action.type === 'DRAW_PLAYERS') action = { ...action, payload: { cricketers: cricketersMasterList } };
+    dispatch(roomCode, action, origin);
 };
 
-const startAuctionLogic = (roomCode) => {
+/**
+ * Handles a chat message or reaction as the room's owner. Chat is kept beside the game
+ * state (see src/chat/chatRoom.js), so only the message itself is published; the state isn't
+ * copied, saved or sent.
+ */
+const dispatchChat = (roomCode, action, origin) => {
     const room = rooms[roomCode];
-    if (!room) return;
+    if (!room || !roomBus.isOwner(roomCode)) return;
+    const result = handleChatAction(room.chat, room.gameState, action, Date.now());
+    if (!result) return;
+    const effect = result.error
+        ? { type: 'REPLY', message: errorMessage(result.error.code, result.error.message) }
+        : { type: 'BROADCAST', message: result.message };
+    roomBus.publishDispatch(roomCode, { effects: [effect], action: { type: action.type, playerId: action.playerId }, origin })
+        .catch(error => logger.error('Failed to publish chat.', { roomCode, error }));
+};
+
+// Effects every instance carries out for its own sockets; the rest only concern the owner.
+const SHARED_EFFECTS = ['BROADCAST_STATE', 'BROADCAST', 'REPLY', 'DISCONNECT_CLIENT', 'CLOSE_ROOM'];
 
-    room.gameState.masterBiddingOrder = room.gameState.players.map(p => p.id);
-    shuffleArray(room.gameState.masterBiddingOrder);
-    room.gameState.startingPlayerIndex = 0;
-    room.gameState.currentSubPoolOrderIndex = 0;
-    room.gameState.currentPlayerInSubPoolIndex = -1;
-    
-    room.gameState.gameStatus = 'PRE_AUCTION_TIMER';
-    broadcastGameState(roomCode);
-
-    setTimeout(() => {
-        const currentRoom = rooms[roomCode];
-        if (currentRoom) {
-            nextPlayerLogic(roomCode);
+/**
+ * Runs one action through the auction engine as the room's owner, performs the owner's
+ * effects and publishes the result to every instance in the room.
+ * @param {string} roomCode The code of the room.
+ * @param {object} action The engine action.
+ * @param {object|null} [origin] Where REPLY effects are sent (see originOf).
+ */
+const dispatch = (roomCode, action, origin = null) => {
+    const room = rooms[roomCode];
+    if (!room || !roomBus.isOwner(roomCode)) return;
+
+    const { state, effects } = reduce(room.gameState, action);
+    room.gameState = state;
+    // Whoever just joined gets the room's recent chat after JOIN_SUCCESS, from whichever instance holds their socket.
+    const joinReply = effects.findIndex(e => e.type === 'REPLY' && e.message.type === 'JOIN_SUCCESS');
+    if (joinReply !== -1) {
+        effects.splice(joinReply + 1, 0, { type: 'REPLY', message: { type: 'CHAT_HISTORY', payload: { messages: room.chat.history } } });
+    }
+    trackReconnectWindows(roomCode, action);
+    saveSnapshot(roomCode);
+
+    for (const effect of effects) {
+        switch (effect.type) {
+            case 'SCHEDULE':
+                room.scheduler.schedule(effect.timer, effect.delayMs, () => {
+                    // A timer only ever fires into the room that set it.
+                    if (rooms[roomCode] === room) dispatch(roomCode, effect.action);
+                });
+                break;
+            case 'CANCEL_TIMER':
+                room.scheduler.cancel(effect.timer);
+                break;
+            case 'ARCHIVE_AUCTION':
+                auctionArchive.save(effect.log)
+                    .catch(error => logger.error('Failed to archive an auction log.', { roomCode, auctionId: effect.log.auctionId, error }));
+                metrics.auctionArchived(effect.log);
+                break;
+            case 'RECORD_RESULTS':
+                if (!statsStore) break;
+                statsQueue = statsQueue
+                    .then(() => statsStore.save(effect.record))
+                    .catch(error => logger.error('Failed to save auction results.', { roomCode, auctionId: effect.record.auctionId, error }));
+                break;
         }
-    }, PRE_AUCTION_DURATION_SECONDS * 1000);
+    }
+
+    const isClosing = effects.some(e => e.type === 'CLOSE_ROOM');
+    if (isClosing) stopTimers(room);
+    else updateListing(roomCode);
+    roomBus.publishDispatch(roomCode, {
+        gameState: state,
+        effects: effects.filter(e => SHARED_EFFECTS.includes(e.type)),
+        action: { type: action.type, playerId: action.playerId },
+        origin,
+    })
+        .catch(error => logger.error('Failed to publish room update.', { roomCode, error }))
+        .then(() => { if (isClosing) deleteRoomRecords(roomCode, room); });
 };
 
-const nextPlayerLogic = (roomCode) => {
+/**
+ * Keeps the room's entry in the public room list in step with its state, as the room's owner.
+ * The list is only written to when the entry changes.
+ */
+const updateListing = (roomCode) => {
     const room = rooms[roomCode];
     if (!room) return;
+    const listing = publicListing(room.gameState, room.createdAt);
+    const listedAs = JSON.stringify(listing);
+    if (listedAs === room.listedAs) return;
+    room.listedAs = listedAs;
+    roomBus.setListing(roomCode, listing).catch(error => logger.error('Failed to update the public room list.', { roomCode, error }));
+};
 
-    const nextPlayerIndex = room.gameState.currentPlayerInSubPoolIndex + 1;
-    const currentSubPoolIndex = room.gameState.currentSubPoolOrderIndex;
-    const currentSubPoolName = room.gameState.subPoolOrder[currentSubPoolIndex];
-    const currentPool = room.gameState.subPools[currentSubPoolName];
+/**
+ * Deletes what the owner kept of a closed room: its state on the bus, its listing and its snapshot.
+ */
+const deleteRoomRecords = (roomCode, room) => {
+    roomBus.removeRoom(roomCode).catch(error => logger.error('Failed to remove room from the bus.', { roomCode, error }));
+    if (!snapshotStore) return;
+    room.snapshotQueue
+        .then(() => snapshotStore.remove(roomCode))
+        .catch(error => logger.error('Failed to delete room snapshot.', { roomCode, error }));
+};
 
-    if (!currentPool || nextPlayerIndex >= currentPool.length) {
-        const nextSubPoolIndex = currentSubPoolIndex + 1;
+/**
+ * Delivers a dispatch the owner published to this instance's sockets.
+ */
+const applyDispatch = (roomCode, { gameState, effects, action, origin }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+    // Chat dispatches carry no state.
+    if (gameState && !roomBus.isOwner(roomCode)) room.gameState = gameState;
 
-        if (nextSubPoolIndex >= room.gameState.subPoolOrder.length) {
-            if (room.gameState.isSecondRound || room.gameState.unsoldPool.length === 0) {
-                room.gameState.gameStatus = 'GAME_OVER';
-                room.gameState.lastActionMessage = 'The auction has concluded!';
-                broadcastGameState(roomCode);
-                return;
-            }
+    // A player who reconnected through another instance no longer uses their socket here.
+    const isJoin = action.type === 'PLAYER_JOINED' || action.type === 'SPECTATOR_JOINED';
+    if (isJoin && room.clients[action.playerId] && origin?.instanceId !== roomBus.instanceId) {
+        detachClient(room, action.playerId);
+    }
 
-            // --- START OF SECOND ROUND LOGIC ---
-            room.gameState.isSecondRound = true;
-            const newSubPools = {
-                "Unsold Batsmen": room.gameState.unsoldPool.filter(p => p.role === 'Batsman'),
-                "Unsold Bowlers": room.gameState.unsoldPool.filter(p => p.role === 'Bowler'),
-                "Unsold All-Rounders": room.gameState.unsoldPool.filter(p => p.role === 'All-Rounder'),
-                "Unsold Wicket-Keepers": room.gameState.unsoldPool.filter(p => p.role === 'Wicket-Keeper'),
-            };
-
-            const finalSubPools = {};
-            const finalSubPoolOrder = [];
-            for (const poolName in newSubPools) {
-                if (newSubPools[poolName].length > 0) {
-                    finalSubPools[poolName] = newSubPools[poolName];
-                    finalSubPoolOrder.push(poolName);
-                }
-            }
-            
-            if (finalSubPoolOrder.length === 0) {
-                room.gameState.gameStatus = 'GAME_OVER';
-                room.gameState.lastActionMessage = 'The auction has concluded! No unsold players to auction.';
+    for (const effect of effects) {
+        if (!rooms[roomCode]) return;
+        switch (effect.type) {
+            case 'BROADCAST_STATE':
                 broadcastGameState(roomCode);
-                return;
+                break;
+            case 'BROADCAST':
+                broadcast(roomCode, effect.message);
+                break;
+            case 'REPLY':
+                if (origin?.instanceId === roomBus.instanceId) deliverReply(roomCode, action, origin, effect.message);
+                break;
+            case 'DISCONNECT_CLIENT': {
+                // Whichever instance holds the socket closes it; detaching first means its close
+                // handler has nothing left to report.
+                const client = room.clients[effect.playerId];
+                if (!client) break;
+                detachClient(room, effect.playerId);
+                if (client.readyState === client.OPEN) client.send(JSON.stringify(effect.message));
+                client.close();
+                break;
             }
-
-            room.gameState.subPools = finalSubPools;
-            room.gameState.subPoolOrder = finalSubPoolOrder;
-            room.gameState.currentSubPoolOrderIndex = 0;
-            room.gameState.currentPlayerInSubPoolIndex = -1;
-
-            const nextPoolName = finalSubPoolOrder[0];
-            room.gameState.gameStatus = 'SUBPOOL_BREAK';
-            room.gameState.currentSubPoolName = "--- UNSOLD ROUND ---";
-            room.gameState.nextSubPoolName = nextPoolName;
-            room.gameState.currentSubPoolPlayers = [];
-            room.gameState.nextSubPoolPlayers = finalSubPools[nextPoolName];
-            
-            room.gameState.players.forEach(p => { if (!p.isHost) p.isReady = false; });
-            
-            broadcastGameState(roomCode);
-            return;
+            case 'CLOSE_ROOM':
+                closeLocalRoom(roomCode);
+                break;
         }
-
-        const nextPoolName = room.gameState.subPoolOrder[nextSubPoolIndex];
-        room.gameState.gameStatus = 'SUBPOOL_BREAK';
-        room.gameState.currentSubPoolName = currentSubPoolName;
-        room.gameState.nextSubPoolName = nextPoolName;
-        room.gameState.currentSubPoolPlayers = currentPool || [];
-        room.gameState.nextSubPoolPlayers = room.gameState.subPools[nextPoolName];
-        
-        room.gameState.players.forEach(p => { if (!p.isHost) p.isReady = false; });
-        
-        broadcastGameState(roomCode);
-        return;
     }
+    if (isJoin && origin?.instanceId === roomBus.instanceId) releaseIfIdle(roomCode);
+};
 
-    room.gameState.currentPlayerInSubPoolIndex = nextPlayerIndex;
-    const nextPlayer = currentPool[nextPlayerIndex];
-
-    room.gameState.currentSubPoolName = currentSubPoolName;
-    room.gameState.currentSubPoolPlayers = currentPool;
-    room.gameState.currentPlayerForAuction = nextPlayer;
-    room.gameState.currentBid = nextPlayer.basePrice;
-    room.gameState.highestBidderId = null;
-    room.gameState.playersInRound = room.gameState.players.filter(p => p.budget >= nextPlayer.basePrice && p.squad.length < MAX_SQUAD_SIZE).map(p => p.id);
-    room.gameState.gameStatus = 'PLAYER_BREAK_TIMER';
-    broadcastGameState(roomCode);
-
-    setTimeout(() => {
-        const currentRoom = rooms[roomCode];
-        if (!currentRoom || currentRoom.gameState.gameStatus !== 'PLAYER_BREAK_TIMER' || currentRoom.gameState.currentPlayerForAuction?.id !== nextPlayer.id) {
-            return; // State has changed, abort auction start
-        }
-
-        currentRoom.gameState.gameStatus = 'AUCTION';
-        const masterOrder = currentRoom.gameState.masterBiddingOrder;
-        const startIndex = currentRoom.gameState.startingPlayerIndex;
-        currentRoom.gameState.biddingOrder = [...masterOrder.slice(startIndex), ...masterOrder.slice(0, startIndex)].filter(id => currentRoom.gameState.playersInRound.includes(id));
-        
-        if (currentRoom.gameState.biddingOrder.length === 0) {
-            endRoundLogic(roomCode);
-            return;
-        }
-
-        currentRoom.gameState.activePlayerId = currentRoom.gameState.biddingOrder[0] || null;
-        currentRoom.gameState.startingPlayerIndex = (startIndex + 1) % masterOrder.length;
+// The scheduler slot holding a disconnected player's reconnect window.
+const reconnectSlot = (playerId) => `reconnect:${playerId}`;
 
-        if (currentRoom.turnTimer) clearTimeout(currentRoom.turnTimer);
-        currentRoom.turnTimer = setTimeout(() => advanceTurn(roomCode, currentRoom.gameState.activePlayerId, 'TIMEOUT'), TURN_DURATION_SECONDS * 1000);
+/**
+ * Keeps the owner's reconnect windows in step with the room: a disconnect opens one, a rejoin
+ * closes it, and players who come back from a restart or takeover disconnected each get one.
+ * Like the engine's timers, the windows stand still while the game is paused.
+ */
+const trackReconnectWindows = (roomCode, action) => {
+    const room = rooms[roomCode];
+    const close = (playerId) => room.scheduler.cancel(reconnectSlot(playerId));
+    const open = (playerId) => {
+        room.scheduler.schedule(reconnectSlot(playerId), RECONNECT_GRACE_PERIOD_SECONDS * 1000, () => removePlayerFromRoom(roomCode, playerId));
+    };
 
-        broadcastGameState(roomCode);
-    }, PLAYER_BREAK_DURATION_SECONDS * 1000);
+    switch (action.type) {
+        case 'PLAYER_DISCONNECTED':
+            if (room.gameState.players.some(p => p.id === action.playerId)) {
+                logger.info('Player disconnected, holding seat.', { roomCode, playerId: action.playerId, graceSeconds: RECONNECT_GRACE_PERIOD_SECONDS });
+                open(action.playerId);
+            }
+            break;
+        case 'PLAYER_JOINED':
+        case 'SPECTATOR_JOINED':
+        case 'PLAYER_LEFT':
+            close(action.playerId);
+            break;
+        case 'KICK_PLAYER':
+            // A player kicked while disconnected is already gone; their window has nothing to remove.
+            if (!room.gameState.players.some(p => p.id === action.payload?.playerId)) close(action.payload?.playerId);
+            break;
+        case 'ROOM_RESTORED':
+        case 'ROOM_ADOPTED':
+            room.gameState.players.filter(p => !p.isBot && !p.isConnected).forEach(p => open(p.id));
+            break;
+    }
+    for (const player of room.gameState.players) {
+        if (room.gameState.isPaused) room.scheduler.suspend(reconnectSlot(player.id));
+        else room.scheduler.resume(reconnectSlot(player.id));
+    }
 };
 
-const continueToNextSubPoolLogic = (roomCode) => {
+/**
+ * Removes a player whose reconnect window ran out.
+ */
+const removePlayerFromRoom = (roomCode, sessionId) => {
     const room = rooms[roomCode];
     if (!room) return;
-    
-    room.gameState.gameStatus = 'PRE_ROUND_TIMER';
-    broadcastGameState(roomCode);
-
-    setTimeout(() => {
-        const currentRoom = rooms[roomCode];
-        if (currentRoom) {
-            // This condition is true only for the very first transition into the unsold round,
-            // where the 'current' sub-pool is a special placeholder name.
-            if (currentRoom.gameState.isSecondRound && currentRoom.gameState.currentSubPoolName === "--- UNSOLD ROUND ---") {
-                // Index is already set to 0 when the unsold round was initiated. Do nothing.
-            } else {
-                currentRoom.gameState.currentSubPoolOrderIndex++;
-            }
-            
-            currentRoom.gameState.currentPlayerInSubPoolIndex = -1;
-            currentRoom.gameState.nextSubPoolName = '';
-            currentRoom.gameState.nextSubPoolPlayers = [];
-            currentRoom.gameState.currentSubPoolPlayers = [];
-            
-            nextPlayerLogic(roomCode);
-        }
-    }, PRE_ROUND_DURATION_SECONDS * 1000);
+
+    logger.info('Player did not reconnect, removing.', { roomCode, playerId: sessionId });
+    dispatch(roomCode, { type: 'PLAYER_LEFT', playerId: sessionId });
 };
 
-const endRoundLogic = (roomCode) => {
-    const room = rooms[roomCode];
-    if (!room || room.gameState.gameStatus === 'ROUND_OVER') return;
-    
-    if (room.turnTimer) clearTimeout(room.turnTimer);
-
-    const { highestBidderId, currentBid, currentPlayerForAuction } = room.gameState;
-    let winnerId = 'UNSOLD';
-    let winningBid = 0;
-
-    if (highestBidderId && room.gameState.playersInRound.includes(highestBidderId)) {
-        const winner = room.gameState.players.find(p => p.id === highestBidderId);
-        if (winner) {
-            winner.budget -= currentBid;
-            winner.squad.push(currentPlayerForAuction);
-            winnerId = winner.id;
-            winningBid = currentBid;
-            room.gameState.lastActionMessage = `${currentPlayerForAuction.name} sold to ${winner.name} for ${currentBid}!`;
-
-            // Check if all players' squads are full
-            const allTeamsFull = room.gameState.players.every(p => p.squad.length >= MAX_SQUAD_SIZE);
-            if (allTeamsFull) {
-                room.gameState.gameStatus = 'GAME_OVER';
-                room.gameState.lastActionMessage = 'All teams are full! The auction has ended.';
-                broadcastGameState(roomCode);
-                return; // End the game
-            }
-        }
-    } else {
-        room.gameState.lastActionMessage = `${currentPlayerForAuction.name} was unsold.`;
-    }
+// --- Sessions ---
 
-    if (winnerId === 'UNSOLD') {
-        room.gameState.unsoldPool.push(currentPlayerForAuction);
+/**
+ * Resolves the optional `authToken` a client sent to the account it belongs to.
+ * @returns {Promise<{ accountId: string|null, error?: string }>} `accountId` is null for anonymous players.
+ */
+const resolveAccount = async (authToken) => {
+    if (authToken === undefined || authToken === null) return { accountId: null };
+    if (!verifyAccount) return { accountId: null, error: 'Signing in is not supported on this server.' };
+    try {
+        const accountId = await verifyAccount(authToken);
+        return accountId ? { accountId } : { accountId: null, error: 'Your sign-in could not be verified. Please sign in again.' };
+    } catch (error) {
+        logger.error('Failed to verify auth token.', { error });
+        return { accountId: null, error: 'Your sign-in could not be verified. Please try again.' };
     }
+};
+
+/**
+ * Tells a client which player it is and gives it the token to reclaim that seat with.
+ */
+const sendSession = (respond, roomCode, playerId) => {
+    respond({ type: 'SESSION_ISSUED', payload: { roomCode, playerId, sessionToken: sessionTokens.issue({ roomCode, playerId }) } });
+};
 
-    room.gameState.auctionHistory.push({
-        cricketer: currentPlayerForAuction,
-        winningBid: winningBid,
-        winnerId: winnerId,
-    });
-    
-    room.gameState.gameStatus = 'ROUND_OVER';
-    broadcastGameState(roomCode);
+// --- Client Messages ---
 
-    setTimeout(() => nextPlayerLogic(roomCode), ROUND_OVER_DURATION_MS);
+const sendTo = (ws, message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
 };
 
-const advanceTurn = (roomCode, actionPlayerId, actionType) => {
-    const room = rooms[roomCode];
-    if (!room || room.gameState.gameStatus !== 'AUCTION') return;
-    
-    if (room.turnTimer) clearTimeout(room.turnTimer);
-
-    const { biddingOrder, highestBidderId } = room.gameState;
-    let { playersInRound } = room.gameState;
-    
-    if (actionType === 'DROP' || actionType === 'TIMEOUT') {
-        playersInRound = playersInRound.filter(id => id !== actionPlayerId);
-        room.gameState.playersInRound = playersInRound;
-        
-        const player = room.gameState.players.find(p => p.id === actionPlayerId);
-        if (player) {
-            room.gameState.lastActionMessage = `${player.name} ${actionType === 'TIMEOUT' ? 'timed out' : 'dropped'}.`;
-        }
-    }
+/**
+ * Returns the function that sends direct replies to one request. Every reply echoes the
+ * request's `requestId`, and errors also name the `requestType` that caused them.
+ */
+const replier = (ws, { type, requestId }) => (message) => {
+    const reply = { ...message, ...(requestId !== undefined && { requestId }) };
+    if (message.type === 'ERROR') reply.payload = { ...message.payload, requestType: type };
+    sendTo(ws, reply);
+};
 
-    if (playersInRound.length === 0) {
-        endRoundLogic(roomCode);
-        return;
-    }
+/**
+ * Rejects a handshake from a client speaking a protocol version this server doesn't support.
+ * Clients that don't send a version are treated as protocol 1, which gets whole-state updates.
+ */
+const checkProtocolVersion = (version, respond) => {
+    if (version === undefined || (version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION)) return true;
+    respond(errorMessage(ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION,
+        `Protocol version ${version} is not supported; this server speaks ${MIN_PROTOCOL_VERSION} to ${PROTOCOL_VERSION}.`, true));
+    return false;
+};
 
-    if (playersInRound.length === 1) {
-        if (!highestBidderId) {
-            // Last player hasn't had a chance to bid, give them the turn.
-            room.gameState.activePlayerId = playersInRound[0];
-            room.turnTimer = setTimeout(() => advanceTurn(roomCode, room.gameState.activePlayerId, 'TIMEOUT'), TURN_DURATION_SECONDS * 1000);
-            broadcastGameState(roomCode);
-            return;
-        }
-        // If there is a bidder, the round ends.
-        endRoundLogic(roomCode);
+/**
+ * Where the replies to a client's request should go, in a form the room's owner can send
+ * back over the bus.
+ */
+const originOf = (conn, { type, requestId }) => ({ instanceId: roomBus.instanceId, connId: conn.id, requestType: type, requestId });
+
+/**
+ * Sends a REPLY effect to the socket that made the request. A JOIN_SUCCESS also seats the
+ * socket: it is attached to the player and gets its session token and the state in its
+ * protocol. The room's recent chat follows as a separate CHAT_HISTORY reply (see dispatch).
+ */
+const deliverReply = (roomCode, action, origin, message) => {
+    const waiting = pendingHttpReplies.get(origin.connId);
+    if (waiting) {
+        waiting(message);
         return;
     }
-
-    const currentActiveIndex = biddingOrder.indexOf(actionPlayerId);
-    if (currentActiveIndex === -1) {
-        endRoundLogic(roomCode);
+    const conn = connections.get(origin.connId);
+    if (!conn) {
+        // The socket closed while its join was on the way, so nothing will ever close the seat it was given.
+        if (message.type === 'JOIN_SUCCESS') vacateSeat(roomCode, action.playerId);
         return;
     }
-
-    let nextIndex = (currentActiveIndex + 1) % biddingOrder.length;
-    let loopDetector = 0;
-    while (!playersInRound.includes(biddingOrder[nextIndex]) && loopDetector < biddingOrder.length) {
-        nextIndex = (nextIndex + 1) % biddingOrder.length;
-        loopDetector++;
+    const respond = replier(conn.ws, { type: origin.requestType, requestId: origin.requestId });
+    // The owner has answered the join, one way or the other.
+    if (SEATING_TYPES.includes(origin.requestType) && (message.type === 'JOIN_SUCCESS' || message.type === 'ERROR')) conn.isJoining = false;
+    if (message.type !== 'JOIN_SUCCESS') {
+        respond(message);
+        return;
     }
 
-    const nextPlayerId = biddingOrder[nextIndex];
+    const room = rooms[roomCode];
+    const { playerId } = action;
+    attachClient(room, playerId, conn.ws, conn.protocolVersion);
+    conn.playerId = playerId;
+    conn.roomCode = roomCode;
+    const name = [...room.gameState.players, ...room.gameState.spectators].find(p => p.id === playerId)?.name;
+    logger.info('Joined room.', { roomCode, playerId, playerName: name, spectator: action.type === 'SPECTATOR_JOINED' });
+    sendSession(respond, roomCode, playerId);
+    sendGameState(roomCode, playerId, respond, 'JOIN_SUCCESS');
+};
 
-    if (highestBidderId && nextPlayerId === highestBidderId) {
-        endRoundLogic(roomCode);
+/**
+ * Creates a room with the sender as its host and seats their socket in it. Called once the
+ * request has passed every other check, so only rooms that are really created count toward
+ * the per-address limit.
+ */
+const createRoom = async (conn, respond, { playerName, settings, accountId, protocolVersion }) => {
+    if (!roomCreationLimiter.take(conn.address)) {
+        respond(errorMessage(ERROR_CODES.RATE_LIMITED, 'Too many rooms created from your address. Try again in a minute.'));
         return;
     }
-    
-    if (loopDetector >= biddingOrder.length) {
-        endRoundLogic(roomCode);
+    // Player ids are issued by the server, never taken from the client.
+    const playerId = uuidv4();
+    const roomCode = await generateRoomCode();
+    const newRoom = addRoom(createInitialGameState(roomCode, playerId, playerName, settings, accountId));
+    await roomBus.claim(roomCode);
+    await watchRoom(roomCode);
+    saveSnapshot(roomCode);
+    updateListing(roomCode);
+    logger.info('Room created.', { roomCode, playerId, playerName, isPublic: settings.isPublic });
+    // The socket closed while the room was being set up; its host starts out disconnected.
+    if (!connections.has(conn.id)) {
+        vacateSeat(roomCode, playerId);
         return;
     }
+    conn.protocolVersion = protocolVersion ?? 1;
+    conn.playerId = playerId;
+    conn.roomCode = roomCode;
+    attachClient(newRoom, playerId, conn.ws, conn.protocolVersion);
+    sendSession(respond, roomCode, playerId);
+    sendGameState(roomCode, playerId, respond, 'ROOM_CREATED');
+};
 
-    room.gameState.activePlayerId = nextPlayerId;
-    room.turnTimer = setTimeout(() => advanceTurn(roomCode, room.gameState.activePlayerId, 'TIMEOUT'), TURN_DURATION_SECONDS * 1000);
-    
-    broadcastGameState(roomCode);
+/**
+ * Tells a room's owner that a seat's socket has gone. Spectators hold nothing, so they leave
+ * straight away; players keep their seat for the reconnect window.
+ */
+const vacateSeat = (roomCode, playerId) => {
+    const isSpectator = rooms[roomCode]?.gameState.spectators.some(s => s.id === playerId);
+    submit(roomCode, { type: isSpectator ? 'SPECTATOR_LEFT' : 'PLAYER_DISCONNECTED', playerId })
+        .then(() => releaseIfIdle(roomCode));
+};
+
+/**
+ * Asks a room's owner to seat the sender. The owner answers with JOIN_SUCCESS, which seats
+ * this socket (see deliverReply), or with an error.
+ */
+const joinRoom = async (conn, message, roomCode, { playerId, playerName, accountId, spectator = false, protocolVersion }) => {
+    conn.protocolVersion = protocolVersion ?? 1;
+    const joinType = spectator ? 'SPECTATOR_JOINED' : 'PLAYER_JOINED';
+    await submit(roomCode, { type: joinType, playerId, payload: { playerName, accountId, address: banAddressOf(conn) } }, originOf(conn, message));
+};
+
+/**
+ * Sends an action to a room's owner on behalf of an HTTP request and waits for its reply.
+ * @returns {Promise<object|null>} The reply, or null if the owner didn't answer in time.
+ */
+const submitAndWait = (roomCode, action) => new Promise(resolve => {
+    const id = uuidv4();
+    const finish = (message) => {
+        clearTimeout(timer);
+        pendingHttpReplies.delete(id);
+        resolve(message);
+    };
+    const timer = setTimeout(() => finish(null), OWNER_REPLY_TIMEOUT_MS);
+    pendingHttpReplies.set(id, finish);
+    submit(roomCode, action, { instanceId: roomBus.instanceId, connId: id, requestType: action.type });
+});
+
+/**
+ * Finds the room QUICK_MATCH puts a player in: the fullest open public room that hasn't kicked them.
+ * @returns {Promise<string|null>} Its code, or null if there is none.
+ */
+const findQuickMatch = async (accountId, address) => {
+    for (const { roomCode } of quickMatchCandidates(await roomBus.listings())) {
+        const room = await openRoom(roomCode);
+        if (room && !isKicked(room.gameState, { accountId, address })) return roomCode;
+        releaseIfIdle(roomCode);
+    }
+    return null;
+};
+
+// --- Auction History ---
+
+const EXPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Renders an archived auction log in an export format.
+ * @param {object} log The archived log.
+ * @param {'json'|'csv'} format
+ */
+const exportAuctionLog = (log, format) => (format === 'csv' ? auctionLogToCsv(log) : auctionLogToJson(log));
+
+// --- Player Stats ---
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Reads the ?limit= of a list endpoint.
+ * @returns {number|null} The limit, or null if it isn't a whole number from 1 to MAX_PAGE_SIZE.
+ */
+const pageSize = (query) => {
+  if (query.limit === undefined) return DEFAULT_PAGE_SIZE;
+  const limit = Number(query.limit);
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_PAGE_SIZE ? limit : null;
 };
 
 // --- Server Setup ---
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES });
+
+// Loads the archived log for the request's auction: null if there is none, or undefined once
+// a failure has been answered.
+const findAuctionLog = async (req, res) => {
+  try {
+    return await auctionArchive.get(req.params.auctionId);
+  } catch (error) {
+    logger.error('Failed to load an auction log.', { auctionId: req.params.auctionId, error });
+    res.status(502).json({ error: 'Failed to load the auction log.' });
+    return undefined;
+  }
+};
+
+// Exports a finished auction's log: ?format=json (default) or ?format=csv, one row per lot.
+app.get('/auctions/:auctionId/export', async (req, res) => {
+  const log = await findAuctionLog(req, res);
+  if (log === undefined) return;
+  if (!log) return res.status(404).json({ error: 'Auction not found.' });
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+
+  if (format === 'csv') {
+    res.type('text/csv').attachment(`${log.auctionId}.csv`).send(exportAuctionLog(log, format));
+  } else {
+    res.json(exportAuctionLog(log, format));
+  }
+});
+
+// Rebuilds a finished auction as it stood after event ?seq=N (default: the end of the log).
+app.get('/auctions/:auctionId/replay', async (req, res) => {
+  const log = await findAuctionLog(req, res);
+  if (log === undefined) return;
+  if (!log) return res.status(404).json({ error: 'Auction not found.' });
+  const seq = req.query.seq === undefined ? log.events.length : Number(req.query.seq);
+  if (!Number.isInteger(seq) || seq < 0 || seq > log.events.length) {
+    return res.status(400).json({ error: `seq must be a whole number between 0 and ${log.events.length}.` });
+  }
+  res.json(replayAuctionLog(log, seq));
+});
 
-wss.on('connection', (ws) => {
-  let userSessionId = null;
-  let userRoomCode = null;
+// Public rooms with a free seat in the lobby, fullest first (?limit=).
+app.get('/rooms', async (req, res) => {
+  const limit = pageSize(req.query);
+  if (!limit) return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` });
+  try {
+    res.json({ rooms: sortListings(await roomBus.listings()).slice(0, limit) });
+  } catch (error) {
+    logger.error('Failed to load the public room list.', { error });
+    res.status(502).json({ error: 'Failed to load the public room list.' });
+  }
+});
+
+// Error codes from a room's owner, as HTTP statuses. Anything else is a 400.
+const HTTP_STATUSES = { [ERROR_CODES.NOT_HOST]: 403, [ERROR_CODES.WRONG_PHASE]: 409, [ERROR_CODES.GAME_PAUSED]: 409 };
+
+// The host uploads the room's own cricketer list as `{ cricketers }` (null goes back to the
+// server's list), with their session token as a bearer token. Lists are too big for a socket message.
+app.put('/rooms/:roomCode/pool', express.json({ limit: MAX_UPLOAD_BYTES }), async (req, res) => {
+  const { roomCode } = req.params;
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  const claims = scheme === 'Bearer' ? sessionTokens.verify(token) : null;
+  if (claims?.roomCode !== roomCode) {
+    return res.status(401).json({ error: 'A session token for this room is required.', code: ERROR_CODES.AUTH_FAILED });
+  }
+  const room = await openRoom(roomCode);
+  if (!room) return res.status(404).json({ error: 'Room not found.', code: ERROR_CODES.ROOM_NOT_FOUND });
+  if (!room.gameState.players.some(p => p.id === claims.playerId)) {
+    releaseIfIdle(roomCode);
+    return res.status(403).json({ error: "You aren't seated in this room.", code: ERROR_CODES.NOT_IN_ROOM });
+  }
+
+  const reply = await submitAndWait(roomCode, { type: 'SET_CUSTOM_POOL', playerId: claims.playerId, payload: { cricketers: req.body?.cricketers } });
+  releaseIfIdle(roomCode);
+  if (!reply) return res.status(504).json({ error: 'The room did not answer in time.' });
+  if (reply.type === 'ERROR') {
+    return res.status(HTTP_STATUSES[reply.payload.code] ?? 400).json({ error: reply.payload.message, code: reply.payload.code });
+  }
+  res.json(reply.payload);
+});
 
-  ws.on('message', (message) => {
+// Uploads that are too big or aren't JSON never reach the room.
+app.use('/rooms/:roomCode/pool', (error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Uploads are limited to ${MAX_UPLOAD_BYTES} bytes.`, code: ERROR_CODES.PAYLOAD_TOO_LARGE });
+  }
+  if (error.type === 'entity.parse.failed') return res.status(400).json({ error: 'The body is not valid JSON.', code: ERROR_CODES.INVALID_JSON });
+  next(error);
+});
+
+if (statsStore) {
+  // A signed-in player's lifetime stats and their completed auctions, newest first (?limit=).
+  app.get('/players/:accountId/history', async (req, res) => {
+    const limit = pageSize(req.query);
+    if (!limit) return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` });
+    const { accountId } = req.params;
     try {
-        const { type, payload } = JSON.parse(message);
-        const room = rooms[userRoomCode];
-        const player = room ? room.gameState.players.find(p => p.id === userSessionId) : null;
+      const totals = await statsStore.totals(accountId);
+      if (!totals) return res.status(404).json({ error: 'No completed auctions for that player.' });
+      const records = await statsStore.history(accountId, limit);
+      res.json({ stats: lifetimeStats(totals), auctions: records.map(record => historyEntry(record, accountId)) });
+    } catch (error) {
+      logger.error('Failed to load player history.', { accountId, error });
+      res.status(502).json({ error: 'Failed to load player history.' });
+    }
+  });
 
-        if (type !== 'CREATE_ROOM' && type !== 'JOIN_ROOM' && (!room || !player)) {
+  // Signed-in players by wins (?limit=).
+  app.get('/leaderboard', async (req, res) => {
+    const limit = pageSize(req.query);
+    if (!limit) return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` });
+    try {
+      const players = (await statsStore.leaderboard(limit)).sort(compareForLeaderboard).map(lifetimeStats);
+      res.json({ players: players.map((player, index) => ({ rank: index + 1, ...player })) });
+    } catch (error) {
+      logger.error('Failed to load the leaderboard.', { error });
+      res.status(502).json({ error: 'Failed to load the leaderboard.' });
+    }
+  });
+}
+
+// --- Connection Health ---
+
+/**
+ * The client's address, for the per-IP limits.
+ */
+const clientAddress = (req) => {
+  const forwarded = TRUST_PROXY ? req.headers['x-forwarded-for'] : undefined;
+  return (forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress) || 'unknown';
+};
+
+/**
+ * The address a kick may ban the client by, or null when kicks don't ban addresses.
+ */
+const banAddressOf = (conn) => (BAN_KICKED_ADDRESSES && conn.address !== 'unknown' ? conn.address : null);
+
+/**
+ * Checks a message against its socket's and its address's limits. A socket that keeps
+ * sending after being refused is closed.
+ * @returns {boolean} Whether the message may be handled.
+ */
+const withinMessageLimits = (conn) => {
+  if (conn.messageBucket.take() && ipMessageLimiter.take(conn.address)) return true;
+  metrics.messageRateLimited();
+  if (conn.strikes.take()) {
+    sendTo(conn.ws, errorMessage(ERROR_CODES.RATE_LIMITED, 'You are sending messages too fast; this one was ignored.'));
+  } else {
+    logger.warn('Closing a socket that kept going over the message limit.', { roomCode: conn.roomCode, playerId: conn.playerId, address: conn.address });
+    sendTo(conn.ws, errorMessage(ERROR_CODES.RATE_LIMITED, 'Too many messages.', true));
+    conn.ws.close(1008, 'Rate limit exceeded');
+  }
+  return false;
+};
+
+// Pings every socket; one that didn't answer the last ping is gone and gets closed, which
+// disconnects its player as usual. Sockets still holding their seat get a fresh session token
+// so they can always reconnect within the grace period; one replaced by a newer socket doesn't.
+// Also forgets per-IP limits nobody is using.
+const heartbeat = setInterval(() => {
+  for (const conn of connections.values()) {
+    if (!conn.isAlive) {
+      logger.info('Socket stopped answering pings; closing it.', { roomCode: conn.roomCode, playerId: conn.playerId });
+      conn.ws.terminate();
+      continue;
+    }
+    conn.isAlive = false;
+    conn.ws.ping();
+    if (conn.roomCode && rooms[conn.roomCode]?.clients[conn.playerId] === conn.ws) {
+      sendSession(message => sendTo(conn.ws, message), conn.roomCode, conn.playerId);
+    }
+  }
+  ipMessageLimiter.prune();
+  roomCreationLimiter.prune();
+}, HEARTBEAT_INTERVAL_SECONDS * 1000);
+
+// Messages a socket may send before it is seated in a room.
+const ROOMLESS_TYPES = ['CREATE_ROOM', 'JOIN_ROOM', 'QUICK_MATCH', 'LIST_ROOMS', 'CLOCK_SYNC'];
+// Of those, the ones that seat it. A socket holds one seat: to change rooms, a client opens a new connection.
+const SEATING_TYPES = ['CREATE_ROOM', 'JOIN_ROOM', 'QUICK_MATCH'];
+
+wss.on('connection', (ws, req) => {
+  // `playerId` and `roomCode` are set once the socket is seated in a room.
+  const conn = {
+    id: uuidv4(),
+    ws,
+    playerId: null,
+    roomCode: null,
+    protocolVersion: 1,
+    address: clientAddress(req),
+    isAlive: true,
+    // Set while a CREATE_ROOM, JOIN_ROOM or QUICK_MATCH is in progress, until the socket is seated or refused.
+    isJoining: false,
+    messageBucket: createTokenBucket({ capacity: SOCKET_MESSAGE_BURST, refillPerSecond: SOCKET_MESSAGES_PER_SECOND }),
+    strikes: createTokenBucket({ capacity: FLOOD_STRIKES, refillPerSecond: 1 }),
+  };
+  connections.set(conn.id, conn);
+  ws.on('pong', () => { conn.isAlive = true; });
+  // Oversized messages and broken connections end up here; the socket closes afterwards.
+  ws.on('error', error => logger.debug('Socket error.', { roomCode: conn.roomCode, playerId: conn.playerId, error }));
+
+  sendTo(ws, { type: 'HELLO', payload: { protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION, serverTime: Date.now() } });
+
+  ws.on('message', async (raw) => {
+    metrics.messageReceived();
+    conn.isAlive = true;
+    if (!withinMessageLimits(conn)) return;
+    const { message, error: parseError } = parseClientMessage(raw);
+    if (parseError) {
+      logger.debug('Rejected client message.', { roomCode: conn.roomCode, playerId: conn.playerId, code: parseError.code });
+      const { code, message: reason, requestType, requestId } = parseError;
+      sendTo(ws, { type: 'ERROR', payload: { code, message: reason, fatal: false, requestType }, requestId });
+      return;
+    }
+
+    const { type, payload } = message;
+    const respond = replier(ws, message);
+    // Whether this message started a join, and whether it got as far as asking the room's owner;
+    // a join the owner was asked about ends with its reply (see deliverReply).
+    let isJoining = false;
+    let joinSubmitted = false;
+    try {
+        const room = rooms[conn.roomCode];
+        const isSeated = Boolean(room) && room.clients[conn.playerId] === ws;
+
+        if (!ROOMLESS_TYPES.includes(type) && !isSeated) {
+            respond(errorMessage(ERROR_CODES.NOT_IN_ROOM, 'Join a room first.'));
             return;
         }
+        if (SEATING_TYPES.includes(type)) {
+            if (isSeated || conn.isJoining) {
+                respond(errorMessage(ERROR_CODES.ALREADY_IN_ROOM, 'This connection is already in a room. Open a new connection to join another.'));
+                return;
+            }
+            conn.isJoining = isJoining = true;
+        }
 
         switch (type) {
+          case 'CLOCK_SYNC':
+            // Answered straight away so the round trip is as short as it can be.
+            respond({ type: 'SERVER_TIME', payload: { clientTime: payload.clientTime, serverTime: Date.now() } });
+            break;
           case 'CREATE_ROOM': {
-            const roomCode = generateRoomCode();
-            const { sessionId, playerName } = payload;
-            userSessionId = sessionId;
-            userRoomCode = roomCode;
-            rooms[roomCode] = { gameState: createInitialGameState(roomCode, sessionId, playerName), clients: { [sessionId]: ws }, turnTimer: null, };
-            console.log(`Room ${roomCode} created by ${playerName} (${sessionId})`);
-            ws.send(JSON.stringify({ type: 'ROOM_CREATED', payload: rooms[roomCode].gameState }));
+            const { playerName } = payload;
+            if (!checkProtocolVersion(payload.protocolVersion, respond)) return;
+            const { settings, errors } = validateGameSettings(payload.settings);
+            if (!settings) { respond(errorMessage(ERROR_CODES.INVALID_SETTINGS, `Invalid settings: ${errors.join(' ')}`)); return; }
+            const { accountId, error } = await resolveAccount(payload.authToken);
+            if (error) { respond(errorMessage(ERROR_CODES.AUTH_FAILED, error)); return; }
+            await createRoom(conn, respond, { playerName, settings, accountId, protocolVersion: payload.protocolVersion });
             break;
           }
           case 'JOIN_ROOM': {
-            const { roomCode, sessionId, playerName } = payload;
-            const joinRoom = rooms[roomCode];
-            if (!joinRoom) { ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'Room not found.', fatal: true } })); return; }
-            if (joinRoom.gameState.players.length >= MAX_PLAYERS_PER_ROOM) { ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'Room is full.', fatal: true } })); return; }
-            if (!joinRoom.gameState.players.find(p => p.id === sessionId)) {
-                 const newPlayer = { id: sessionId, name: playerName, budget: STARTING_BUDGET, squad: [], isHost: false, isReady: false, readyForAuction: false, };
-                 joinRoom.gameState.players.push(newPlayer);
-                 joinRoom.gameState.lastActionMessage = `${playerName} has joined the lobby.`;
+            const { roomCode, playerName, spectator, sessionToken } = payload;
+            if (!checkProtocolVersion(payload.protocolVersion, respond)) return;
+            if (!rooms[roomCode] && !(await roomBus.exists(roomCode))) { respond(errorMessage(ERROR_CODES.ROOM_NOT_FOUND, 'Room not found.', true)); return; }
+
+            // A valid token for this room reclaims its seat; anything else joins as someone new.
+            const claims = sessionTokens.verify(sessionToken);
+            const isRejoin = claims?.roomCode === roomCode;
+            const { accountId, error } = isRejoin ? { accountId: null } : await resolveAccount(payload.authToken);
+            if (error) { respond(errorMessage(ERROR_CODES.AUTH_FAILED, error)); return; }
+            const joined = await openRoom(roomCode);
+            if (!joined) { respond(errorMessage(ERROR_CODES.ROOM_NOT_FOUND, 'Room not found.', true)); return; }
+            // Someone the host kicked doesn't get a new id to come back with.
+            if (!isRejoin && isKicked(joined.gameState, { accountId, address: banAddressOf(conn) })) {
+              respond(errorMessage(ERROR_CODES.KICKED, 'The host removed you from this room.', true));
+              releaseIfIdle(roomCode);
+              return;
             }
-            joinRoom.clients[sessionId] = ws;
-            userSessionId = sessionId;
-            userRoomCode = roomCode;
-            console.log(`${playerName} (${sessionId}) joined room ${roomCode}`);
-            ws.send(JSON.stringify({ type: 'JOIN_SUCCESS', payload: joinRoom.gameState }));
-            broadcastGameState(roomCode);
+            const playerId = isRejoin ? claims.playerId : uuidv4();
+            joinSubmitted = true;
+            await joinRoom(conn, message, roomCode, { playerId, playerName, accountId, spectator, protocolVersion: payload.protocolVersion });
             break;
           }
-          case 'DRAW_PLAYERS': { if (player.isHost) { drawPlayersLogic(userRoomCode); broadcastGameState(userRoomCode); } break; }
-          case 'START_GAME': { if (player.isHost) startAuctionLogic(userRoomCode); break; }
-          case 'TOGGLE_READY': { if (player) { player.isReady = !player.isReady; broadcastGameState(userRoomCode); } break; }
-          case 'TOGGLE_READY_FOR_AUCTION': { if (player) { player.readyForAuction = !player.readyForAuction; broadcastGameState(userRoomCode); } break; }
-          case 'PLACE_BID': {
-              if (room.gameState.activePlayerId === userSessionId) {
-                  const increment = getBidIncrement(room.gameState.currentBid);
-                  const newBid = room.gameState.currentBid + increment;
-                  if (player.budget >= newBid) {
-                      room.gameState.currentBid = newBid;
-                      room.gameState.highestBidderId = userSessionId;
-                      room.gameState.lastActionMessage = `${player.name} bids ${newBid}!`;
-                      advanceTurn(userRoomCode, userSessionId, 'BID');
-                  }
-              }
+          case 'QUICK_MATCH': {
+            const { playerName } = payload;
+            if (!checkProtocolVersion(payload.protocolVersion, respond)) return;
+            const { accountId, error } = await resolveAccount(payload.authToken);
+            if (error) { respond(errorMessage(ERROR_CODES.AUTH_FAILED, error)); return; }
+
+            // If the room fills up before the join arrives, the reply is ROOM_FULL and the client can try again.
+            const matchCode = await findQuickMatch(accountId, banAddressOf(conn));
+            if (matchCode) {
+              joinSubmitted = true;
+              await joinRoom(conn, message, matchCode, { playerId: uuidv4(), playerName, accountId, protocolVersion: payload.protocolVersion });
               break;
-          }
-          case 'PASS_TURN': { if (room.gameState.activePlayerId === userSessionId) { room.gameState.lastActionMessage = `${player.name} passed the turn.`; advanceTurn(userRoomCode, userSessionId, 'PASS'); } break; }
-          case 'DROP_FROM_ROUND': { if (room.gameState.activePlayerId === userSessionId) { advanceTurn(userRoomCode, userSessionId, 'DROP'); } break; }
-          case 'CONTINUE_TO_NEXT_SUBPOOL': {
-            if (player.isHost) {
-                const allReady = room.gameState.players.every(p => p.isHost || p.isReady);
-                if (allReady) continueToNextSubPoolLogic(userRoomCode);
             }
+            const { settings } = validateGameSettings({ isPublic: true });
+            await createRoom(conn, respond, { playerName, settings, accountId, protocolVersion: payload.protocolVersion });
             break;
           }
-          case 'BACK_TO_LOBBY': {
-              if (player.isHost) {
-                  resetGameForLobby(userRoomCode);
-                  broadcastGameState(userRoomCode);
-              }
-              break;
+          case 'LIST_ROOMS':
+            respond({ type: 'ROOM_LIST', payload: { rooms: sortListings(await roomBus.listings()).slice(0, payload.limit ?? DEFAULT_PAGE_SIZE) } });
+            break;
+          case 'EXPORT_AUCTION_LOG': {
+            // Defaults to the room's most recent auction.
+            const auctionId = payload.auctionId ?? room.gameState.auctionId;
+            const format = payload.format || 'json';
+            const log = auctionId ? await auctionArchive.get(auctionId) : null;
+            if (!log) { respond(errorMessage(ERROR_CODES.NOT_FOUND, 'That auction has not finished or does not exist.')); return; }
+            respond({ type: 'AUCTION_LOG', payload: { auctionId, format, data: exportAuctionLog(log, format) } });
+            break;
+          }
+          case 'RESYNC_STATE': {
+            // A protocol 2 client that missed a patch starts again from a snapshot.
+            const sync = room.syncs[conn.playerId];
+            const view = stateForPlayer(room.gameState, conn.playerId);
+            if (sync) sync.resync(view).forEach(respond);
+            else respond({ type: 'GAME_STATE_UPDATE', payload: view });
+            break;
           }
+          default:
+            await submit(conn.roomCode, { type, playerId: conn.playerId, payload }, originOf(conn, message));
         }
-    } catch (error) { console.error('Failed to process message:', message, error); }
+    } catch (error) {
+        logger.error('Failed to process message.', { roomCode: conn.roomCode, playerId: conn.playerId, type, error });
+    } finally {
+        if (isJoining && !joinSubmitted) conn.isJoining = false;
+    }
   });
 
   ws.on('close', () => {
-    if (userRoomCode && userSessionId) {
-      const room = rooms[userRoomCode];
-      if (!room) return;
-      delete room.clients[userSessionId];
-      const disconnectedPlayer = room.gameState.players.find(p => p.id === userSessionId);
-      if(!disconnectedPlayer) return;
-      room.gameState.players = room.gameState.players.filter(p => p.id !== userSessionId);
-      console.log(`Player ${disconnectedPlayer.name} disconnected from room ${userRoomCode}`);
-      if (room.gameState.players.length === 0) {
-        console.log(`Room ${userRoomCode} is empty, deleting.`);
-        if (room.turnTimer) clearTimeout(room.turnTimer);
-        delete rooms[userRoomCode];
-      } else {
-        if (disconnectedPlayer.isHost) {
-            const newHost = room.gameState.players[0];
-            if (newHost) {
-                newHost.isHost = true; newHost.isReady = true; newHost.readyForAuction = true;
-                room.gameState.lastActionMessage = `${disconnectedPlayer.name} (Host) disconnected. ${newHost.name} is the new host.`;
-            }
-        } else {
-             room.gameState.lastActionMessage = `${disconnectedPlayer.name} has left the game.`;
-        }
-        // If in auction and the disconnected player was active, advance turn
-        if (room.gameState.gameStatus === 'AUCTION' && room.gameState.activePlayerId === userSessionId) {
-            advanceTurn(userRoomCode, userSessionId, 'DROP');
-        } else {
-            broadcastGameState(userRoomCode);
-        }
-      }
-    }
+    connections.delete(conn.id);
+    const { roomCode, playerId } = conn;
+    const room = rooms[roomCode];
+    // Ignore sockets that were already replaced by a reconnect.
+    if (!room || room.clients[playerId] !== ws) return;
+
+    detachClient(room, playerId);
+    vacateSeat(roomCode, playerId);
   });
 });
 
+// --- Health and Admin ---
+
+// Alive as long as the process can answer.
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Ready once rooms are restored (before listen) and there are cricketers to draw from.
+app.get('/readyz', (req, res) => {
+  const ready = cricketersMasterList.length > 0;
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', cricketers: cricketersMasterList.length, rooms: Object.keys(rooms).length });
+});
+
+const summariseRoom = (roomCode) => {
+  const { gameState, createdAt } = rooms[roomCode];
+  return {
+    roomCode,
+    gameStatus: gameState.gameStatus,
+    ownedHere: roomBus.isOwner(roomCode),
+    players: gameState.players.length,
+    connectedPlayers: gameState.players.filter(p => p.isConnected && !p.isBot).length,
+    bots: gameState.players.filter(p => p.isBot).length,
+    spectators: gameState.spectators.length,
+    createdAt: new Date(createdAt).toISOString(),
+    ageSeconds: Math.floor((Date.now() - createdAt) / 1000),
+  };
+};
+
+// Only rooms this instance owns, so adding up every instance's metrics counts each room once.
+const countRoomsByStatus = () => {
+  const counts = {};
+  for (const [roomCode, room] of Object.entries(rooms)) {
+    if (roomBus.isOwner(roomCode)) counts[room.gameState.gameStatus] = (counts[room.gameState.gameStatus] ?? 0) + 1;
+  }
+  return counts;
+};
+
+if (process.env.ADMIN_TOKEN) {
+  app.use('/admin', createAdminRouter({
+    token: process.env.ADMIN_TOKEN,
+    listRooms: () => Object.keys(rooms).map(summariseRoom),
+    getRoomState: (roomCode) => rooms[roomCode]?.gameState ?? null,
+    closeRoom: (roomCode) => {
+      if (!rooms[roomCode]) return false;
+      logger.warn('Admin closed room.', { roomCode });
+      submit(roomCode, { type: 'ROOM_CLOSED' });
+      return true;
+    },
+    resetRoom: (roomCode) => {
+      if (!rooms[roomCode]) return false;
+      logger.warn('Admin reset room.', { roomCode });
+      submit(roomCode, { type: 'ROOM_RESET' });
+      return true;
+    },
+    reloadCricketers,
+    renderMetrics: () => metrics.render({ connectedSockets: wss.clients.size, roomsByStatus: countRoomsByStatus() }),
+  }));
+} else {
+  logger.warn('ADMIN_TOKEN is not set; the admin API is disabled.');
+}
+
+// Send SIGHUP to refresh the cricketer list without restarting the server.
+process.on('SIGHUP', () => { reloadCricketers().catch(() => {}); });
+
+// Hand rooms over straight away on shutdown instead of waiting for their leases to run out.
+// Snapshot writes still in flight are finished first so none is left half-written.
+process.on('SIGTERM', async () => {
+  clearInterval(heartbeat);
+  await Promise.all(Object.values(rooms).map(room => room.snapshotQueue));
+  await roomBus.close().catch(() => {});
+  await bus.close().catch(() => {});
+  process.exit(0);
+});
+
+// Rooms are restored before accepting connections so reconnecting players can find them.
+await bus.connect();
+logger.info('Connected to room bus.', { bus: bus.name, instanceId: roomBus.instanceId });
+await restoreRooms();
+
 server.listen(PORT, async () => {
-  await fetchCricketers();
-  console.log(`Server is listening on http://localhost:${PORT}`);
+  await reloadCricketers().catch(() => {});
+  logger.info('Server is listening.', { port: Number(PORT) });
 });
@@ -0,0 +1,95 @@
+import { lotsFromLog } from '../history/export.js';
+
+// --- Metrics ---
+// Counters the adapter feeds as things happen, rendered in the Prometheus text format.
+// Gauges that describe current state (sockets, rooms) are passed in when rendering.
+
+/**
+ * Creates the metrics registry.
+ * @param {{ now?: () => number, windowSeconds?: number }} [options] Clock, and how many seconds
+ *   the messages-per-second rate is averaged over.
+ */
+export const createMetrics = ({ now = Date.now, windowSeconds = 60 } = {}) => {
+  let messagesTotal = 0;
+  let messagesRateLimited = 0;
+  // Messages received per whole second, for the last `windowSeconds` seconds.
+  const messageBuckets = new Map();
+  const auctions = { COMPLETED: 0, ABANDONED: 0 };
+  const bidsPerLot = { sum: 0, count: 0 };
+  const auctionSeconds = { sum: 0, count: 0 };
+
+  const dropOldBuckets = (second) => {
+    for (const key of messageBuckets.keys()) {
+      if (key <= second - windowSeconds) messageBuckets.delete(key);
+    }
+  };
+
+  const messagesPerSecond = () => {
+    const second = Math.floor(now() / 1000);
+    dropOldBuckets(second);
+    let total = 0;
+    for (const count of messageBuckets.values()) total += count;
+    return total / windowSeconds;
+  };
+
+  return {
+    messageReceived: () => {
+      const second = Math.floor(now() / 1000);
+      messagesTotal++;
+      messageBuckets.set(second, (messageBuckets.get(second) ?? 0) + 1);
+      dropOldBuckets(second);
+    },
+    messageRateLimited: () => {
+      messagesRateLimited++;
+    },
+    // Records a finished or abandoned auction from its event log.
+    auctionArchived: (log) => {
+      auctions[log.outcome] = (auctions[log.outcome] ?? 0) + 1;
+      for (const lot of lotsFromLog(log)) {
+        if (lot.result === null) continue;
+        bidsPerLot.sum += lot.bids.length;
+        bidsPerLot.count++;
+      }
+      if (log.outcome === 'COMPLETED') {
+        auctionSeconds.sum += (log.endedAt - log.startedAt) / 1000;
+        auctionSeconds.count++;
+      }
+    },
+    messagesPerSecond,
+    /**
+     * @param {{ connectedSockets: number, roomsByStatus: object }} gauges Current values.
+     * @returns {string} The metrics in the Prometheus text exposition format.
+     */
+    render: ({ connectedSockets, roomsByStatus }) => {
+      const lines = [
+        '# HELP cag_connected_sockets Open WebSocket connections.',
+        '# TYPE cag_connected_sockets gauge',
+        `cag_connected_sockets ${connectedSockets}`,
+        '# HELP cag_rooms Active rooms by game status.',
+        '# TYPE cag_rooms gauge',
+        ...Object.entries(roomsByStatus).map(([status, count]) => `cag_rooms{status="${status}"} ${count}`),
+        '# HELP cag_messages_received_total Client messages received.',
+        '# TYPE cag_messages_received_total counter',
+        `cag_messages_received_total ${messagesTotal}`,
+        '# HELP cag_messages_rate_limited_total Client messages refused for going over a rate limit.',
+        '# TYPE cag_messages_rate_limited_total counter',
+        `cag_messages_rate_limited_total ${messagesRateLimited}`,
+        `# HELP cag_messages_per_second Client messages per second, averaged over the last ${windowSeconds}s.`,
+        '# TYPE cag_messages_per_second gauge',
+        `cag_messages_per_second ${messagesPerSecond()}`,
+        '# HELP cag_auctions_total Auctions that finished or were abandoned.',
+        '# TYPE cag_auctions_total counter',
+        ...Object.entries(auctions).map(([outcome, count]) => `cag_auctions_total{outcome="${outcome.toLowerCase()}"} ${count}`),
+        '# HELP cag_bids_per_lot Bids placed on each lot.',
+        '# TYPE cag_bids_per_lot summary',
+        `cag_bids_per_lot_sum ${bidsPerLot.sum}`,
+        `cag_bids_per_lot_count ${bidsPerLot.count}`,
+        '# HELP cag_auction_duration_seconds Length of completed auctions; the average is sum / count.',
+        '# TYPE cag_auction_duration_seconds summary',
+        `cag_auction_duration_seconds_sum ${auctionSeconds.sum}`,
+        `cag_auction_duration_seconds_count ${auctionSeconds.count}`,
+      ];
+      return `${lines.join('\n')}\n`;
+    },
+  };
+};
@@ -0,0 +1,68 @@
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+
+// --- Admin API ---
+// Every route needs `Authorization: Bearer <ADMIN_TOKEN>`. The router only reads and acts on
+// rooms through the functions it's given, so it never reaches into the adapter's internals.
+
+// Hash both sides first so the comparison takes the same time whatever the lengths.
+const digest = (value) => createHash('sha256').update(value).digest();
+
+const requireAdminToken = (token) => (req, res, next) => {
+  const [scheme, given] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !given || !timingSafeEqual(digest(given), digest(token))) {
+    res.status(401).json({ error: 'Admin token required.' });
+    return;
+  }
+  next();
+};
+
+/**
+ * Creates the admin router, to be mounted at /admin.
+ * @param {object} deps
+ * @param {string} deps.token The admin bearer token.
+ * @param {() => object[]} deps.listRooms Summaries of the active rooms.
+ * @param {(roomCode: string) => object|null} deps.getRoomState A room's full game state.
+ * @param {(roomCode: string) => boolean} deps.closeRoom Force-closes a room. False if it doesn't exist.
+ * @param {(roomCode: string) => boolean} deps.resetRoom Sends a room back to its lobby. False if it doesn't exist.
+ * @param {() => Promise<number>} deps.reloadCricketers Reloads the cricketer list and resolves to its size.
+ * @param {() => string} deps.renderMetrics The Prometheus metrics text.
+ */
+export const createAdminRouter = ({ token, listRooms, getRoomState, closeRoom, resetRoom, reloadCricketers, renderMetrics }) => {
+  const router = express.Router();
+  router.use(requireAdminToken(token));
+
+  router.get('/rooms', (req, res) => {
+    res.json({ rooms: listRooms() });
+  });
+
+  router.get('/rooms/:roomCode', (req, res) => {
+    const state = getRoomState(req.params.roomCode);
+    if (!state) return res.status(404).json({ error: 'Room not found.' });
+    res.json(state);
+  });
+
+  router.post('/rooms/:roomCode/close', (req, res) => {
+    if (!closeRoom(req.params.roomCode)) return res.status(404).json({ error: 'Room not found.' });
+    res.json({ closed: req.params.roomCode });
+  });
+
+  router.post('/rooms/:roomCode/reset', (req, res) => {
+    if (!resetRoom(req.params.roomCode)) return res.status(404).json({ error: 'Room not found.' });
+    res.json({ reset: req.params.roomCode });
+  });
+
+  router.post('/cricketers/reload', async (req, res) => {
+    try {
+      res.json({ cricketers: await reloadCricketers() });
+    } catch (error) {
+      res.status(502).json({ error: `Failed to reload cricketers: ${error.message}` });
+    }
+  });
+
+  router.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+
+  return router;
+};
@@ -0,0 +1,26 @@
+// --- Budget Reserve Rule ---
+// With `reserveBudgetForOpenSlots` on, a team can't bid money it needs to fill the rest of
+// its squad at base price. Each player's current ceiling is published as `state.maxBids`.
+
+/**
+ * The amount a team must hold back for each open slot other than the one being bid on.
+ */
+export const reservePricePerSlot = (state) => {
+    if (state.settings.reservePricePerSlot !== null) return state.settings.reservePricePerSlot;
+    if (state.auctionPool.length === 0) return 0;
+    return Math.min(...state.auctionPool.map(c => c.basePrice));
+};
+
+/**
+ * The largest bid a player may currently make.
+ */
+export const maxAllowedBid = (state, player) => {
+    if (!state.settings.reserveBudgetForOpenSlots) return player.budget;
+    const otherOpenSlots = Math.max(0, state.settings.maxSquadSize - player.squad.length - 1);
+    return Math.max(0, player.budget - otherOpenSlots * reservePricePerSlot(state));
+};
+
+/**
+ * Every player's current maximum allowed bid, keyed by player id.
+ */
+export const computeMaxBids = (state) => Object.fromEntries(state.players.map(p => [p.id, maxAllowedBid(state, p)]));
@@ -0,0 +1,151 @@
+// --- Auction Pool Drawing ---
+// The pool is built from the room's settings: `poolFilter` narrows the list, `roleQuotas` says
+// how many of each role to draw, `roleTiers` how to split each role into OVR tiers, and
+// `subPoolOrder` the order the tiers are auctioned in. A role that is short of cricketers is
+// drawn with fewer, smaller tiers rather than failing the draw.
+
+// What each role's sub-pools are called: "Batsmen 1", "Batsmen 2", ... or just "Wicket-Keepers"
+// for a role with a single tier.
+const SUBPOOL_LABELS = {
+    Batsman: 'Batsmen', Bowler: 'Bowlers', 'All-Rounder': 'All-Rounders', 'Wicket-Keeper': 'Wicket-Keepers',
+};
+// The usual auction order. Sub-pools it doesn't name follow, tier by tier.
+export const SUBPOOL_ORDER = [
+    "Batsmen 1", "Bowlers 1", "All-Rounders 1", "Wicket-Keepers",
+    "Batsmen 2", "All-Rounders 2", "Bowlers 2", "All-Rounders 3",
+];
+const ROLE_LABELS = {
+    Batsman: 'batsmen', Bowler: 'bowlers', 'All-Rounder': 'all-rounders', 'Wicket-Keeper': 'wicket-keepers',
+};
+
+/**
+ * The sub-pool names for one role, best tier first.
+ */
+export const subPoolNames = (role, tierCount) => (tierCount === 1
+    ? [SUBPOOL_LABELS[role]]
+    : Array.from({ length: tierCount }, (_, i) => `${SUBPOOL_LABELS[role]} ${i + 1}`));
+
+/**
+ * The tier sizes for one role, best tier first.
+ * @param {number} quota How many of the role are drawn.
+ * @param {number|number[]} tiers A number of tiers to split the quota into evenly, or the size of each tier.
+ */
+export const tierSizes = (quota, tiers) => (Array.isArray(tiers) ? [...tiers] : splitIntoTiers(Array.from({ length: quota }), tiers).map(t => t.length));
+
+/**
+ * Every sub-pool name the settings can produce, in the order they are auctioned.
+ * @param {object} roleTiers The `roleTiers` setting.
+ * @param {string[]|null} [order] The `subPoolOrder` setting: these go first, the rest follow.
+ */
+export const orderedSubPoolNames = (roleTiers, order = null) => {
+    const byRole = Object.keys(SUBPOOL_LABELS).map(role => subPoolNames(role, Array.isArray(roleTiers[role]) ? roleTiers[role].length : roleTiers[role]));
+    const tierByTier = [];
+    for (let tier = 0; tier < Math.max(...byRole.map(names => names.length)); tier++) {
+        byRole.forEach(names => { if (names[tier]) tierByTier.push(names[tier]); });
+    }
+    const usual = [...SUBPOOL_ORDER.filter(name => tierByTier.includes(name)), ...tierByTier.filter(name => !SUBPOOL_ORDER.includes(name))];
+    return order ? [...order, ...usual.filter(name => !order.includes(name))] : usual;
+};
+
+/**
+ * Shrinks tier sizes to fit `available` cricketers: the later tiers are dropped when there
+ * are fewer cricketers than tiers, and the rest share them out in proportion to their sizes.
+ */
+export const scaleTierSizes = (sizes, available) => {
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    if (available >= total) return sizes;
+    const kept = sizes.slice(0, available);
+    const keptTotal = kept.reduce((sum, size) => sum + size, 0);
+    // Every kept tier gets one; the rest are shared by size, remainders to the largest fractions.
+    const spare = available - kept.length;
+    const shares = kept.map(size => (size * spare) / keptTotal);
+    const scaled = shares.map(share => 1 + Math.floor(share));
+    let left = available - scaled.reduce((sum, size) => sum + size, 0);
+    const byRemainder = shares.map((share, index) => [share - Math.floor(share), index]).sort((a, b) => b[0] - a[0] || b[1] - a[1]);
+    for (const [, index] of byRemainder) {
+        if (left === 0) break;
+        scaled[index]++;
+        left--;
+    }
+    return scaled;
+};
+
+/**
+ * Whether a cricketer passes the room's `poolFilter`. Team and season match case-insensitively;
+ * an empty list lets everyone through.
+ */
+export const matchesPoolFilter = (cricketer, { minOverall, teams, seasons }) => {
+    const matches = (values, value) => values.length === 0 || values.some(v => v.toLowerCase() === String(value ?? '').toLowerCase());
+    return (minOverall === null || cricketer.overall >= minOverall)
+        && matches(teams, cricketer.team)
+        && matches(seasons, cricketer.season);
+};
+
+/**
+ * Shuffles an array in place.
+ * @param {Array} array The array to shuffle.
+ * @param {() => number} random Random source returning a number in [0, 1).
+ */
+export const shuffleArray = (array, random) => {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+};
+
+/**
+ * Splits a list into `tierCount` consecutive tiers. When it doesn't divide evenly,
+ * the later tiers get the extra players (17 into 2 tiers gives 8 and 9).
+ */
+export const splitIntoTiers = (list, tierCount) => {
+    const baseSize = Math.floor(list.length / tierCount);
+    const extra = list.length % tierCount;
+    const tiers = [];
+    let start = 0;
+    for (let i = 0; i < tierCount; i++) {
+        const size = baseSize + (i >= tierCount - extra ? 1 : 0);
+        tiers.push(list.slice(start, start + size));
+        start += size;
+    }
+    return tiers;
+};
+
+/**
+ * Draws cricketers for the auction pool and splits each role into tiered sub-pools by OVR.
+ * @param {object[]} cricketers The list to draw from.
+ * @param {object} settings The room settings (`poolFilter`, `roleQuotas`, `roleTiers`, `subPoolOrder`).
+ * @param {() => number} random Random source returning a number in [0, 1).
+ * @returns {{ auctionPool: object[], subPools: object, subPoolOrder: string[], shortfalls: string[], errors: string[] }}
+ *   `shortfalls` describes roles drawn with fewer than their quota; `errors` is set when nothing could be drawn.
+ */
+export const drawAuctionPool = (cricketers, { poolFilter, roleQuotas, roleTiers, subPoolOrder: order }, random) => {
+    const eligible = cricketers.filter(c => matchesPoolFilter(c, poolFilter));
+    const sortByOverall = (a, b) => b.overall - a.overall;
+    const subPools = {};
+    const auctionPool = [];
+    const shortfalls = [];
+    for (const role of Object.keys(SUBPOOL_LABELS)) {
+        const candidates = eligible.filter(p => p.role === role);
+        shuffleArray(candidates, random);
+        const selected = candidates.slice(0, roleQuotas[role]);
+        selected.sort(sortByOverall);
+        auctionPool.push(...selected);
+        if (selected.length < roleQuotas[role]) shortfalls.push(`${selected.length} of ${roleQuotas[role]} ${ROLE_LABELS[role]}`);
+
+        const sizes = tierSizes(roleQuotas[role], roleTiers[role]);
+        const scaled = scaleTierSizes(sizes, selected.length);
+        let start = 0;
+        subPoolNames(role, sizes.length).forEach((name, index) => {
+            const size = scaled[index] ?? 0;
+            subPools[name] = selected.slice(start, start + size);
+            start += size;
+        });
+    }
+    if (auctionPool.length === 0) {
+        return { auctionPool: [], subPools: {}, subPoolOrder: [], shortfalls, errors: ['no cricketers match the pool settings'] };
+    }
+
+    // Small quotas can leave a tier empty; skip those.
+    const subPoolOrder = orderedSubPoolNames(roleTiers, order).filter(name => subPools[name].length > 0);
+    return { auctionPool, subPools, subPoolOrder, shortfalls, errors: [] };
+};
@@ -0,0 +1,1715 @@
+// --- Auction Engine ---
+// The game rules as a pure state machine: `reduce(state, action, context)` returns the next
+// state plus the side effects the caller should perform. The engine never touches sockets,
+// timers or globals; time only moves forward through the *_ELAPSED actions it schedules.
+//
+// Effects:
+//   { type: 'BROADCAST_STATE' }                        send the new state to everyone in the room
+//   { type: 'BROADCAST', message }                     send a message to everyone in the room
+//   { type: 'REPLY', message }                         send a message to whoever dispatched the action
+//   { type: 'SCHEDULE', timer, delayMs, action }       dispatch `action` after `delayMs`, replacing any pending `timer`
+//   { type: 'CANCEL_TIMER', timer }                    drop the pending `timer`, if any
+//   { type: 'CLOSE_ROOM' }                             the room is finished with (last player left, or an admin closed it); delete it
+//   { type: 'ARCHIVE_AUCTION', log }                   an auction finished or was abandoned; keep its event log
+//   { type: 'RECORD_RESULTS', record }                 an auction completed; keep its results and update lifetime stats
+//   { type: 'DISCONNECT_CLIENT', playerId, message }   send `message` to that player's socket, then close it (they were kicked)
+
+import { randomUUID } from 'crypto';
+import { validateGameSettings, getBidIncrement } from '../settings.js';
+import { drawAuctionPool, shuffleArray } from './draw.js';
+import { squadExclusionReason } from './squadRules.js';
+import { maxAllowedBid, computeMaxBids } from './budgetRules.js';
+import { resolveSealedBids } from './sealedBids.js';
+import { checkCricketerRows } from '../cricketers/normalise.js';
+import { BOT_PERSONALITIES, decideBotAction, decideBotSealedBid, botThinkingDelayMs } from '../bots/strategy.js';
+import { rankTeams } from '../results/ratings.js';
+import { simulateRoundRobin } from '../results/simulation.js';
+import { seededRandom } from '../random.js';
+import { auctionRecord } from '../stats/records.js';
+import { ERROR_CODES, errorMessage } from '../protocol/errors.js';
+
+// Timer slots. A room has at most one pending timer per slot.
+// The turn slot also holds the sealed-bid deadline and the open-outcry countdown; the bot slot
+// is for bots thinking during an open-outcry lot.
+export const PHASE_TIMER = 'phase';
+export const TURN_TIMER = 'turn';
+export const BOT_TIMER = 'bot';
+
+export const UNSOLD_ROUND_PLACEHOLDER = "--- UNSOLD ROUND ---";
+
+// Pause before a proxy bid is placed, so everyone can follow the bidding.
+export const AUTO_BID_DELAY_MS = 600;
+
+// The most cricketers a host can upload for their room (SET_CUSTOM_POOL).
+export const MAX_CUSTOM_POOL_SIZE = 500;
+
+/**
+ * Creates a player seated in a room.
+ * @param {string|null} [accountId] The linked account, for signed-in players.
+ */
+export const createPlayer = (id, name, settings, isHost = false, accountId = null) => ({
+    id,
+    name,
+    accountId,
+    budget: settings.startingBudget,
+    squad: [],
+    isHost,
+    isReady: isHost, // Host is always ready
+    readyForAuction: isHost,
+    isConnected: true,
+    isBot: false,
+});
+
+/**
+ * Creates a server-controlled bidder. Bots are always connected and always ready.
+ */
+export const createBot = (id, name, personality, settings) => ({
+    ...createPlayer(id, name, settings),
+    isReady: true,
+    readyForAuction: true,
+    isBot: true,
+    botPersonality: personality,
+});
+
+/**
+ * Creates the initial state for a new game.
+ * @param {object} settings Validated room settings (see validateGameSettings).
+ * @param {string|null} [hostAccountId] The host's linked account, if signed in.
+ */
+export const createInitialGameState = (roomCode, hostSessionId, hostPlayerName, settings, hostAccountId = null) => ({
+    gameStatus: 'LOBBY',
+    roomCode: roomCode,
+    settings: settings,
+    players: [createPlayer(hostSessionId, hostPlayerName, settings, true, hostAccountId)],
+    // Viewers without a seat: `{ id, name, accountId }`. They never bid and don't count toward maxPlayers.
+    spectators: [],
+    auctionPool: [],
+    subPools: {},
+    subPoolOrder: [],
+    // Cricketers the host uploaded for this room, drawn from instead of the server's list; null
+    // when the room uses the server's list. Clients only get the count (`customPoolSize`).
+    customCricketers: null,
+    currentPlayerForAuction: null,
+    auctionHistory: [],
+    currentBid: 0,
+    highestBidderId: null,
+    activePlayerId: '',
+    masterBiddingOrder: [],
+    biddingOrder: [],
+    startingPlayerIndex: 0,
+    playersInRound: [],
+    // Why each player left out of the current lot was excluded: { playerId: reason }.
+    roundExclusions: {},
+    // Each player's largest allowed bid right now: { playerId: amount }.
+    maxBids: { [hostSessionId]: settings.startingBudget },
+    // Private proxy ceilings for the current cricketer: { playerId: maxAmount }.
+    // Each client only ever sees its own entry (see stateForPlayer).
+    autoBids: {},
+    // Hidden bids for the current cricketer in SEALED_BID rooms: { playerId: amount }, in the
+    // order they came in. Each client only sees its own (see stateForPlayer).
+    sealedBids: {},
+    lastActionMessage: `Room created by ${hostPlayerName}.`,
+    isLoading: false,
+    currentSubPoolName: '',
+    currentSubPoolPlayers: [],
+    nextSubPoolName: '',
+    nextSubPoolPlayers: [],
+    currentSubPoolOrderIndex: 0,
+    currentPlayerInSubPoolIndex: -1,
+    // State for unsold players
+    unsoldPool: [],
+    isSecondRound: false,
+    // Set when the host shows results after GAME_OVER: { seed, rankings, standings, matches }.
+    results: null,
+    // The running auction's event log (see logEvent). Not sent to clients; they get `auctionId`
+    // and can export the log once the auction is archived.
+    auctionId: null,
+    auctionLog: null,
+    // Timers the engine has scheduled and not seen fire yet: { slot: { dueAt, action } }, and
+    // while the host has the game paused, what was left of them: { slot: { remainingMs, action } }.
+    // Neither is sent to clients.
+    pendingTimers: {},
+    isPaused: false,
+    pausedTimers: {},
+    // When the current phase and turn end, in server time (ms since the epoch), or null when no
+    // such timer is running. Clients count down to these (see CLOCK_SYNC for the clock offset).
+    phaseEndsAt: null,
+    turnEndsAt: null,
+    // Players the host kicked. Their ids, accounts and (when the adapter passes them) connection
+    // addresses are all turned away, so a new player id isn't enough to come back. Only the ids
+    // are sent to clients.
+    kickedPlayerIds: [],
+    kickedAccountIds: [],
+    kickedAddresses: [],
+    // Where each player's and spectator's socket connects from ({ id: address }), so a kick can
+    // ban the address. Not sent to clients.
+    connectionAddresses: {},
+    // Players and spectators the host muted; they can't chat or react. The chat itself is kept
+    // outside the game state (see src/chat/chatRoom.js).
+    mutedPlayerIds: [],
+});
+
+// --- Effect helpers ---
+
+const broadcastState = (ctx) => {
+    if (!ctx.effects.some(e => e.type === 'BROADCAST_STATE')) ctx.effects.push({ type: 'BROADCAST_STATE' });
+};
+
+// The action is tagged with its slot so the engine knows which pending timer fired.
+const schedule = (ctx, timer, delayMs, action) => {
+    ctx.effects.push({ type: 'SCHEDULE', timer, delayMs, action: { ...action, timer } });
+};
+
+const cancelTimer = (ctx, timer) => {
+    ctx.effects.push({ type: 'CANCEL_TIMER', timer });
+};
+
+const cancelAllTimers = (ctx) => {
+    [PHASE_TIMER, TURN_TIMER, BOT_TIMER].forEach(timer => cancelTimer(ctx, timer));
+};
+
+const reply = (ctx, message) => {
+    ctx.effects.push({ type: 'REPLY', message });
+};
+
+const replyError = (ctx, code, message, fatal = false) => {
+    reply(ctx, errorMessage(code, message, fatal));
+};
+
+const findPlayer = (state, playerId) => state.players.find(p => p.id === playerId);
+
+/**
+ * The state as one client should see it: other players' proxy ceilings and sealed bids are
+ * hidden; `sealedBidderIds` says who has bid without saying how much. While the game is
+ * paused, `pausedTimeLeftMs` has what was left of the phase and turn timers. An uploaded
+ * cricketer list is only counted, in `customPoolSize`. Linked accounts (`accountId`) stay on
+ * the server.
+ * @param {object} state The full game state.
+ * @param {string} viewerId The session id of the client.
+ */
+export const stateForPlayer = (state, viewerId) => {
+    const {
+        auctionLog, pendingTimers, pausedTimers, customCricketers,
+        kickedAccountIds, kickedAddresses, connectionAddresses, ...visible
+    } = state;
+    const pausedTimeLeftMs = {};
+    for (const timer of [PHASE_TIMER, TURN_TIMER]) {
+        if (pausedTimers[timer]) pausedTimeLeftMs[timer] = pausedTimers[timer].remainingMs;
+    }
+    return {
+        ...visible,
+        players: state.players.map(({ accountId, ...player }) => player),
+        spectators: state.spectators.map(({ accountId, ...spectator }) => spectator),
+        pausedTimeLeftMs,
+        autoBids: viewerId in state.autoBids ? { [viewerId]: state.autoBids[viewerId] } : {},
+        sealedBids: viewerId in state.sealedBids ? { [viewerId]: state.sealedBids[viewerId] } : {},
+        sealedBidderIds: Object.keys(state.sealedBids),
+        customPoolSize: customCricketers?.length ?? null,
+    };
+};
+
+// --- Event Log ---
+
+const isAuctionRunning = (state) => state.auctionLog !== null && state.auctionLog.endedAt === null;
+
+/**
+ * Appends a timestamped event to the running auction's log. Does nothing outside an auction.
+ */
+const logEvent = (state, ctx, type, details = {}) => {
+    if (!isAuctionRunning(state)) return;
+    const { events } = state.auctionLog;
+    events.push({ seq: events.length + 1, at: ctx.now(), type, ...details });
+};
+
+/**
+ * Closes the running auction's log and hands it to the caller to keep.
+ * @param {'COMPLETED'|'ABANDONED'} outcome
+ */
+const archiveAuctionLog = (state, outcome, message, ctx) => {
+    if (!isAuctionRunning(state)) return;
+    logEvent(state, ctx, outcome === 'COMPLETED' ? 'AUCTION_ENDED' : 'AUCTION_ABANDONED', { message });
+    state.auctionLog.endedAt = ctx.now();
+    state.auctionLog.outcome = outcome;
+    state.auctionLog.finalSquads = state.players.map(p => ({
+        playerId: p.id, name: p.name, budget: p.budget, cricketerIds: p.squad.map(c => c.id),
+    }));
+    ctx.effects.push({ type: 'ARCHIVE_AUCTION', log: structuredClone(state.auctionLog) });
+};
+
+/**
+ * The bid the next `PLACE_BID` without an amount would make.
+ */
+const nextBidAmount = (state) => state.currentBid + getBidIncrement(state.currentBid, state.settings.bidIncrements);
+
+/**
+ * Whether `amount` can be reached from `from` by stepping up the increment ladder.
+ */
+const isOnBidLadder = (from, amount, ladder) => {
+    let bid = from;
+    while (bid < amount) bid += getBidIncrement(bid, ladder);
+    return bid === amount;
+};
+const findSpectator = (state, spectatorId) => state.spectators.find(s => s.id === spectatorId);
+
+// --- Game Flow ---
+
+/**
+ * Schedules the timer that ends the current timed phase, if the room is in one.
+ */
+const armPhaseTimer = (state, ctx) => {
+    const { settings } = state;
+    switch (state.gameStatus) {
+        case 'PRE_AUCTION_TIMER':
+            schedule(ctx, PHASE_TIMER, settings.preAuctionDurationSeconds * 1000, { type: 'PRE_AUCTION_TIMER_ELAPSED' });
+            break;
+        case 'PLAYER_BREAK_TIMER':
+            schedule(ctx, PHASE_TIMER, settings.playerBreakDurationSeconds * 1000, {
+                type: 'PLAYER_BREAK_TIMER_ELAPSED',
+                payload: { cricketerId: state.currentPlayerForAuction.id },
+            });
+            break;
+        case 'PRE_ROUND_TIMER':
+            schedule(ctx, PHASE_TIMER, settings.preRoundDurationSeconds * 1000, { type: 'PRE_ROUND_TIMER_ELAPSED' });
+            break;
+        case 'ROUND_OVER':
+            schedule(ctx, PHASE_TIMER, settings.roundOverDurationMs, { type: 'ROUND_OVER_TIMER_ELAPSED' });
+            break;
+    }
+};
+
+/**
+ * Resets the game to the lobby, keeping players and settings.
+ * @param {string} reason Why, for the event log of an auction cut short.
+ */
+const resetGameForLobby = (state, reason, ctx) => {
+    const { settings } = state;
+    const host = state.players.find(p => p.isHost);
+    if (!host) return state;
+
+    cancelAllTimers(ctx);
+    archiveAuctionLog(state, 'ABANDONED', reason, ctx);
+
+    // Preserve players, but reset their game-specific stats
+    const preservedPlayers = state.players.map(p => ({
+        ...p,
+        budget: settings.startingBudget,
+        squad: [],
+        isReady: p.isHost || p.isBot, // Only host and bots are ready by default
+        readyForAuction: p.isHost || p.isBot,
+    }));
+
+    broadcastState(ctx);
+    return {
+        ...createInitialGameState(state.roomCode, host.id, host.name, settings),
+        players: preservedPlayers,
+        spectators: state.spectators,
+        kickedPlayerIds: state.kickedPlayerIds,
+        kickedAccountIds: state.kickedAccountIds,
+        kickedAddresses: state.kickedAddresses,
+        connectionAddresses: state.connectionAddresses,
+        customCricketers: state.customCricketers,
+        mutedPlayerIds: state.mutedPlayerIds,
+        lastActionMessage: 'Returned to lobby. The host can draw players for a new game.',
+    };
+};
+
+/**
+ * Draws the auction pool from the room's uploaded list, or else the server's `cricketers`.
+ */
+const drawPlayers = (state, cricketers, ctx) => {
+    const source = state.customCricketers ?? cricketers;
+    const { auctionPool, subPools, subPoolOrder, shortfalls, errors } = drawAuctionPool(source, state.settings, ctx.random);
+    broadcastState(ctx);
+
+    if (errors.length > 0) {
+        const drawError = `Cannot draw players: ${errors.join(', ')}.`;
+        ctx.effects.push({ type: 'BROADCAST', message: errorMessage(ERROR_CODES.DRAW_FAILED, drawError) });
+        state.lastActionMessage = `Error: ${drawError}`;
+        return;
+    }
+
+    state.auctionPool = auctionPool;
+    state.subPools = subPools;
+    state.subPoolOrder = subPoolOrder;
+    state.gameStatus = 'AUCTION_POOL_VIEW';
+    state.lastActionMessage = shortfalls.length > 0
+        ? `Auction pool has been drawn! Only ${shortfalls.join(', ')} were available.`
+        : "Auction pool has been drawn!";
+
+    state.players.forEach(p => {
+        p.isReady = p.isHost || p.isBot;
+        p.readyForAuction = p.isHost || p.isBot;
+    });
+};
+
+/**
+ * Sets the cricketers this room draws from to the host's own list, or back to the server's
+ * list when `rows` is null. Rows use the `cricketers` table layout; one bad row rejects the upload.
+ * The host is told the new pool size (CUSTOM_POOL_SET), since uploads don't come over the socket.
+ */
+const setCustomPool = (state, host, rows, ctx) => {
+    if (rows === null) {
+        state.customCricketers = null;
+        state.lastActionMessage = `${host.name} switched back to the standard cricketer list.`;
+        reply(ctx, { type: 'CUSTOM_POOL_SET', payload: { customPoolSize: null } });
+        broadcastState(ctx);
+        return;
+    }
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_CUSTOM_POOL_SIZE) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, `cricketers must be null or a list of 1 to ${MAX_CUSTOM_POOL_SIZE} rows.`);
+        return;
+    }
+    const { cricketers, invalidRows } = checkCricketerRows(rows);
+    if (invalidRows.length > 0) {
+        const listed = invalidRows.slice(0, 5).map(({ row, problems }) => `row ${row}: ${problems.join(', ')}`).join('; ');
+        const more = invalidRows.length > 5 ? ` (and ${invalidRows.length - 5} more)` : '';
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, `Invalid cricketers: ${listed}${more}.`);
+        return;
+    }
+    state.customCricketers = cricketers;
+    state.lastActionMessage = `${host.name} uploaded ${cricketers.length} cricketers for this room.`;
+    reply(ctx, { type: 'CUSTOM_POOL_SET', payload: { customPoolSize: cricketers.length } });
+    broadcastState(ctx);
+};
+
+const startAuction = (state, ctx) => {
+    state.masterBiddingOrder = state.players.map(p => p.id);
+    shuffleArray(state.masterBiddingOrder, ctx.random);
+    state.startingPlayerIndex = 0;
+    state.currentSubPoolOrderIndex = 0;
+    state.currentPlayerInSubPoolIndex = -1;
+
+    const startedAt = ctx.now();
+    // Unguessable: knowing the id is what lets someone export or replay the auction.
+    state.auctionId = ctx.newId();
+    state.auctionLog = {
+        auctionId: state.auctionId,
+        roomCode: state.roomCode,
+        startedAt,
+        endedAt: null,
+        outcome: null,
+        settings: state.settings,
+        players: state.players.map(p => ({ id: p.id, name: p.name, budget: p.budget, isBot: p.isBot })),
+        subPoolOrder: state.subPoolOrder,
+        events: [],
+    };
+    logEvent(state, ctx, 'AUCTION_STARTED', { biddingOrder: state.masterBiddingOrder });
+
+    state.gameStatus = 'PRE_AUCTION_TIMER';
+    broadcastState(ctx);
+    armPhaseTimer(state, ctx);
+};
+
+/**
+ * Moves to a sub-pool break, showing what was just auctioned and what comes next.
+ */
+const enterSubPoolBreak = (state, currentSubPoolName, currentSubPoolPlayers, nextSubPoolName, ctx) => {
+    state.gameStatus = 'SUBPOOL_BREAK';
+    state.currentSubPoolName = currentSubPoolName;
+    state.nextSubPoolName = nextSubPoolName;
+    state.currentSubPoolPlayers = currentSubPoolPlayers;
+    state.nextSubPoolPlayers = state.subPools[nextSubPoolName];
+
+    state.players.forEach(p => { if (!p.isHost && !p.isBot) p.isReady = false; });
+    broadcastState(ctx);
+};
+
+const endGame = (state, message, ctx) => {
+    state.gameStatus = 'GAME_OVER';
+    state.lastActionMessage = message;
+    if (isAuctionRunning(state)) ctx.effects.push({ type: 'RECORD_RESULTS', record: auctionRecord(state, ctx.now()) });
+    archiveAuctionLog(state, 'COMPLETED', message, ctx);
+    broadcastState(ctx);
+};
+
+/**
+ * Rates every squad and simulates a round-robin between them. The simulation runs on its own
+ * seeded random source; the seed is kept in the results so the matches can be replayed.
+ * @param {number} [seed] The seed to use. A random one is picked when it isn't given.
+ */
+const showResults = (state, seed, ctx) => {
+    if (seed !== undefined && !Number.isInteger(seed)) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, 'Results seed must be a whole number.');
+        return;
+    }
+    const resultsSeed = seed ?? Math.floor(ctx.random() * 2 ** 32);
+    const teams = state.players.map(p => ({ playerId: p.id, name: p.name, squad: p.squad }));
+    const { matches, standings } = simulateRoundRobin(teams, seededRandom(resultsSeed));
+
+    state.results = {
+        seed: resultsSeed,
+        rankings: rankTeams(state.players, state.settings),
+        standings,
+        matches,
+    };
+    state.gameStatus = 'RESULTS';
+    const leader = standings[0];
+    state.lastActionMessage = leader ? `${leader.name} tops the table!` : 'Results are in.';
+    broadcastState(ctx);
+};
+
+/**
+ * Sets up the unsold round from `unsoldPool`, or ends the game if there's nothing to re-auction.
+ */
+const startSecondRound = (state, ctx) => {
+    state.isSecondRound = true;
+    const newSubPools = {
+        "Unsold Batsmen": state.unsoldPool.filter(p => p.role === 'Batsman'),
+        "Unsold Bowlers": state.unsoldPool.filter(p => p.role === 'Bowler'),
+        "Unsold All-Rounders": state.unsoldPool.filter(p => p.role === 'All-Rounder'),
+        "Unsold Wicket-Keepers": state.unsoldPool.filter(p => p.role === 'Wicket-Keeper'),
+    };
+
+    const finalSubPools = {};
+    const finalSubPoolOrder = [];
+    for (const poolName in newSubPools) {
+        if (newSubPools[poolName].length > 0) {
+            finalSubPools[poolName] = newSubPools[poolName];
+            finalSubPoolOrder.push(poolName);
+        }
+    }
+
+    if (finalSubPoolOrder.length === 0) {
+        endGame(state, 'The auction has concluded! No unsold players to auction.', ctx);
+        return;
+    }
+
+    state.subPools = finalSubPools;
+    state.subPoolOrder = finalSubPoolOrder;
+    state.currentSubPoolOrderIndex = 0;
+    state.currentPlayerInSubPoolIndex = -1;
+    logEvent(state, ctx, 'UNSOLD_ROUND_STARTED', { cricketerIds: state.unsoldPool.map(c => c.id) });
+    enterSubPoolBreak(state, UNSOLD_ROUND_PLACEHOLDER, [], finalSubPoolOrder[0], ctx);
+};
+
+/**
+ * Why `player` can't bid on `cricketer`, or null if they can.
+ */
+const lotExclusionReason = (state, player, cricketer) => {
+    const reason = squadExclusionReason(player.squad, cricketer, state.settings);
+    if (reason) return reason;
+    if (player.budget < cricketer.basePrice) return "Can't afford the base price.";
+    if (maxAllowedBid(state, player) < cricketer.basePrice) return 'Needs to keep budget in reserve for the rest of the squad.';
+    return null;
+};
+
+const nextPlayer = (state, ctx) => {
+    const nextPlayerIndex = state.currentPlayerInSubPoolIndex + 1;
+    const currentSubPoolIndex = state.currentSubPoolOrderIndex;
+    const currentSubPoolName = state.subPoolOrder[currentSubPoolIndex];
+    const currentPool = state.subPools[currentSubPoolName];
+
+    if (!currentPool || nextPlayerIndex >= currentPool.length) {
+        const nextSubPoolIndex = currentSubPoolIndex + 1;
+
+        if (nextSubPoolIndex >= state.subPoolOrder.length) {
+            if (state.isSecondRound || state.unsoldPool.length === 0) {
+                endGame(state, 'The auction has concluded!', ctx);
+                return;
+            }
+            startSecondRound(state, ctx);
+            return;
+        }
+
+        enterSubPoolBreak(state, currentSubPoolName, currentPool || [], state.subPoolOrder[nextSubPoolIndex], ctx);
+        return;
+    }
+
+    state.currentPlayerInSubPoolIndex = nextPlayerIndex;
+    const cricketer = currentPool[nextPlayerIndex];
+
+    state.currentSubPoolName = currentSubPoolName;
+    state.currentSubPoolPlayers = currentPool;
+    state.currentPlayerForAuction = cricketer;
+    state.currentBid = cricketer.basePrice;
+    state.highestBidderId = null;
+    state.sealedBids = {};
+    state.roundExclusions = {};
+    state.playersInRound = [];
+    for (const p of state.players) {
+        const reason = lotExclusionReason(state, p, cricketer);
+        if (reason) state.roundExclusions[p.id] = reason;
+        else state.playersInRound.push(p.id);
+    }
+    if (nextPlayerIndex === 0) logEvent(state, ctx, 'SUBPOOL_STARTED', { subPool: currentSubPoolName, cricketerIds: currentPool.map(c => c.id) });
+    logEvent(state, ctx, 'LOT_OPENED', {
+        subPool: currentSubPoolName,
+        cricketer: { id: cricketer.id, name: cricketer.name, role: cricketer.role, basePrice: cricketer.basePrice },
+        playersInRound: state.playersInRound,
+        exclusions: state.roundExclusions,
+    });
+    state.gameStatus = 'PLAYER_BREAK_TIMER';
+    broadcastState(ctx);
+    armPhaseTimer(state, ctx);
+};
+
+/**
+ * Opens bidding on the current cricketer once the player break is over.
+ */
+const openBidding = (state, ctx) => {
+    state.gameStatus = 'AUCTION';
+    const masterOrder = state.masterBiddingOrder;
+    const startIndex = state.startingPlayerIndex;
+    state.biddingOrder = [...masterOrder.slice(startIndex), ...masterOrder.slice(0, startIndex)].filter(id => state.playersInRound.includes(id));
+
+    if (state.biddingOrder.length === 0) {
+        endRound(state, ctx);
+        return;
+    }
+
+    state.startingPlayerIndex = (startIndex + 1) % masterOrder.length;
+    switch (state.settings.auctionMode) {
+        case 'SEALED_BID':
+            openSealedBidding(state, ctx);
+            break;
+        case 'OPEN_OUTCRY':
+            openOutcry(state, ctx);
+            break;
+        default:
+            state.activePlayerId = state.biddingOrder[0] || null;
+            startTurnTimer(state, ctx);
+            broadcastState(ctx);
+    }
+};
+
+const continueToNextSubPool = (state, ctx) => {
+    state.gameStatus = 'PRE_ROUND_TIMER';
+    broadcastState(ctx);
+    armPhaseTimer(state, ctx);
+};
+
+const startNextSubPool = (state, ctx) => {
+    // This condition is true only for the very first transition into the unsold round,
+    // where the 'current' sub-pool is a special placeholder name. Its index is already 0.
+    if (!(state.isSecondRound && state.currentSubPoolName === UNSOLD_ROUND_PLACEHOLDER)) {
+        state.currentSubPoolOrderIndex++;
+    }
+
+    state.currentPlayerInSubPoolIndex = -1;
+    state.nextSubPoolName = '';
+    state.nextSubPoolPlayers = [];
+    state.currentSubPoolPlayers = [];
+    nextPlayer(state, ctx);
+};
+
+const endRound = (state, ctx) => {
+    if (state.gameStatus === 'ROUND_OVER') return;
+    cancelTimer(ctx, TURN_TIMER);
+    cancelTimer(ctx, BOT_TIMER);
+    state.autoBids = {};
+    state.sealedBids = {};
+
+    const { highestBidderId, currentBid, currentPlayerForAuction } = state;
+    let winnerId = 'UNSOLD';
+    let winningBid = 0;
+
+    if (highestBidderId && state.playersInRound.includes(highestBidderId)) {
+        const winner = findPlayer(state, highestBidderId);
+        if (winner) {
+            winner.budget -= currentBid;
+            winner.squad.push(currentPlayerForAuction);
+            winnerId = winner.id;
+            winningBid = currentBid;
+            state.lastActionMessage = `${currentPlayerForAuction.name} sold to ${winner.name} for ${currentBid}!`;
+            logEvent(state, ctx, 'SOLD', { cricketerId: currentPlayerForAuction.id, playerId: winner.id, amount: currentBid });
+        }
+    } else {
+        state.lastActionMessage = `${currentPlayerForAuction.name} was unsold.`;
+        logEvent(state, ctx, 'UNSOLD', { cricketerId: currentPlayerForAuction.id });
+    }
+
+    if (winnerId === 'UNSOLD') {
+        state.unsoldPool.push(currentPlayerForAuction);
+    }
+
+    state.auctionHistory.push({
+        cricketer: currentPlayerForAuction,
+        winningBid: winningBid,
+        winnerId: winnerId,
+        timestamp: ctx.now(),
+    });
+
+    // Check if all players' squads are full
+    const allTeamsFull = state.players.every(p => p.squad.length >= state.settings.maxSquadSize);
+    if (winnerId !== 'UNSOLD' && allTeamsFull) {
+        endGame(state, 'All teams are full! The auction has ended.', ctx);
+        return;
+    }
+
+    state.gameStatus = 'ROUND_OVER';
+    broadcastState(ctx);
+    armPhaseTimer(state, ctx);
+};
+
+/**
+ * (Re)starts the turn timer for the active player. A player who is inside their
+ * reconnect window times out straight away so the lot isn't held up, unless
+ * `fullTurn` is set.
+ */
+const startTurnTimer = (state, ctx, fullTurn = false) => {
+    const activePlayer = findPlayer(state, state.activePlayerId);
+    if (activePlayer?.isBot) {
+        schedule(ctx, TURN_TIMER, botThinkingDelayMs(activePlayer, state.settings, ctx.random), { type: 'BOT_TURN', payload: { playerId: activePlayer.id } });
+        return;
+    }
+    if (activePlayer && activePlayer.id in state.autoBids) {
+        const ceiling = state.autoBids[activePlayer.id];
+        const nextBid = nextBidAmount(state);
+        if (nextBid <= ceiling && nextBid <= maxAllowedBid(state, activePlayer)) {
+            schedule(ctx, TURN_TIMER, AUTO_BID_DELAY_MS, { type: 'AUTO_BID', payload: { playerId: activePlayer.id } });
+            return;
+        }
+        // The ceiling has been passed; the player is back to bidding by hand.
+        delete state.autoBids[activePlayer.id];
+    }
+    const delayMs = activePlayer && !activePlayer.isConnected && !fullTurn ? 0 : state.settings.turnDurationSeconds * 1000;
+    schedule(ctx, TURN_TIMER, delayMs, { type: 'TURN_TIMER_ELAPSED', payload: { playerId: state.activePlayerId } });
+};
+
+const advanceTurn = (state, actionPlayerId, actionType, ctx) => {
+    if (state.gameStatus !== 'AUCTION') return;
+    cancelTimer(ctx, TURN_TIMER);
+    if (actionType !== 'BID') logEvent(state, ctx, actionType, { playerId: actionPlayerId });
+
+    const { biddingOrder, highestBidderId } = state;
+    let { playersInRound } = state;
+
+    if (actionType === 'DROP' || actionType === 'TIMEOUT') {
+        playersInRound = playersInRound.filter(id => id !== actionPlayerId);
+        state.playersInRound = playersInRound;
+
+        const player = findPlayer(state, actionPlayerId);
+        if (player) {
+            state.lastActionMessage = `${player.name} ${actionType === 'TIMEOUT' ? 'timed out' : 'dropped'}.`;
+        }
+    }
+
+    if (playersInRound.length === 0) {
+        endRound(state, ctx);
+        return;
+    }
+
+    if (playersInRound.length === 1) {
+        if (!highestBidderId) {
+            // Last player hasn't had a chance to bid, give them the turn.
+            state.activePlayerId = playersInRound[0];
+            startTurnTimer(state, ctx);
+            broadcastState(ctx);
+            return;
+        }
+        // If there is a bidder, the round ends.
+        endRound(state, ctx);
+        return;
+    }
+
+    const currentActiveIndex = biddingOrder.indexOf(actionPlayerId);
+    if (currentActiveIndex === -1) {
+        endRound(state, ctx);
+        return;
+    }
+
+    let nextIndex = (currentActiveIndex + 1) % biddingOrder.length;
+    let loopDetector = 0;
+    while (!playersInRound.includes(biddingOrder[nextIndex]) && loopDetector < biddingOrder.length) {
+        nextIndex = (nextIndex + 1) % biddingOrder.length;
+        loopDetector++;
+    }
+
+    const nextPlayerId = biddingOrder[nextIndex];
+
+    if ((highestBidderId && nextPlayerId === highestBidderId) || loopDetector >= biddingOrder.length) {
+        endRound(state, ctx);
+        return;
+    }
+
+    state.activePlayerId = nextPlayerId;
+    startTurnTimer(state, ctx);
+    broadcastState(ctx);
+};
+
+// --- Sealed-Bid and Open-Outcry Lots ---
+
+/**
+ * Opens a sealed-bid lot. Bots put in their bids straight away; everyone else has until the
+ * deadline, and the lot closes early once everyone in the round has bid.
+ */
+const openSealedBidding = (state, ctx) => {
+    state.activePlayerId = '';
+    schedule(ctx, TURN_TIMER, state.settings.sealedBidDurationSeconds * 1000, {
+        type: 'SEALED_BIDS_DUE',
+        payload: { cricketerId: state.currentPlayerForAuction.id },
+    });
+    for (const id of [...state.biddingOrder]) {
+        const bot = findPlayer(state, id);
+        if (state.gameStatus !== 'AUCTION') break;
+        if (!bot?.isBot) continue;
+        const amount = decideBotSealedBid(state, bot, ctx.random);
+        if (amount === null) leaveOpenRound(state, bot, ctx);
+        else recordSealedBid(state, bot, amount, ctx);
+    }
+    if (state.gameStatus === 'AUCTION') checkRoundOver(state, ctx);
+    broadcastState(ctx);
+};
+
+const recordSealedBid = (state, player, amount, ctx) => {
+    state.sealedBids[player.id] = amount;
+    state.lastActionMessage = `${player.name} has sealed a bid.`;
+    logEvent(state, ctx, 'SEALED_BID', { playerId: player.id, amount });
+};
+
+/**
+ * Takes a player's one hidden bid. It must be at least the base price and within what they
+ * may spend; it can't be changed once in.
+ */
+const submitSealedBid = (state, player, amount, ctx) => {
+    if (player.id in state.sealedBids) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, 'You have already sealed your bid.');
+        return;
+    }
+    const { basePrice } = state.currentPlayerForAuction;
+    const limit = maxAllowedBid(state, player);
+    if (amount < basePrice || amount > limit) {
+        replyError(ctx, ERROR_CODES.INVALID_BID, `Your bid must be between ${basePrice} and ${limit}.`);
+        return;
+    }
+    recordSealedBid(state, player, amount, ctx);
+    checkRoundOver(state, ctx);
+    broadcastState(ctx);
+};
+
+/**
+ * Opens the sealed bids and sells the lot to the winner at the price the pricing rule sets.
+ */
+const revealSealedBids = (state, ctx) => {
+    const { settings, currentPlayerForAuction: cricketer } = state;
+    const bids = Object.entries(state.sealedBids).filter(([id]) => state.playersInRound.includes(id));
+    const result = resolveSealedBids(bids, {
+        pricing: settings.sealedBidPricing,
+        tiebreak: settings.sealedBidTiebreak,
+        basePrice: cricketer.basePrice,
+        biddingOrder: state.biddingOrder,
+        random: ctx.random,
+    });
+    const revealed = bids.map(([playerId, amount]) => ({ playerId, amount }));
+    logEvent(state, ctx, 'SEALED_BIDS_REVEALED', { cricketerId: cricketer.id, bids: revealed, ...result });
+    ctx.effects.push({
+        type: 'BROADCAST',
+        message: { type: 'SEALED_BIDS_REVEALED', payload: { cricketerId: cricketer.id, bids: revealed, winnerId: result?.winnerId ?? null, price: result?.price ?? null } },
+    });
+    if (result) {
+        state.currentBid = result.price;
+        state.highestBidderId = result.winnerId;
+    }
+    endRound(state, ctx);
+};
+
+/**
+ * Opens an open-outcry lot: anyone in the round may bid until the countdown runs out.
+ */
+const openOutcry = (state, ctx) => {
+    state.activePlayerId = '';
+    startOutcryCountdown(state, ctx);
+    broadcastState(ctx);
+};
+
+/**
+ * (Re)starts the open-outcry countdown, and gives the bots in the round a moment to think.
+ */
+const startOutcryCountdown = (state, ctx) => {
+    schedule(ctx, TURN_TIMER, state.settings.outcryCountdownSeconds * 1000, {
+        type: 'OUTCRY_COUNTDOWN_ELAPSED',
+        payload: { cricketerId: state.currentPlayerForAuction.id },
+    });
+    scheduleOutcryBots(state, ctx);
+};
+
+// Wakes the bots that could outbid the current highest bidder, if there are any.
+const scheduleOutcryBots = (state, ctx) => {
+    const { settings } = state;
+    const bot = state.players.find(p => p.isBot && state.playersInRound.includes(p.id) && p.id !== state.highestBidderId);
+    if (!bot) {
+        cancelTimer(ctx, BOT_TIMER);
+        return;
+    }
+    schedule(ctx, BOT_TIMER, botThinkingDelayMs(bot, settings, ctx.random, settings.outcryCountdownSeconds), {
+        type: 'OUTCRY_BOT_TURN',
+        payload: { cricketerId: state.currentPlayerForAuction.id },
+    });
+};
+
+/**
+ * Lets each bot that isn't winning the lot decide in turn. The first to bid starts the
+ * countdown over; if some bots are still making up their mind, they get another look later.
+ */
+const outcryBotTurn = (state, ctx) => {
+    let undecided = false;
+    for (const id of [...state.biddingOrder]) {
+        const bot = findPlayer(state, id);
+        if (!bot?.isBot || !state.playersInRound.includes(id) || id === state.highestBidderId) continue;
+        const decision = decideBotAction(state, bot, ctx.random);
+        if (decision === 'BID') {
+            const bidBefore = state.currentBid;
+            placeBid(state, bot, undefined, ctx);
+            if (state.currentBid !== bidBefore) return;
+        }
+        if (decision === 'PASS') undecided = true;
+        else leaveOpenRound(state, bot, ctx);
+        if (state.gameStatus !== 'AUCTION') return;
+    }
+    if (undecided) scheduleOutcryBots(state, ctx);
+};
+
+/**
+ * DROP_FROM_ROUND without turns. A sealed bid can't be taken back, and the highest bidder
+ * can't walk away from their bid.
+ */
+const dropFromOpenRound = (state, player, ctx) => {
+    if (player.id in state.sealedBids) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, "Your sealed bid is in and can't be withdrawn.");
+        return;
+    }
+    if (player.id === state.highestBidderId) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, 'You have the highest bid.');
+        return;
+    }
+    leaveOpenRound(state, player, ctx);
+};
+
+/**
+ * Takes a player out of a sealed-bid or open-outcry lot.
+ */
+const leaveOpenRound = (state, player, ctx) => {
+    state.playersInRound = state.playersInRound.filter(id => id !== player.id);
+    state.lastActionMessage = `${player.name} dropped.`;
+    logEvent(state, ctx, 'DROP', { playerId: player.id });
+    checkRoundOver(state, ctx);
+    broadcastState(ctx);
+};
+
+/**
+ * Ends a sealed-bid or open-outcry lot once nothing more can happen in it: every sealed bid
+ * is in, or nobody is left to outbid the highest bidder.
+ */
+const checkRoundOver = (state, ctx) => {
+    if (state.gameStatus !== 'AUCTION') return;
+    const { playersInRound, highestBidderId } = state;
+    switch (state.settings.auctionMode) {
+        case 'SEALED_BID':
+            if (playersInRound.every(id => id in state.sealedBids)) revealSealedBids(state, ctx);
+            break;
+        case 'OPEN_OUTCRY':
+            if (playersInRound.length === 0 || (highestBidderId && playersInRound.every(id => id === highestBidderId))) endRound(state, ctx);
+            break;
+    }
+};
+
+/**
+ * Starts the current lot's bidding timers again from the top, e.g. after a restart.
+ */
+const restartBiddingTimers = (state, ctx) => {
+    switch (state.settings.auctionMode) {
+        case 'SEALED_BID':
+            schedule(ctx, TURN_TIMER, state.settings.sealedBidDurationSeconds * 1000, {
+                type: 'SEALED_BIDS_DUE',
+                payload: { cricketerId: state.currentPlayerForAuction.id },
+            });
+            break;
+        case 'OPEN_OUTCRY':
+            startOutcryCountdown(state, ctx);
+            break;
+        default:
+            startTurnTimer(state, ctx, true);
+    }
+};
+
+// --- Connection Lifecycle ---
+
+/**
+ * Whether someone joining the room was kicked from it: by their id, or, for someone who
+ * isn't in the room already, by their account or connection address. The adapter checks
+ * this before it issues a new player id; the engine checks it again when they join.
+ * @param {{ playerId?: string|null, accountId?: string|null, address?: string|null }} joiner
+ */
+export const isKicked = (state, { playerId = null, accountId = null, address = null }) => {
+    if (state.kickedPlayerIds.includes(playerId)) return true;
+    // Someone already in the room may share an address with a kicked player; they keep their place.
+    if (playerId !== null && (findPlayer(state, playerId) || findSpectator(state, playerId))) return false;
+    return (accountId !== null && state.kickedAccountIds.includes(accountId))
+        || (address !== null && state.kickedAddresses.includes(address));
+};
+
+/**
+ * Turns away someone the host kicked, and otherwise notes the address they connect from.
+ * @returns {boolean} Whether they were turned away.
+ */
+const refuseKicked = (state, playerId, accountId, address, ctx) => {
+    if (isKicked(state, { playerId, accountId, address })) {
+        replyError(ctx, ERROR_CODES.KICKED, 'The host removed you from this room.', true);
+        return true;
+    }
+    if (address) state.connectionAddresses[playerId] = address;
+    return false;
+};
+
+const playerJoined = (state, playerId, name, accountId, address, ctx) => {
+    if (refuseKicked(state, playerId, accountId, address, ctx)) return;
+    const existingPlayer = findPlayer(state, playerId);
+    if (existingPlayer?.isBot) {
+        replyError(ctx, ERROR_CODES.SESSION_CONFLICT, 'That session id is taken.', true);
+        return;
+    }
+    if (existingPlayer) {
+        // Reattaching within the reconnect window: keep the seat, squad and budget.
+        if (!existingPlayer.isConnected) {
+            existingPlayer.isConnected = true;
+            state.lastActionMessage = `${existingPlayer.name} has reconnected.`;
+            logEvent(state, ctx, 'PLAYER_RECONNECTED', { playerId });
+        }
+    } else {
+        if (state.players.length >= state.settings.maxPlayers) {
+            replyError(ctx, ERROR_CODES.ROOM_FULL, 'Room is full.', true);
+            return;
+        }
+        state.players.push(createPlayer(playerId, name, state.settings, false, accountId));
+        state.lastActionMessage = `${name} has joined the lobby.`;
+    }
+    reply(ctx, { type: 'JOIN_SUCCESS', payload: stateForPlayer(state, playerId) });
+    broadcastState(ctx);
+};
+
+const playerDisconnected = (state, playerId, ctx) => {
+    const player = findPlayer(state, playerId);
+    if (!player) return;
+
+    player.isConnected = false;
+    state.lastActionMessage = `${player.name} disconnected. Waiting for them to reconnect...`;
+    logEvent(state, ctx, 'PLAYER_DISCONNECTED', { playerId });
+
+    // A disconnected player can't act, so their current turn times out right away.
+    if (state.gameStatus === 'AUCTION' && state.activePlayerId === playerId) {
+        advanceTurn(state, playerId, 'TIMEOUT', ctx);
+    }
+    broadcastState(ctx);
+};
+
+/**
+ * Resumes a room loaded from a snapshot after a restart. Nobody has a socket yet, so
+ * everyone starts disconnected, and the timer for the saved phase is re-armed from the
+ * start. The active bidder gets a full turn so they have time to reconnect.
+ */
+const roomRestored = (state, ctx) => {
+    state.players.forEach(p => { if (!p.isBot) p.isConnected = false; });
+    // Spectators hold nothing worth keeping; they simply join again.
+    state.spectators = [];
+    state.lastActionMessage = 'The server restarted. Waiting for players to reconnect...';
+    logEvent(state, ctx, 'SERVER_RESTARTED');
+
+    if (state.gameStatus === 'AUCTION') {
+        restartBiddingTimers(state, ctx);
+    } else {
+        armPhaseTimer(state, ctx);
+    }
+    broadcastState(ctx);
+};
+
+/**
+ * Carries on a room after another server instance took it over from one that stopped
+ * (see src/cluster/roomBus.js). Players whose sockets were on the old instance have to
+ * reconnect; the timer for the current phase starts again, with a full turn for the bidder.
+ * @param {string[]} connectedIds Players and spectators that still have a socket somewhere.
+ */
+const roomAdopted = (state, connectedIds, ctx) => {
+    const lost = state.players.filter(p => !p.isBot && p.isConnected && !connectedIds.includes(p.id));
+    for (const player of lost) {
+        player.isConnected = false;
+        logEvent(state, ctx, 'PLAYER_DISCONNECTED', { playerId: player.id });
+    }
+    state.spectators = state.spectators.filter(s => connectedIds.includes(s.id));
+    if (lost.length > 0) state.lastActionMessage = 'Some players lost their connection. Waiting for them to reconnect...';
+
+    if (state.gameStatus === 'AUCTION') {
+        restartBiddingTimers(state, ctx);
+    } else {
+        armPhaseTimer(state, ctx);
+    }
+    broadcastState(ctx);
+};
+
+const spectatorJoined = (state, spectatorId, name, accountId, address, ctx) => {
+    if (refuseKicked(state, spectatorId, accountId, address, ctx)) return;
+    // A seated player who comes back as a viewer keeps their seat.
+    if (findPlayer(state, spectatorId)) {
+        playerJoined(state, spectatorId, name, accountId, address, ctx);
+        return;
+    }
+    if (!findSpectator(state, spectatorId)) {
+        state.spectators.push({ id: spectatorId, name, accountId });
+        state.lastActionMessage = `${name} is now watching.`;
+    }
+    reply(ctx, { type: 'JOIN_SUCCESS', payload: stateForPlayer(state, spectatorId) });
+    broadcastState(ctx);
+};
+
+const spectatorLeft = (state, spectatorId, ctx) => {
+    if (!findSpectator(state, spectatorId)) return;
+    state.spectators = state.spectators.filter(s => s.id !== spectatorId);
+    broadcastState(ctx);
+};
+
+/**
+ * Moves a spectator into an empty seat. Only possible while the room is in the lobby.
+ */
+const takeSeat = (state, spectator, ctx) => {
+    if (state.gameStatus !== 'LOBBY') {
+        replyError(ctx, ERROR_CODES.WRONG_PHASE, 'Seats can only be taken in the lobby.');
+        return;
+    }
+    if (state.players.length >= state.settings.maxPlayers) {
+        replyError(ctx, ERROR_CODES.ROOM_FULL, 'Room is full.');
+        return;
+    }
+    state.spectators = state.spectators.filter(s => s.id !== spectator.id);
+    state.players.push(createPlayer(spectator.id, spectator.name, state.settings, false, spectator.accountId));
+    state.lastActionMessage = `${spectator.name} took a seat.`;
+    broadcastState(ctx);
+};
+
+/**
+ * Removes a player for good, handing over the host role and the active turn if needed.
+ */
+const playerLeft = (state, playerId, ctx) => {
+    const removedPlayer = findPlayer(state, playerId);
+    if (!removedPlayer) return;
+    logEvent(state, ctx, 'PLAYER_LEFT', { playerId });
+    state.players = state.players.filter(p => p.id !== playerId);
+
+    // Bots can't run a room on their own.
+    if (!state.players.some(p => !p.isBot)) {
+        archiveAuctionLog(state, 'ABANDONED', 'Every player left the room.', ctx);
+        cancelAllTimers(ctx);
+        ctx.effects.push({ type: 'CLOSE_ROOM' });
+        return;
+    }
+
+    if (removedPlayer.isHost) {
+        const humans = state.players.filter(p => !p.isBot);
+        const newHost = humans.find(p => p.isConnected) || humans[0];
+        newHost.isHost = true; newHost.isReady = true; newHost.readyForAuction = true;
+        state.lastActionMessage = `${removedPlayer.name} (Host) left the game. ${newHost.name} is the new host.`;
+    } else {
+        state.lastActionMessage = `${removedPlayer.name} has left the game.`;
+    }
+
+    // If in auction and the removed player was active, advance turn
+    if (state.gameStatus === 'AUCTION' && state.activePlayerId === playerId) {
+        advanceTurn(state, playerId, 'DROP', ctx);
+    } else {
+        state.playersInRound = state.playersInRound.filter(id => id !== playerId);
+        delete state.sealedBids[playerId];
+        checkRoundOver(state, ctx);
+    }
+    broadcastState(ctx);
+};
+
+// --- Player Actions ---
+
+/**
+ * Places a bid for the active player (any player in the round, in OPEN_OUTCRY rooms). Without
+ * an `amount` it raises by one increment; with one it's a jump bid, which must be at least the
+ * next increment and on the ladder.
+ */
+const placeBid = (state, player, amount, ctx) => {
+    const isOutcry = state.settings.auctionMode === 'OPEN_OUTCRY';
+    if (state.gameStatus !== 'AUCTION' || (!isOutcry && state.activePlayerId !== player.id)) return;
+    if (isOutcry && state.highestBidderId === player.id) {
+        replyError(ctx, ERROR_CODES.INVALID_BID, 'You already have the highest bid.');
+        return;
+    }
+
+    const exclusionReason = squadExclusionReason(player.squad, state.currentPlayerForAuction, state.settings);
+    if (exclusionReason) {
+        replyError(ctx, ERROR_CODES.SQUAD_RULE, exclusionReason);
+        return;
+    }
+
+    const minimumBid = nextBidAmount(state);
+    const newBid = amount ?? minimumBid;
+    if (!Number.isInteger(newBid) || newBid < minimumBid) {
+        replyError(ctx, ERROR_CODES.INVALID_BID, `Bid must be at least ${minimumBid}.`);
+        return;
+    }
+    if (player.budget < newBid) {
+        replyError(ctx, ERROR_CODES.INVALID_BID, `Bid of ${newBid} is more than your budget.`);
+        return;
+    }
+    if (!isOnBidLadder(state.currentBid, newBid, state.settings.bidIncrements)) {
+        replyError(ctx, ERROR_CODES.INVALID_BID, `Bid of ${newBid} is not on the bid increment ladder.`);
+        return;
+    }
+    if (newBid > maxAllowedBid(state, player)) {
+        replyError(ctx, ERROR_CODES.INVALID_BID, `You can bid at most ${maxAllowedBid(state, player)} and still fill your squad.`);
+        return;
+    }
+
+    state.currentBid = newBid;
+    state.highestBidderId = player.id;
+    state.lastActionMessage = `${player.name} bids ${newBid}!`;
+    logEvent(state, ctx, 'BID', { playerId: player.id, amount: newBid });
+    if (isOutcry) {
+        startOutcryCountdown(state, ctx);
+        checkRoundOver(state, ctx);
+        broadcastState(ctx);
+        return;
+    }
+    advanceTurn(state, player.id, 'BID', ctx);
+};
+
+/**
+ * Seats a bot in the next free `bot-N` slot.
+ */
+const addBot = (state, personality, ctx) => {
+    if (!BOT_PERSONALITIES[personality]) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, `Unknown bot personality "${personality}".`);
+        return;
+    }
+    if (state.players.length >= state.settings.maxPlayers) {
+        replyError(ctx, ERROR_CODES.ROOM_FULL, 'Room is full.');
+        return;
+    }
+    let number = 1;
+    while (findPlayer(state, `bot-${number}`)) number++;
+    const bot = createBot(`bot-${number}`, `${BOT_PERSONALITIES[personality].label} Bot ${number}`, personality, state.settings);
+    state.players.push(bot);
+    state.lastActionMessage = `${bot.name} joined the lobby.`;
+    broadcastState(ctx);
+};
+
+const removeBot = (state, botId, ctx) => {
+    const bot = findPlayer(state, botId);
+    if (!bot?.isBot) {
+        replyError(ctx, ERROR_CODES.NOT_FOUND, 'There is no bot with that id.');
+        return;
+    }
+    state.players = state.players.filter(p => p.id !== botId);
+    state.lastActionMessage = `${bot.name} was removed.`;
+    broadcastState(ctx);
+};
+
+/**
+ * Lets a bot take its turn. If it can't afford the bid it meant to make, it drops.
+ */
+const botTurn = (state, bot, ctx) => {
+    const decision = decideBotAction(state, bot, ctx.random);
+    if (decision === 'BID') {
+        const bidBefore = state.currentBid;
+        placeBid(state, bot, undefined, ctx);
+        if (state.currentBid !== bidBefore || state.gameStatus !== 'AUCTION') return;
+    }
+    if (decision === 'PASS') {
+        state.lastActionMessage = `${bot.name} passed the turn.`;
+        advanceTurn(state, bot.id, 'PASS', ctx);
+        return;
+    }
+    advanceTurn(state, bot.id, 'DROP', ctx);
+};
+
+/**
+ * Sets or clears (maxAmount null) a player's private proxy ceiling for the current cricketer.
+ */
+const setAutoBid = (state, player, maxAmount, ctx) => {
+    if (!state.playersInRound.includes(player.id)) {
+        replyError(ctx, ERROR_CODES.NOT_IN_ROUND, "You aren't bidding on this cricketer.");
+        return;
+    }
+    if (maxAmount === null || maxAmount === undefined) {
+        delete state.autoBids[player.id];
+        broadcastState(ctx);
+        return;
+    }
+    const minimumBid = nextBidAmount(state);
+    if (!Number.isInteger(maxAmount) || maxAmount < minimumBid || maxAmount > maxAllowedBid(state, player)) {
+        replyError(ctx, ERROR_CODES.INVALID_BID, `Auto-bid limit must be between ${minimumBid} and ${maxAllowedBid(state, player)}.`);
+        return;
+    }
+
+    state.autoBids[player.id] = maxAmount;
+    // If it's already this player's turn, start bidding for them right away.
+    if (state.gameStatus === 'AUCTION' && state.activePlayerId === player.id) startTurnTimer(state, ctx);
+    broadcastState(ctx);
+};
+
+const updateSettings = (state, player, updates, ctx) => {
+    const { settings, errors } = validateGameSettings(updates, state.settings);
+    if (settings && settings.maxPlayers < state.players.length) {
+        errors.push(`maxPlayers can't be lower than the ${state.players.length} players already in the room.`);
+    }
+    if (errors.length > 0) {
+        replyError(ctx, ERROR_CODES.INVALID_SETTINGS, `Invalid settings: ${errors.join(' ')}`);
+        return;
+    }
+
+    state.settings = settings;
+    state.players.forEach(p => { p.budget = settings.startingBudget; });
+    state.lastActionMessage = `${player.name} updated the game settings.`;
+    broadcastState(ctx);
+};
+
+// --- Host Moderation ---
+
+/**
+ * Freezes the game. Pending timers are set aside with their remaining time when the action
+ * is settled (see settleTimers) and start again from there on RESUME_GAME.
+ */
+const pauseGame = (state, host, ctx) => {
+    if (state.isPaused) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, 'The game is already paused.');
+        return;
+    }
+    state.isPaused = true;
+    state.lastActionMessage = `${host.name} paused the game.`;
+    logEvent(state, ctx, 'GAME_PAUSED', { playerId: host.id });
+    broadcastState(ctx);
+};
+
+const resumeGame = (state, host, ctx) => {
+    if (!state.isPaused) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, "The game isn't paused.");
+        return;
+    }
+    state.isPaused = false;
+    for (const [timer, { remainingMs, action }] of Object.entries(state.pausedTimers)) {
+        ctx.effects.push({ type: 'SCHEDULE', timer, delayMs: remainingMs, action });
+    }
+    state.pausedTimers = {};
+    state.lastActionMessage = `${host.name} resumed the game.`;
+    logEvent(state, ctx, 'GAME_RESUMED', { playerId: host.id });
+    broadcastState(ctx);
+};
+
+/**
+ * Removes a player or spectator and closes their socket. Their id, account and any address
+ * they joined with are banned from the room, so they can't come back as someone new either.
+ */
+const kickPlayer = (state, host, targetId, ctx) => {
+    if (targetId === host.id) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, "You can't kick yourself.");
+        return;
+    }
+    const target = findPlayer(state, targetId) || findSpectator(state, targetId);
+    if (!target) {
+        replyError(ctx, ERROR_CODES.NOT_FOUND, 'There is nobody with that id in the room.');
+        return;
+    }
+    if (!target.isBot) {
+        state.kickedPlayerIds.push(targetId);
+        if (target.accountId) state.kickedAccountIds.push(target.accountId);
+        const address = state.connectionAddresses[targetId];
+        if (address && !state.kickedAddresses.includes(address)) state.kickedAddresses.push(address);
+    }
+    ctx.effects.push({
+        type: 'DISCONNECT_CLIENT',
+        playerId: targetId,
+        message: errorMessage(ERROR_CODES.KICKED, 'The host removed you from the room.', true),
+    });
+    if (findPlayer(state, targetId)) {
+        logEvent(state, ctx, 'PLAYER_KICKED', { playerId: targetId });
+        playerLeft(state, targetId, ctx);
+    } else {
+        state.spectators = state.spectators.filter(s => s.id !== targetId);
+    }
+    state.lastActionMessage = `${host.name} kicked ${target.name}.`;
+    broadcastState(ctx);
+};
+
+/**
+ * Ends the current lot without a sale, whatever has been bid.
+ */
+const skipLot = (state, host, ctx) => {
+    const cricketer = state.currentPlayerForAuction;
+    logEvent(state, ctx, 'LOT_SKIPPED', { cricketerId: cricketer.id, playerId: host.id });
+    state.highestBidderId = null;
+    endRound(state, ctx);
+    state.lastActionMessage = `${host.name} skipped ${cricketer.name}. They go unsold.`;
+};
+
+/**
+ * Reverses the most recent sale: the buyer gets their money back, loses the cricketer, and
+ * the lot counts as unsold (so it comes back in the unsold round, if that is still to come).
+ */
+const undoLastSale = (state, host, ctx) => {
+    const index = state.auctionHistory.findLastIndex(entry => entry.winnerId !== 'UNSOLD');
+    if (index === -1) {
+        replyError(ctx, ERROR_CODES.NOT_FOUND, 'There is no sale to undo.');
+        return;
+    }
+    const sale = state.auctionHistory[index];
+    const { cricketer } = sale;
+    state.auctionHistory[index] = { ...sale, winnerId: 'UNSOLD', winningBid: 0 };
+    state.unsoldPool.push(cricketer);
+
+    const buyer = findPlayer(state, sale.winnerId);
+    if (buyer) {
+        buyer.budget += sale.winningBid;
+        buyer.squad = buyer.squad.filter(c => c.id !== cricketer.id);
+        // The refund may let the buyer bid on the lot that is about to open.
+        const upcoming = state.currentPlayerForAuction;
+        if (state.gameStatus === 'PLAYER_BREAK_TIMER' && buyer.id in state.roundExclusions && !lotExclusionReason(state, buyer, upcoming)) {
+            delete state.roundExclusions[buyer.id];
+            state.playersInRound.push(buyer.id);
+        }
+    }
+    logEvent(state, ctx, 'SALE_UNDONE', { cricketerId: cricketer.id, playerId: sale.winnerId, amount: sale.winningBid });
+    state.lastActionMessage = `${host.name} undid the sale of ${cricketer.name}${buyer ? ` to ${buyer.name}` : ''}.`;
+    broadcastState(ctx);
+};
+
+const transferHost = (state, host, targetId, ctx) => {
+    const target = findPlayer(state, targetId);
+    if (!target || target.isBot || target.id === host.id) {
+        replyError(ctx, ERROR_CODES.NOT_FOUND, 'There is no other player with that id to hand the host role to.');
+        return;
+    }
+    if (!target.isConnected) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, `${target.name} is disconnected.`);
+        return;
+    }
+    host.isHost = false;
+    target.isHost = true; target.isReady = true; target.readyForAuction = true;
+    state.lastActionMessage = `${host.name} made ${target.name} the host.`;
+    logEvent(state, ctx, 'HOST_TRANSFERRED', { from: host.id, to: target.id });
+    broadcastState(ctx);
+};
+
+/**
+ * Mutes or unmutes a player or spectator in the chat.
+ */
+const setMuted = (state, host, targetId, muted, ctx) => {
+    const target = findPlayer(state, targetId) || findSpectator(state, targetId);
+    if (!target || target.isBot || target.id === host.id) {
+        replyError(ctx, ERROR_CODES.NOT_FOUND, 'There is nobody else with that id in the room.');
+        return;
+    }
+    if (state.mutedPlayerIds.includes(targetId) === muted) {
+        replyError(ctx, ERROR_CODES.INVALID_REQUEST, `${target.name} ${muted ? 'is already muted' : "isn't muted"}.`);
+        return;
+    }
+    state.mutedPlayerIds = muted ? [...state.mutedPlayerIds, targetId] : state.mutedPlayerIds.filter(id => id !== targetId);
+    state.lastActionMessage = `${host.name} ${muted ? 'muted' : 'unmuted'} ${target.name}.`;
+    broadcastState(ctx);
+};
+
+// Actions only the host may send.
+const HOST_ACTIONS = new Set([
+    'DRAW_PLAYERS', 'START_GAME', 'CONTINUE_TO_NEXT_SUBPOOL', 'UPDATE_SETTINGS', 'SET_CUSTOM_POOL',
+    'ADD_BOT', 'REMOVE_BOT', 'SHOW_RESULTS', 'BACK_TO_LOBBY',
+    'PAUSE_GAME', 'RESUME_GAME', 'KICK_PLAYER', 'SKIP_LOT', 'UNDO_LAST_SALE', 'TRANSFER_HOST',
+    'MUTE_PLAYER', 'UNMUTE_PLAYER',
+]);
+// The phases the game can be paused in: the ones with a timer running.
+const TIMED_PHASES = ['PRE_AUCTION_TIMER', 'PLAYER_BREAK_TIMER', 'AUCTION', 'ROUND_OVER', 'PRE_ROUND_TIMER'];
+// The phases each action is allowed in. Actions not listed are allowed in any phase.
+const ACTION_PHASES = {
+    DRAW_PLAYERS: ['LOBBY', 'AUCTION_POOL_VIEW'],
+    SET_CUSTOM_POOL: ['LOBBY', 'AUCTION_POOL_VIEW'],
+    START_GAME: ['AUCTION_POOL_VIEW'],
+    PLACE_BID: ['AUCTION'],
+    SUBMIT_SEALED_BID: ['AUCTION'],
+    SET_AUTO_BID: ['PLAYER_BREAK_TIMER', 'AUCTION'],
+    PASS_TURN: ['AUCTION'],
+    DROP_FROM_ROUND: ['AUCTION'],
+    CONTINUE_TO_NEXT_SUBPOOL: ['SUBPOOL_BREAK'],
+    UPDATE_SETTINGS: ['LOBBY'],
+    ADD_BOT: ['LOBBY'],
+    REMOVE_BOT: ['LOBBY'],
+    SHOW_RESULTS: ['GAME_OVER', 'RESULTS'],
+    PAUSE_GAME: TIMED_PHASES,
+    SKIP_LOT: ['PLAYER_BREAK_TIMER', 'AUCTION'],
+    UNDO_LAST_SALE: [...TIMED_PHASES, 'SUBPOOL_BREAK'],
+};
+// Actions still allowed while the game is paused.
+const PAUSED_ACTIONS = new Set([
+    'PAUSE_GAME', 'RESUME_GAME', 'KICK_PLAYER', 'SKIP_LOT', 'UNDO_LAST_SALE', 'TRANSFER_HOST', 'BACK_TO_LOBBY',
+    'TOGGLE_READY', 'TOGGLE_READY_FOR_AUCTION', 'MUTE_PLAYER', 'UNMUTE_PLAYER',
+]);
+// Actions only the player whose turn it is may send. Without turns (SEALED_BID and OPEN_OUTCRY
+// rooms) the bidding ones are open to everyone in the round.
+const TURN_ACTIONS = new Set(['PLACE_BID', 'PASS_TURN', 'DROP_FROM_ROUND']);
+const ROUND_ACTIONS = new Set(['PLACE_BID', 'SUBMIT_SEALED_BID', 'DROP_FROM_ROUND']);
+// The auction modes each bidding action belongs to. Actions not listed work in every mode.
+const ACTION_MODES = {
+    PLACE_BID: ['TURN_BASED', 'OPEN_OUTCRY'],
+    PASS_TURN: ['TURN_BASED'],
+    SET_AUTO_BID: ['TURN_BASED'],
+    SUBMIT_SEALED_BID: ['SEALED_BID'],
+};
+
+/**
+ * Replies with an error if `player` may not send `type` right now.
+ * @returns {boolean} Whether the action may go ahead.
+ */
+const checkActionAllowed = (state, player, type, ctx) => {
+    if (HOST_ACTIONS.has(type) && !player.isHost) {
+        replyError(ctx, ERROR_CODES.NOT_HOST, 'Only the host can do that.');
+        return false;
+    }
+    if (state.isPaused && !PAUSED_ACTIONS.has(type)) {
+        replyError(ctx, ERROR_CODES.GAME_PAUSED, 'The game is paused.');
+        return false;
+    }
+    const phases = ACTION_PHASES[type];
+    if (phases && !phases.includes(state.gameStatus)) {
+        replyError(ctx, ERROR_CODES.WRONG_PHASE, `${type} isn't allowed during ${state.gameStatus}.`);
+        return false;
+    }
+    const mode = state.settings.auctionMode;
+    if (ACTION_MODES[type] && !ACTION_MODES[type].includes(mode)) {
+        replyError(ctx, ERROR_CODES.WRONG_MODE, `${type} isn't used in ${mode} auctions.`);
+        return false;
+    }
+    if (mode === 'TURN_BASED') {
+        if (TURN_ACTIONS.has(type) && state.activePlayerId !== player.id) {
+            replyError(ctx, ERROR_CODES.NOT_YOUR_TURN, "It isn't your turn.");
+            return false;
+        }
+    } else if (ROUND_ACTIONS.has(type) && !state.playersInRound.includes(player.id)) {
+        replyError(ctx, ERROR_CODES.NOT_IN_ROUND, "You aren't bidding on this cricketer.");
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Handles an action sent by a seated player.
+ * @returns {object} The next state (a fresh object after BACK_TO_LOBBY, otherwise `state`).
+ */
+const handlePlayerAction = (state, player, action, ctx) => {
+    if (!checkActionAllowed(state, player, action.type, ctx)) return state;
+
+    switch (action.type) {
+        case 'DRAW_PLAYERS':
+            drawPlayers(state, action.payload.cricketers, ctx);
+            break;
+        case 'SET_CUSTOM_POOL':
+            setCustomPool(state, player, action.payload.cricketers, ctx);
+            break;
+        case 'START_GAME':
+            startAuction(state, ctx);
+            break;
+        case 'TOGGLE_READY':
+            player.isReady = !player.isReady;
+            broadcastState(ctx);
+            break;
+        case 'TOGGLE_READY_FOR_AUCTION':
+            player.readyForAuction = !player.readyForAuction;
+            broadcastState(ctx);
+            break;
+        case 'PLACE_BID':
+            placeBid(state, player, action.payload.amount, ctx);
+            break;
+        case 'SUBMIT_SEALED_BID':
+            submitSealedBid(state, player, action.payload.amount, ctx);
+            break;
+        case 'SET_AUTO_BID':
+            setAutoBid(state, player, action.payload.maxAmount, ctx);
+            break;
+        case 'PASS_TURN':
+            state.lastActionMessage = `${player.name} passed the turn.`;
+            advanceTurn(state, player.id, 'PASS', ctx);
+            break;
+        case 'DROP_FROM_ROUND':
+            if (state.settings.auctionMode === 'TURN_BASED') advanceTurn(state, player.id, 'DROP', ctx);
+            else dropFromOpenRound(state, player, ctx);
+            break;
+        case 'CONTINUE_TO_NEXT_SUBPOOL': {
+            // Players waiting to reconnect don't hold up the rest of the room.
+            const allReady = state.players.every(p => p.isHost || p.isReady || !p.isConnected);
+            if (allReady) continueToNextSubPool(state, ctx);
+            else replyError(ctx, ERROR_CODES.NOT_ALL_READY, 'Waiting for every player to be ready.');
+            break;
+        }
+        case 'UPDATE_SETTINGS':
+            updateSettings(state, player, action.payload, ctx);
+            break;
+        case 'ADD_BOT':
+            addBot(state, action.payload.personality || 'balanced', ctx);
+            break;
+        case 'REMOVE_BOT':
+            removeBot(state, action.payload.playerId, ctx);
+            break;
+        case 'SHOW_RESULTS':
+            showResults(state, action.payload.seed, ctx);
+            break;
+        case 'BACK_TO_LOBBY':
+            return resetGameForLobby(state, 'The host returned to the lobby.', ctx);
+        case 'PAUSE_GAME':
+            pauseGame(state, player, ctx);
+            break;
+        case 'RESUME_GAME':
+            resumeGame(state, player, ctx);
+            break;
+        case 'KICK_PLAYER':
+            kickPlayer(state, player, action.payload.playerId, ctx);
+            break;
+        case 'SKIP_LOT':
+            skipLot(state, player, ctx);
+            break;
+        case 'UNDO_LAST_SALE':
+            undoLastSale(state, player, ctx);
+            break;
+        case 'TRANSFER_HOST':
+            transferHost(state, player, action.payload.playerId, ctx);
+            break;
+        case 'MUTE_PLAYER':
+            setMuted(state, player, action.payload.playerId, true, ctx);
+            break;
+        case 'UNMUTE_PLAYER':
+            setMuted(state, player, action.payload.playerId, false, ctx);
+            break;
+        case 'TAKE_SEAT':
+            replyError(ctx, ERROR_CODES.ALREADY_SEATED, 'You already have a seat.');
+            break;
+    }
+    return state;
+};
+
+/**
+ * Keeps `pendingTimers`, and the deadlines clients see, in step with the effects of an action.
+ * While the game is paused, timers aren't started: they are set aside in `pausedTimers` with
+ * the time they had left.
+ */
+const settleTimers = (state, ctx) => {
+    for (const effect of ctx.effects) {
+        if (effect.type === 'SCHEDULE') {
+            state.pendingTimers[effect.timer] = { dueAt: ctx.now() + effect.delayMs, action: effect.action };
+        } else if (effect.type === 'CANCEL_TIMER') {
+            delete state.pendingTimers[effect.timer];
+            delete state.pausedTimers[effect.timer];
+        }
+    }
+    if (state.isPaused) {
+        ctx.effects = ctx.effects.filter(e => e.type !== 'SCHEDULE');
+        for (const [timer, { dueAt, action }] of Object.entries(state.pendingTimers)) {
+            state.pausedTimers[timer] = { remainingMs: Math.max(0, dueAt - ctx.now()), action };
+            cancelTimer(ctx, timer);
+        }
+        state.pendingTimers = {};
+    }
+    state.phaseEndsAt = state.pendingTimers[PHASE_TIMER]?.dueAt ?? null;
+    state.turnEndsAt = state.pendingTimers[TURN_TIMER]?.dueAt ?? null;
+};
+
+/**
+ * Applies one action to a room's state.
+ * @param {object} state The current game state. It is not modified.
+ * @param {{ type: string, playerId?: string, payload?: object }} action A player action, a connection
+ *   event (PLAYER_JOINED, PLAYER_DISCONNECTED, PLAYER_LEFT, SPECTATOR_JOINED, SPECTATOR_LEFT, ROOM_RESTORED, ROOM_ADOPTED),
+ *   an admin ROOM_RESET / ROOM_CLOSED or a timer the engine scheduled. Joins carry
+ *   `{ playerName, accountId, address }`, `address` being where the socket connects from, or null
+ *   when kicks shouldn't ban addresses.
+ * @param {{ random?: () => number, now?: () => number, newId?: () => string }} [context] Injectable
+ *   random source, clock and id generator.
+ * @returns {{ state: object, effects: object[] }} The next state and the effects to perform, in order.
+ */
+export const reduce = (state, action, { random = Math.random, now = Date.now, newId = randomUUID } = {}) => {
+    // A timer that was set aside by a pause can't fire; one that did fire is no longer pending.
+    if (action.timer && state.isPaused) return { state, effects: [] };
+    const ctx = { random, now, newId, effects: [] };
+    let next = structuredClone(state);
+    const payload = action.payload || {};
+    if (action.timer) delete next.pendingTimers[action.timer];
+
+    switch (action.type) {
+        case 'PLAYER_JOINED':
+            playerJoined(next, action.playerId, payload.playerName, payload.accountId ?? null, payload.address ?? null, ctx);
+            break;
+        case 'PLAYER_DISCONNECTED':
+            playerDisconnected(next, action.playerId, ctx);
+            break;
+        case 'PLAYER_LEFT':
+            playerLeft(next, action.playerId, ctx);
+            break;
+        case 'ROOM_RESTORED':
+            roomRestored(next, ctx);
+            break;
+        case 'ROOM_ADOPTED':
+            roomAdopted(next, payload.connectedIds ?? [], ctx);
+            break;
+        case 'ROOM_CLOSED':
+            archiveAuctionLog(next, 'ABANDONED', 'An admin closed the room.', ctx);
+            cancelAllTimers(ctx);
+            ctx.effects.push({ type: 'CLOSE_ROOM' });
+            break;
+        case 'ROOM_RESET':
+            next = resetGameForLobby(next, 'An admin reset the room.', ctx);
+            if (next.gameStatus === 'LOBBY') next.lastActionMessage = 'An admin reset the room. The host can draw players for a new game.';
+            break;
+        case 'SPECTATOR_JOINED':
+            spectatorJoined(next, action.playerId, payload.playerName, payload.accountId ?? null, payload.address ?? null, ctx);
+            break;
+        case 'SPECTATOR_LEFT':
+            spectatorLeft(next, action.playerId, ctx);
+            break;
+        case 'PRE_AUCTION_TIMER_ELAPSED':
+            if (next.gameStatus === 'PRE_AUCTION_TIMER') nextPlayer(next, ctx);
+            break;
+        case 'PLAYER_BREAK_TIMER_ELAPSED':
+            // Ignore a stale timer if the state has moved on since it was scheduled.
+            if (next.gameStatus === 'PLAYER_BREAK_TIMER' && next.currentPlayerForAuction?.id === payload.cricketerId) openBidding(next, ctx);
+            break;
+        case 'BOT_TURN': {
+            const bot = findPlayer(next, payload.playerId);
+            if (next.gameStatus === 'AUCTION' && next.activePlayerId === payload.playerId && bot?.isBot) botTurn(next, bot, ctx);
+            break;
+        }
+        case 'AUTO_BID': {
+            const player = findPlayer(next, payload.playerId);
+            if (next.gameStatus === 'AUCTION' && next.activePlayerId === payload.playerId && player && payload.playerId in next.autoBids) {
+                const bidBefore = next.currentBid;
+                placeBid(next, player, undefined, ctx);
+                // If the bid couldn't be placed after all, fall back to a normal turn.
+                if (next.currentBid === bidBefore && next.gameStatus === 'AUCTION') {
+                    delete next.autoBids[player.id];
+                    startTurnTimer(next, ctx);
+                    broadcastState(ctx);
+                }
+            }
+            break;
+        }
+        case 'SEALED_BIDS_DUE':
+            if (next.gameStatus === 'AUCTION' && next.currentPlayerForAuction?.id === payload.cricketerId) revealSealedBids(next, ctx);
+            break;
+        case 'OUTCRY_COUNTDOWN_ELAPSED':
+            if (next.gameStatus === 'AUCTION' && next.currentPlayerForAuction?.id === payload.cricketerId) endRound(next, ctx);
+            break;
+        case 'OUTCRY_BOT_TURN':
+            if (next.gameStatus === 'AUCTION' && next.currentPlayerForAuction?.id === payload.cricketerId) outcryBotTurn(next, ctx);
+            break;
+        case 'TURN_TIMER_ELAPSED':
+            if (next.gameStatus === 'AUCTION' && next.activePlayerId === payload.playerId) advanceTurn(next, payload.playerId, 'TIMEOUT', ctx);
+            break;
+        case 'PRE_ROUND_TIMER_ELAPSED':
+            if (next.gameStatus === 'PRE_ROUND_TIMER') startNextSubPool(next, ctx);
+            break;
+        case 'ROUND_OVER_TIMER_ELAPSED':
+            if (next.gameStatus === 'ROUND_OVER') nextPlayer(next, ctx);
+            break;
+        default: {
+            const player = findPlayer(next, action.playerId);
+            if (!player) {
+                const spectator = findSpectator(next, action.playerId);
+                if (!spectator) return { state, effects: [] };
+                if (action.type === 'TAKE_SEAT') {
+                    takeSeat(next, spectator, ctx);
+                } else {
+                    replyError(ctx, ERROR_CODES.SPECTATOR_NOT_ALLOWED, "Spectators can't do that.");
+                }
+                break;
+            }
+            next = handlePlayerAction(next, player, { ...action, payload }, ctx);
+        }
+    }
+
+    settleTimers(next, ctx);
+    next.maxBids = computeMaxBids(next);
+    return { state: next, effects: ctx.effects };
+};
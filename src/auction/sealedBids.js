@@ -0,0 +1,27 @@
+// --- Sealed-Bid Resolution ---
+// In SEALED_BID rooms everyone still in the round submits one hidden bid per lot. When the
+// deadline passes (or everyone has bid) the bids are opened and this picks the buyer and price.
+
+/**
+ * Picks the winner of a sealed-bid lot and what they pay.
+ * @param {Array<[string, number]>} bids `[playerId, amount]` pairs, in the order they were submitted.
+ * @param {{ pricing: 'FIRST_PRICE'|'SECOND_PRICE', tiebreak: 'EARLIEST'|'BIDDING_ORDER'|'RANDOM',
+ *   basePrice: number, biddingOrder: string[], random: () => number }} rules
+ * @returns {{ winnerId: string, price: number }|null} Null when nobody bid.
+ */
+export const resolveSealedBids = (bids, { pricing, tiebreak, basePrice, biddingOrder, random }) => {
+    if (bids.length === 0) return null;
+
+    const top = Math.max(...bids.map(([, amount]) => amount));
+    let tied = bids.filter(([, amount]) => amount === top).map(([playerId]) => playerId);
+    if (tiebreak === 'BIDDING_ORDER') {
+        const position = (id) => (biddingOrder.includes(id) ? biddingOrder.indexOf(id) : Infinity);
+        tied = [...tied].sort((a, b) => position(a) - position(b));
+    }
+    const winnerId = tiebreak === 'RANDOM' ? tied[Math.floor(random() * tied.length)] : tied[0];
+
+    if (pricing === 'FIRST_PRICE') return { winnerId, price: top };
+    // Second price: the best bid the winner beat. A tie at the top pays the top bid.
+    const others = bids.filter(([playerId]) => playerId !== winnerId).map(([, amount]) => amount);
+    return { winnerId, price: others.length > 0 ? Math.max(...others) : basePrice };
+};
@@ -0,0 +1,48 @@
+// --- Squad Composition Rules ---
+// Checks whether a cricketer still fits a squad under the room's `squadRules`, including
+// whether signing them would leave too few slots to reach every role minimum.
+
+import { ROLES } from '../settings.js';
+
+const ROLE_PLURALS = {
+    Batsman: 'batsmen', Bowler: 'bowlers', 'All-Rounder': 'all-rounders', 'Wicket-Keeper': 'wicket-keepers',
+};
+
+/**
+ * How many more signings the squad needs to reach every role minimum.
+ */
+export const slotsNeededForMinimums = (squad, squadRules) => ROLES.reduce((needed, role) => {
+    const have = squad.filter(c => c.role === role).length;
+    return needed + Math.max(0, squadRules.roleLimits[role].min - have);
+}, 0);
+
+/**
+ * Checks whether `cricketer` can join `squad`.
+ * @returns {string|null} Why they can't, or null if they fit.
+ */
+export const squadExclusionReason = (squad, cricketer, settings) => {
+    const { maxSquadSize, squadRules } = settings;
+    if (squad.length >= maxSquadSize) return 'Squad is full.';
+
+    const { max } = squadRules.roleLimits[cricketer.role] || {};
+    const sameRole = squad.filter(c => c.role === cricketer.role).length;
+    if (max !== null && max !== undefined && sameRole >= max) {
+        return `Squad already has the maximum of ${max} ${ROLE_PLURALS[cricketer.role] || cricketer.role}.`;
+    }
+
+    for (const { attribute, max: cap } of squadRules.attributeCaps) {
+        if (cricketer[attribute] && squad.filter(c => c[attribute]).length >= cap) {
+            return `Squad already has the maximum of ${cap} ${attribute} players.`;
+        }
+    }
+
+    const squadAfter = [...squad, cricketer];
+    const openSlotsAfter = maxSquadSize - squadAfter.length;
+    if (slotsNeededForMinimums(squadAfter, squadRules) > openSlotsAfter) {
+        const missing = ROLES
+            .filter(role => squadAfter.filter(c => c.role === role).length < squadRules.roleLimits[role].min)
+            .map(role => ROLE_PLURALS[role]);
+        return `Remaining squad slots are needed for ${missing.join(', ')}.`;
+    }
+    return null;
+};
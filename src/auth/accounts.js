@@ -0,0 +1,49 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// --- Player Accounts ---
+// Optional: a client may send a Supabase auth JWT as `authToken` with CREATE_ROOM / JOIN_ROOM
+// to link its seat to a real account. The account id (the JWT's `sub`) is kept on the player
+// as `accountId`. Anonymous players have `accountId: null`.
+
+const decodeJson = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+/**
+ * Verifies an HS256 JWT signed with `secret` and returns its claims, or null.
+ */
+export const verifyHs256Jwt = (token, secret, now = Date.now()) => {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    if (decodeJson(parts[0]).alg !== 'HS256') return null;
+    const expected = createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+    const given = Buffer.from(parts[2], 'base64url');
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+    const claims = decodeJson(parts[1]);
+    if (typeof claims.exp === 'number' && claims.exp * 1000 <= now) return null;
+    return typeof claims.sub === 'string' ? claims : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Picks how auth JWTs are checked. With SUPABASE_JWT_SECRET they are verified locally;
+ * otherwise the Supabase client asks the auth server.
+ * @param {object} env Usually `process.env`.
+ * @param {import('@supabase/supabase-js').SupabaseClient|null} supabase The shared Supabase client, if configured.
+ * @returns {((jwt: string) => Promise<string|null>)|null} Resolves to the account id, or null if the
+ *   token is invalid. Null when accounts can't be verified at all.
+ */
+export const createAccountVerifier = (env, supabase) => {
+  if (env.SUPABASE_JWT_SECRET) {
+    return async (jwt) => verifyHs256Jwt(jwt, env.SUPABASE_JWT_SECRET)?.sub ?? null;
+  }
+  if (supabase) {
+    return async (jwt) => {
+      const { data, error } = await supabase.auth.getUser(jwt);
+      return error || !data?.user ? null : data.user.id;
+    };
+  }
+  return null;
+};
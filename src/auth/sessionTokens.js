@@ -0,0 +1,46 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// --- Session Tokens ---
+// Player ids are public: they appear in `players[].id`, `activePlayerId`, `highestBidderId`
+// and so on. The credential that proves a client owns one is a separate token, issued by the
+// server on CREATE_ROOM / JOIN_ROOM and required to reclaim the seat on reconnect.
+// A token is `base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)`.
+// Tokens expire, so the server re-issues them to seated clients while they stay connected.
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+/**
+ * Creates a signer for session tokens.
+ * @param {string} [secret] The signing secret. Without one a random secret is used, so tokens
+ *   stop working when the process restarts.
+ * @param {{ maxAgeMs?: number, now?: () => number }} [options] How long after it was issued a
+ *   token stops verifying (default: never).
+ * @returns {{ issue: (claims: { roomCode: string, playerId: string }) => string, verify: (token: string) => object|null }}
+ */
+export const createSessionTokens = (secret = randomBytes(32).toString('hex'), { maxAgeMs = Infinity, now = Date.now } = {}) => {
+  const sign = (data) => createHmac('sha256', secret).update(data).digest();
+
+  return {
+    issue: ({ roomCode, playerId }) => {
+      const data = base64url(JSON.stringify({ roomCode, playerId, iat: now() }));
+      return `${data}.${base64url(sign(data))}`;
+    },
+    // Returns the token's claims, or null if it is malformed, wasn't signed with our secret or has expired.
+    verify: (token) => {
+      if (typeof token !== 'string') return null;
+      const [data, signature, extra] = token.split('.');
+      if (!data || !signature || extra !== undefined) return null;
+
+      const expected = sign(data);
+      const given = Buffer.from(signature, 'base64url');
+      if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+      try {
+        const claims = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        if (typeof claims.roomCode !== 'string' || typeof claims.playerId !== 'string' || typeof claims.iat !== 'number') return null;
+        return now() - claims.iat <= maxAgeMs ? claims : null;
+      } catch {
+        return null;
+      }
+    },
+  };
+};
@@ -0,0 +1,96 @@
+// --- AI Bidders ---
+// Bots are seated players with `isBot: true` and a `botPersonality`. On their turn the engine
+// asks `decideBotAction` what to do (`decideBotSealedBid` in sealed-bid rooms). Everything here
+// is pure; randomness comes in as a parameter.
+
+import { getBidIncrement } from '../settings.js';
+
+export const BOT_PERSONALITIES = {
+    cautious: { label: 'Cautious', valueMultiplier: 0.8, bidChance: 0.6, thinkingMs: [1200, 2500] },
+    balanced: { label: 'Balanced', valueMultiplier: 1.0, bidChance: 0.8, thinkingMs: [800, 2000] },
+    aggressive: { label: 'Aggressive', valueMultiplier: 1.3, bidChance: 0.95, thinkingMs: [500, 1500] },
+};
+
+// A squad is short of a role below this count and well stocked from the upper one.
+const ROLE_NEEDED_BELOW = 1;
+const ROLE_STOCKED_FROM = 3;
+
+/**
+ * How good a cricketer is at the job their role asks for, on the OVR scale.
+ */
+const roleRating = (cricketer) => {
+    switch (cricketer.role) {
+        case 'Batsman': return cricketer.battingOVR;
+        case 'Bowler': return cricketer.bowlingOVR;
+        case 'All-Rounder': return (cricketer.battingOVR + cricketer.bowlingOVR) / 2;
+        case 'Wicket-Keeper': return (cricketer.battingOVR + cricketer.fieldingOVR) / 2;
+        default: return cricketer.overall;
+    }
+};
+
+/**
+ * The most a bot is willing to pay for the cricketer on the block.
+ * It starts from an even share of the budget per open squad slot, scales it by the
+ * cricketer's quality and how much the squad needs that role, then by personality.
+ * It never spends money it needs to fill its other open slots at base price.
+ */
+export const botValuation = (bot, cricketer, settings) => {
+    const openSlots = settings.maxSquadSize - bot.squad.length;
+    if (openSlots <= 0) return 0;
+
+    const quality = 0.6 * cricketer.overall + 0.4 * roleRating(cricketer);
+    const qualityFactor = Math.min(2, Math.max(0.5, 0.5 + (quality - 60) / 20));
+
+    const sameRole = bot.squad.filter(c => c.role === cricketer.role).length;
+    let needFactor = 1;
+    if (sameRole < ROLE_NEEDED_BELOW) needFactor = 1.3;
+    else if (sameRole >= ROLE_STOCKED_FROM) needFactor = 0.6;
+
+    const personality = BOT_PERSONALITIES[bot.botPersonality] || BOT_PERSONALITIES.balanced;
+    const value = (bot.budget / openSlots) * qualityFactor * needFactor * personality.valueMultiplier;
+    const reserve = (openSlots - 1) * cricketer.basePrice;
+    return Math.floor(Math.min(value, bot.budget - reserve));
+};
+
+/**
+ * Decides what a bot does on its turn.
+ * @returns {'BID'|'PASS'|'DROP'}
+ */
+export const decideBotAction = (state, bot, random) => {
+    const cricketer = state.currentPlayerForAuction;
+    const nextBid = state.currentBid + getBidIncrement(state.currentBid, state.settings.bidIncrements);
+    const maxPrice = botValuation(bot, cricketer, state.settings);
+    const allowed = state.maxBids?.[bot.id] ?? bot.budget;
+    if (nextBid > maxPrice || nextBid > allowed) return 'DROP';
+
+    // Passing while alone with no bids would just hand the turn back, so commit.
+    const aloneWithoutBid = state.playersInRound.length === 1 && !state.highestBidderId;
+    const personality = BOT_PERSONALITIES[bot.botPersonality] || BOT_PERSONALITIES.balanced;
+    if (aloneWithoutBid || random() < personality.bidChance) return 'BID';
+    return 'PASS';
+};
+
+/**
+ * The hidden bid a bot submits in a sealed-bid lot, or null if it stays out.
+ * With second-price pricing the best strategy is to bid the full valuation; with first price
+ * the bot shades its bid somewhere between the base price and its valuation.
+ */
+export const decideBotSealedBid = (state, bot, random) => {
+    const cricketer = state.currentPlayerForAuction;
+    const allowed = state.maxBids?.[bot.id] ?? bot.budget;
+    const ceiling = Math.min(botValuation(bot, cricketer, state.settings), allowed);
+    if (ceiling < cricketer.basePrice) return null;
+    if (state.settings.sealedBidPricing === 'SECOND_PRICE') return ceiling;
+    return Math.floor(cricketer.basePrice + (ceiling - cricketer.basePrice) * (0.6 + 0.3 * random()));
+};
+
+/**
+ * A short, randomised pause before a bot acts, always inside the turn (or the given window).
+ * @param {number} [windowSeconds] How long the bot has; the turn length by default.
+ */
+export const botThinkingDelayMs = (bot, settings, random, windowSeconds = settings.turnDurationSeconds) => {
+    const personality = BOT_PERSONALITIES[bot.botPersonality] || BOT_PERSONALITIES.balanced;
+    const [min, max] = personality.thinkingMs;
+    const delay = Math.round(min + random() * (max - min));
+    return Math.min(delay, Math.max(0, windowSeconds * 1000 - 500));
+};
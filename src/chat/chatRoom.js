@@ -0,0 +1,44 @@
+// --- Room Chat ---
+// A room's chat lives beside its game state, not in it: a chat line or reaction only goes out
+// as its own message, so it never copies, snapshots or republishes the game. The room's owner
+// keeps the history and send times in memory; they don't survive a restart or a takeover.
+// Who may chat (anyone in the room who isn't muted) comes from the game state.
+
+import { CHAT_HISTORY_SIZE, CHAT_RATE_LIMIT, cleanChatText, isOverChatLimit } from './chatRules.js';
+import { ERROR_CODES } from '../protocol/errors.js';
+
+/**
+ * A room's chat: the last CHAT_HISTORY_SIZE messages, and when each sender last sent
+ * something (`{ playerId: [times] }`).
+ */
+export const createRoomChat = () => ({ history: [], sentAt: {} });
+
+/**
+ * Handles a CHAT_MESSAGE or REACTION. A message that goes out is added to `chat`.
+ * @param {object} chat The room's chat (see createRoomChat). Updated in place.
+ * @param {object} state The room's game state.
+ * @param {{ type: string, playerId: string, payload: object }} action
+ * @param {number} now The current time.
+ * @returns {{ message: object } | { error: { code: string, message: string } } | null}
+ *   The message to broadcast, or the error to reply with; null if the sender isn't in the room.
+ */
+export const handleChatAction = (chat, state, { type, playerId, payload }, now) => {
+    // Spectators chat too, and chat carries on while the game is paused.
+    const sender = state.players.find(p => p.id === playerId) || state.spectators.find(s => s.id === playerId);
+    if (!sender) return null;
+
+    const text = type === 'CHAT_MESSAGE' ? cleanChatText(payload.text) : null;
+    if (type === 'CHAT_MESSAGE' && !text) return { error: { code: ERROR_CODES.INVALID_REQUEST, message: "A chat message can't be blank." } };
+    if (state.mutedPlayerIds.includes(sender.id)) return { error: { code: ERROR_CODES.MUTED, message: 'The host has muted you.' } };
+    const sentAt = chat.sentAt[sender.id] ?? [];
+    if (isOverChatLimit(sentAt, now)) return { error: { code: ERROR_CODES.RATE_LIMITED, message: "You're chatting too fast. Wait a few seconds." } };
+    chat.sentAt[sender.id] = [...sentAt, now].slice(-CHAT_RATE_LIMIT.count);
+
+    if (type === 'REACTION') {
+        // Reactions aren't kept.
+        return { message: { type: 'REACTION', payload: { playerId: sender.id, name: sender.name, reaction: payload.reaction, sentAt: now } } };
+    }
+    const message = { id: (chat.history.at(-1)?.id ?? 0) + 1, playerId: sender.id, name: sender.name, text, sentAt: now };
+    chat.history = [...chat.history, message].slice(-CHAT_HISTORY_SIZE);
+    return { message: { type: 'CHAT_MESSAGE', payload: message } };
+};
@@ -0,0 +1,37 @@
+// --- Chat Rules ---
+// Players and spectators can chat and send quick reactions during a game. Both go out as
+// their own messages (CHAT_MESSAGE, REACTION), never as part of the game state. Everything
+// here is pure; the room chat (chatRoom.js) keeps the history and the send times.
+
+// How many chat messages a room keeps; joiners get these in CHAT_HISTORY.
+export const CHAT_HISTORY_SIZE = 50;
+export const MAX_CHAT_MESSAGE_LENGTH = 200;
+// Chat messages and reactions together: at most `count` from one sender in any `windowMs`.
+export const CHAT_RATE_LIMIT = { count: 5, windowMs: 10000 };
+export const REACTIONS = ['CLAP', 'FIRE', 'LAUGH', 'WOW', 'SAD', 'MONEY'];
+
+// Whole words only (with common endings), so names and ordinary words that contain them pass.
+const BLOCKED_WORDS = [
+    'fuck', 'motherfuck', 'shit', 'bullshit', 'bitch', 'bastard', 'cunt', 'dick', 'cock', 'prick',
+    'twat', 'wanker', 'wank', 'asshole', 'arsehole', 'slut', 'whore', 'bollocks', 'piss',
+];
+const BLOCKED_PATTERN = new RegExp(`\\b(?:${BLOCKED_WORDS.join('|')})(?:s|es|ed|er|ers|ing|y)?\\b`, 'gi');
+
+/**
+ * Masks blocked words with asterisks, keeping their first letter.
+ */
+export const filterProfanity = (text) => text.replace(BLOCKED_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+
+/**
+ * Tidies a chat message for sending: control characters become spaces, runs of whitespace
+ * collapse and blocked words are masked.
+ * @returns {string} The cleaned text; empty if there was nothing to send.
+ */
+export const cleanChatText = (text) => filterProfanity(text.replace(/\p{Cc}/gu, ' ').replace(/\s+/g, ' ').trim());
+
+/**
+ * Whether a sender is over the chat rate limit.
+ * @param {number[]} sentAt When they sent their recent messages and reactions, oldest first.
+ * @param {number} now The current time.
+ */
+export const isOverChatLimit = (sentAt, now) => sentAt.filter(time => now - time < CHAT_RATE_LIMIT.windowMs).length >= CHAT_RATE_LIMIT.count;
@@ -0,0 +1,31 @@
+// --- Room Bus Backends ---
+// A bus is `{ name, connect(), publish(channel, message), subscribe(channel, listener),
+// unsubscribe(channel), get(key), set(key, value, { ttlMs, onlyIfAbsent }), expire(key, ttlMs), del(...keys),
+// hashSet(key, field, value), hashDel(key, field), hashGetAll(key), renewIfOwner(key, value, ttlMs),
+// deleteIfOwner(key, value), close() }`, all async.
+// Messages and values are strings. See roomBus.js for what is stored on it.
+
+import { createMemoryBroker, createMemoryBus } from './memoryBus.js';
+import { createRedisBus } from './redisBus.js';
+import { createRoomBus } from './roomBus.js';
+
+export { createMemoryBroker, createMemoryBus, createRedisBus, createRoomBus };
+
+/**
+ * Picks the room bus from the environment.
+ * ROOM_BUS=memory (default) keeps everything in this process; redis (REDIS_URL) shares rooms
+ * with every other instance on the same server.
+ * @param {object} env Usually `process.env`.
+ */
+export const createBus = (env) => {
+  const kind = (env.ROOM_BUS || 'memory').toLowerCase();
+  switch (kind) {
+    case 'memory':
+      return createMemoryBus();
+    case 'redis':
+      if (!env.REDIS_URL) throw new Error('ROOM_BUS is "redis" but REDIS_URL is missing.');
+      return createRedisBus(env.REDIS_URL);
+    default:
+      throw new Error(`Unknown ROOM_BUS "${env.ROOM_BUS}", expected "memory" or "redis".`);
+  }
+};
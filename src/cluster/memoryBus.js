@@ -0,0 +1,100 @@
+// How often the broker clears out expired keys that were never read again.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * An in-process stand-in for a Redis server: keys with optional expiry, and pub/sub channels.
+ * Every bus created on the same broker sees the same keys and messages, so tests can run
+ * several "instances" side by side.
+ * @param {{ now?: () => number }} [options] Clock for key expiry.
+ */
+export const createMemoryBroker = ({ now = Date.now } = {}) => {
+  const values = new Map();
+  const hashes = new Map();
+  const channels = new Map();
+  let nextSweepAt = 0;
+
+  const read = (key) => {
+    const entry = values.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+      values.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  // Like Redis, expired keys are also dropped now and then, not only when they are read.
+  const sweep = () => {
+    if (now() < nextSweepAt) return;
+    nextSweepAt = now() + SWEEP_INTERVAL_MS;
+    for (const key of [...values.keys()]) read(key);
+  };
+
+  return {
+    get: (key) => read(key)?.value ?? null,
+    set: (key, value, { ttlMs = null, onlyIfAbsent = false } = {}) => {
+      sweep();
+      if (onlyIfAbsent && read(key)) return false;
+      values.set(key, { value, expiresAt: ttlMs ? now() + ttlMs : null });
+      return true;
+    },
+    expire: (key, ttlMs) => {
+      const entry = read(key);
+      if (entry) entry.expiresAt = now() + ttlMs;
+    },
+    del: (key) => values.delete(key),
+    hash: (key) => {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      return hashes.get(key);
+    },
+    listeners: (channel) => {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      return channels.get(channel);
+    },
+  };
+};
+
+/**
+ * A room bus client on a memory broker. Messages are delivered synchronously, in order.
+ * With its own broker (the default) this is the single-instance setup.
+ * @param {object} [broker] Shared with other buses to simulate several instances.
+ */
+export const createMemoryBus = (broker = createMemoryBroker()) => {
+  const subscriptions = new Map();
+  return {
+    name: 'memory',
+    connect: async () => {},
+    publish: async (channel, message) => {
+      for (const listener of [...broker.listeners(channel)]) listener(message);
+    },
+    subscribe: async (channel, listener) => {
+      if (subscriptions.has(channel)) return;
+      subscriptions.set(channel, listener);
+      broker.listeners(channel).add(listener);
+    },
+    unsubscribe: async (channel) => {
+      broker.listeners(channel).delete(subscriptions.get(channel));
+      subscriptions.delete(channel);
+    },
+    get: async (key) => broker.get(key),
+    set: async (key, value, options) => broker.set(key, value, options),
+    expire: async (key, ttlMs) => { broker.expire(key, ttlMs); },
+    del: async (...keys) => { keys.forEach(key => broker.del(key)); },
+    hashSet: async (key, field, value) => { broker.hash(key).set(field, value); },
+    hashDel: async (key, field) => { broker.hash(key).delete(field); },
+    hashGetAll: async (key) => Object.fromEntries(broker.hash(key)),
+    renewIfOwner: async (key, value, ttlMs) => {
+      if (broker.get(key) !== value) return false;
+      broker.expire(key, ttlMs);
+      return true;
+    },
+    deleteIfOwner: async (key, value) => {
+      if (broker.get(key) !== value) return false;
+      broker.del(key);
+      return true;
+    },
+    close: async () => {
+      for (const channel of [...subscriptions.keys()]) broker.listeners(channel).delete(subscriptions.get(channel));
+      subscriptions.clear();
+    },
+  };
+};
@@ -0,0 +1,43 @@
+import { createClient } from 'redis';
+import { logger } from '../logger.js';
+
+// Lease helpers run as scripts so the check and the change happen atomically.
+const RENEW_IF_OWNER = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end`;
+const DELETE_IF_OWNER = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
+
+/**
+ * A room bus on any server that speaks the Redis protocol (Redis, Valkey, KeyDB, ...).
+ * Uses one connection for commands and a second one for subscriptions.
+ * @param {string} url e.g. `redis://localhost:6379`.
+ */
+export const createRedisBus = (url) => {
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+  client.on('error', error => logger.error('Room bus connection error.', { error }));
+  subscriber.on('error', error => logger.error('Room bus subscriber error.', { error }));
+
+  return {
+    name: `redis ${new URL(url).host}`,
+    connect: async () => {
+      await Promise.all([client.connect(), subscriber.connect()]);
+    },
+    publish: async (channel, message) => { await client.publish(channel, message); },
+    subscribe: (channel, listener) => subscriber.subscribe(channel, listener),
+    unsubscribe: (channel) => subscriber.unsubscribe(channel),
+    get: (key) => client.get(key),
+    set: async (key, value, { ttlMs = null, onlyIfAbsent = false } = {}) => {
+      const result = await client.set(key, value, { ...(ttlMs && { PX: ttlMs }), ...(onlyIfAbsent && { NX: true }) });
+      return result === 'OK';
+    },
+    expire: async (key, ttlMs) => { await client.pExpire(key, ttlMs); },
+    del: async (...keys) => { await client.del(keys); },
+    hashSet: async (key, field, value) => { await client.hSet(key, field, value); },
+    hashDel: async (key, field) => { await client.hDel(key, field); },
+    hashGetAll: (key) => client.hGetAll(key),
+    renewIfOwner: async (key, value, ttlMs) => (await client.eval(RENEW_IF_OWNER, { keys: [key], arguments: [value, String(ttlMs)] })) === 1,
+    deleteIfOwner: async (key, value) => (await client.eval(DELETE_IF_OWNER, { keys: [key], arguments: [value] })) === 1,
+    close: async () => {
+      await Promise.all([client.quit(), subscriber.quit()]);
+    },
+  };
+};
@@ -0,0 +1,216 @@
+// --- Room Bus ---
+// Lets several server instances serve the same rooms. Each room is owned by one instance,
+// which holds a lease on it, runs its engine and timers, and publishes every dispatch on the
+// room's channel. Instances with sockets in a room forward their clients' actions to the
+// owner and deliver the published results to their own sockets.
+//
+// Keys:      cag:room:<code>        the room code, reserved by whoever created the room
+//            cag:room:<code>:state  `{ gameState, createdAt }` as of the last dispatch
+//            cag:room:<code>:lease  the owner's instance id; expires unless renewed
+//            cag:rooms:public       hash of room code to its entry in the public room list
+// The code and state are renewed with the lease but last a few leases longer, so there is
+// time for a takeover; a room nobody takes over expires with them. The public list leaves out
+// rooms without an owner, and drops them once their code has expired.
+// Channel:   cag:room:<code>        { kind: 'action' | 'dispatch' | 'rollcall' | 'present', ... }
+//
+// When a lease expires (its owner crashed), the next instance to notice takes the room over:
+// it loads the saved state, asks the other instances which players they still have sockets
+// for, and carries on from there.
+
+import { randomUUID } from 'crypto';
+
+const codeKey = (roomCode) => `cag:room:${roomCode}`;
+const stateKey = (roomCode) => `cag:room:${roomCode}:state`;
+const leaseKey = (roomCode) => `cag:room:${roomCode}:lease`;
+const channel = (roomCode) => `cag:room:${roomCode}`;
+const PUBLIC_ROOMS_KEY = 'cag:rooms:public';
+// How many leases a room's code and state outlast its owner by.
+const RECORD_LEASES = 3;
+
+/**
+ * Creates this instance's view of the room bus.
+ * @param {object} bus A bus client (see memoryBus.js / redisBus.js).
+ * @param {{ instanceId?: string, leaseMs?: number, rollCallMs?: number }} [options] How long a
+ *   lease lasts without renewal, and how long a takeover waits for other instances to answer.
+ */
+export const createRoomBus = (bus, { instanceId = randomUUID(), leaseMs = 10000, rollCallMs = 500 } = {}) => {
+  // Rooms this instance is subscribed to, with the handlers for their messages.
+  const watched = new Map();
+  const owned = new Set();
+  const adopting = new Map();
+  const rollCalls = new Map();
+  let leaseTimer = null;
+  const recordTtlMs = leaseMs * RECORD_LEASES;
+
+  const publish = (roomCode, message) => bus.publish(channel(roomCode), JSON.stringify(message));
+
+  const onMessage = (roomCode, message) => {
+    const handlers = watched.get(roomCode);
+    if (!handlers) return;
+    switch (message.kind) {
+      case 'action':
+        if (owned.has(roomCode)) handlers.onAction(message.action, message.origin);
+        break;
+      case 'dispatch':
+        handlers.onDispatch(message);
+        break;
+      case 'rollcall':
+        publish(roomCode, { kind: 'present', id: message.id, playerIds: handlers.presentPlayers() });
+        break;
+      case 'present':
+        rollCalls.get(message.id)?.push(...message.playerIds);
+        break;
+    }
+  };
+
+  const claim = async (roomCode) => {
+    if (owned.has(roomCode)) return true;
+    const won = await bus.set(leaseKey(roomCode), instanceId, { ttlMs: leaseMs, onlyIfAbsent: true });
+    if (won) owned.add(roomCode);
+    return won;
+  };
+
+  /**
+   * Asks every instance watching the room which of its players they have sockets for.
+   * @returns {Promise<string[]>}
+   */
+  const rollCall = async (roomCode) => {
+    const id = randomUUID();
+    rollCalls.set(id, []);
+    await publish(roomCode, { kind: 'rollcall', id });
+    await new Promise(resolve => setTimeout(resolve, rollCallMs));
+    const playerIds = rollCalls.get(id);
+    rollCalls.delete(id);
+    return [...new Set(playerIds)];
+  };
+
+  // Takes over a room whose owner's lease ran out. Only one takeover per room runs at a time.
+  const adopt = (roomCode) => {
+    if (!adopting.has(roomCode)) {
+      adopting.set(roomCode, (async () => {
+        if (!(await claim(roomCode))) return;
+        const saved = await bus.get(stateKey(roomCode));
+        const connectedIds = await rollCall(roomCode);
+        await watched.get(roomCode)?.onAdopt(saved ? JSON.parse(saved) : null, connectedIds);
+      })().finally(() => adopting.delete(roomCode)));
+    }
+    return adopting.get(roomCode);
+  };
+
+  /**
+   * Renews the leases this instance holds and takes over watched rooms that lost their owner.
+   * Runs every third of a lease; exposed so tests can drive it.
+   */
+  const checkLeases = async () => {
+    for (const roomCode of [...watched.keys()]) {
+      if (owned.has(roomCode)) {
+        if (await bus.renewIfOwner(leaseKey(roomCode), instanceId, leaseMs)) {
+          await bus.expire(codeKey(roomCode), recordTtlMs);
+          await bus.expire(stateKey(roomCode), recordTtlMs);
+        } else {
+          owned.delete(roomCode);
+          watched.get(roomCode)?.onLeaseLost();
+        }
+      } else if ((await bus.get(leaseKey(roomCode))) === null) {
+        await adopt(roomCode);
+      }
+    }
+  };
+
+  return {
+    instanceId,
+    checkLeases,
+    /**
+     * Reserves a room code across every instance.
+     * @returns {Promise<boolean>} False if the code is already taken.
+     */
+    reserveCode: (roomCode) => bus.set(codeKey(roomCode), instanceId, { ttlMs: recordTtlMs, onlyIfAbsent: true }),
+    exists: async (roomCode) => (await bus.get(codeKey(roomCode))) !== null,
+    saveState: (roomCode, saved) => bus.set(stateKey(roomCode), JSON.stringify(saved), { ttlMs: recordTtlMs }),
+    /**
+     * @returns {Promise<{ gameState: object, createdAt: number }|null>}
+     */
+    loadState: async (roomCode) => {
+      const saved = await bus.get(stateKey(roomCode));
+      return saved ? JSON.parse(saved) : null;
+    },
+    /**
+     * Takes the room's lease if nobody holds it.
+     * @returns {Promise<boolean>} Whether this instance now owns the room.
+     */
+    claim,
+    isOwner: (roomCode) => owned.has(roomCode),
+    /**
+     * Subscribes to a room's channel.
+     * @param {{ onAction: Function, onDispatch: Function, presentPlayers: () => string[],
+     *   onAdopt: (saved: object|null, connectedIds: string[]) => unknown, onLeaseLost: Function }} handlers
+     */
+    watch: async (roomCode, handlers) => {
+      watched.set(roomCode, handlers);
+      await bus.subscribe(channel(roomCode), raw => onMessage(roomCode, JSON.parse(raw)));
+      if (!leaseTimer) {
+        leaseTimer = setInterval(() => { checkLeases().catch(() => {}); }, leaseMs / 3);
+        leaseTimer.unref?.();
+      }
+    },
+    unwatch: async (roomCode) => {
+      watched.delete(roomCode);
+      await bus.unsubscribe(channel(roomCode));
+    },
+    /**
+     * Sends an action to the room's owner. If the room has no owner, this instance takes it
+     * over first. Actions for rooms this instance owns are handled straight away.
+     * @param {object} origin Where REPLY effects go: `{ instanceId, connId, ... }`, or null.
+     */
+    sendAction: async (roomCode, action, origin = null) => {
+      if (!owned.has(roomCode) && (await bus.get(leaseKey(roomCode))) === null) await adopt(roomCode);
+      if (owned.has(roomCode)) watched.get(roomCode)?.onAction(action, origin);
+      else await publish(roomCode, { kind: 'action', action, origin });
+    },
+    /**
+     * Publishes the result of a dispatch to every instance watching the room, this one included.
+     * @param {{ gameState: object, effects: object[], action: object, origin: object|null }} result
+     */
+    publishDispatch: (roomCode, result) => publish(roomCode, { kind: 'dispatch', from: instanceId, ...result }),
+    /**
+     * Puts a room in the public room list, or takes it off with a null entry.
+     * @param {object|null} listing The room's entry (see publicListing).
+     */
+    setListing: (roomCode, listing) => (listing
+      ? bus.hashSet(PUBLIC_ROOMS_KEY, roomCode, JSON.stringify(listing))
+      : bus.hashDel(PUBLIC_ROOMS_KEY, roomCode)),
+    /**
+     * Every room in the public room list that has an owner, from every instance.
+     * @returns {Promise<object[]>}
+     */
+    listings: async () => {
+      const entries = Object.entries(await bus.hashGetAll(PUBLIC_ROOMS_KEY));
+      const live = await Promise.all(entries.map(async ([roomCode, entry]) => {
+        if ((await bus.get(leaseKey(roomCode))) !== null) return JSON.parse(entry);
+        // Its owner is gone. Another instance may still take it over, until its code expires.
+        if ((await bus.get(codeKey(roomCode))) === null) await bus.hashDel(PUBLIC_ROOMS_KEY, roomCode);
+        return null;
+      }));
+      return live.filter(Boolean);
+    },
+    /**
+     * Deletes a closed room's code, state, lease and public listing.
+     */
+    removeRoom: async (roomCode) => {
+      owned.delete(roomCode);
+      await bus.del(codeKey(roomCode), stateKey(roomCode), leaseKey(roomCode));
+      await bus.hashDel(PUBLIC_ROOMS_KEY, roomCode);
+    },
+    /**
+     * Gives up every lease, e.g. on shutdown, so other instances can take over at once.
+     */
+    close: async () => {
+      clearInterval(leaseTimer);
+      leaseTimer = null;
+      for (const roomCode of owned) await bus.deleteIfOwner(leaseKey(roomCode), instanceId);
+      owned.clear();
+      for (const roomCode of [...watched.keys()]) await bus.unsubscribe(channel(roomCode));
+      watched.clear();
+    },
+  };
+};
@@ -0,0 +1,68 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Parses CSV text into one object per row, keyed by the header row.
+ * Supports quoted fields with commas, newlines and doubled quotes ("").
+ * @param {string} text The CSV file contents.
+ * @returns {object[]} The rows.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  const [header, ...rows] = nonEmpty;
+  const columns = header.map(h => h.trim().replace(/^\uFEFF/, ''));
+  return rows.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index] ?? ''])));
+};
+
+/**
+ * Reads cricketers from a local JSON or CSV file in the same column layout as the
+ * Supabase table. JSON files hold an array of rows. The file is re-read on every fetch.
+ * @param {string} filePath Path to a .json or .csv file.
+ */
+export const createFileProvider = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension !== '.json' && extension !== '.csv') {
+    throw new Error(`Unsupported cricketers file "${filePath}", expected a .json or .csv file.`);
+  }
+
+  return {
+    name: `file ${filePath}`,
+    fetchRows: async () => {
+      const text = await readFile(filePath, 'utf8');
+      if (extension === '.csv') return parseCsv(text);
+
+      const rows = JSON.parse(text);
+      if (!Array.isArray(rows)) throw new Error(`Cricketers file "${filePath}" must contain a JSON array.`);
+      return rows;
+    },
+  };
+};
@@ -0,0 +1,38 @@
+// --- Cricketer Data Sources ---
+// A provider is `{ name, fetchRows: async () => rawRows[] }`. Every provider returns rows in the
+// `cricketers` table layout and they all go through the same normalisation and validation.
+
+import { createSupabaseProvider } from './supabaseProvider.js';
+import { createFileProvider } from './fileProvider.js';
+import { normaliseCricketerRows } from './normalise.js';
+
+export { mapDbRoleToGameRole, normaliseCricketerRow } from './normalise.js';
+
+/**
+ * Picks the cricketer provider from the environment.
+ * CRICKETER_SOURCE=supabase (default) uses the Supabase table; CRICKETER_SOURCE=file reads CRICKETERS_FILE.
+ * @param {object} env Usually `process.env`.
+ * @param {import('@supabase/supabase-js').SupabaseClient|null} supabase The shared Supabase client, if configured.
+ */
+export const createCricketerProvider = (env, supabase) => {
+  const source = (env.CRICKETER_SOURCE || 'supabase').toLowerCase();
+  switch (source) {
+    case 'supabase':
+      if (!supabase) throw new Error('CRICKETER_SOURCE is "supabase" but SUPABASE_URL or SUPABASE_ANON_KEY is missing.');
+      return createSupabaseProvider(supabase);
+    case 'file':
+      if (!env.CRICKETERS_FILE) throw new Error('CRICKETER_SOURCE is "file" but CRICKETERS_FILE is not set.');
+      return createFileProvider(env.CRICKETERS_FILE);
+    default:
+      throw new Error(`Unknown CRICKETER_SOURCE "${env.CRICKETER_SOURCE}", expected "supabase" or "file".`);
+  }
+};
+
+/**
+ * Fetches and normalises the full cricketer list from a provider.
+ * @returns {Promise<object[]>} The valid cricketers.
+ */
+export const loadCricketers = async (provider) => {
+  const rows = await provider.fetchRows();
+  return normaliseCricketerRows(rows, provider.name);
+};
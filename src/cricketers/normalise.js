@@ -0,0 +1,138 @@
+import { ROLES } from '../settings.js';
+import { logger } from '../logger.js';
+
+/**
+ * Maps database-specific role names to the application's standard role names.
+ * This is now case-insensitive to handle variations like 'Batter' vs 'batter'.
+ * @param {string} dbRole The role name from the database (e.g., 'Batter', 'wk').
+ * @returns {string} The application-standard role name (e.g., 'Batsman', 'Wicket-Keeper').
+ */
+export const mapDbRoleToGameRole = (dbRole) => {
+  if (typeof dbRole !== 'string') {
+    return 'Unknown'; 
+  }
+  const lowerCaseRole = dbRole.toLowerCase();
+  switch (lowerCaseRole) {
+    case 'batter':
+      return 'Batsman';
+    case 'wk':
+      return 'Wicket-Keeper';
+    case 'bowler':
+      return 'Bowler';
+    case 'all-rounder':
+      return 'All-Rounder';
+    default:
+      return dbRole; // Fallback for any roles that already match
+  }
+};
+
+// Numbers can arrive as strings (CSV) or be blank; blank means missing.
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const toNumber = (value) => (isBlank(value) ? NaN : Number(value));
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+};
+
+/**
+ * Turns one raw row in the `cricketers` column layout (`Name`, `ROLE`, `OVR`,
+ * `Batting OVR`, ...) into a game Cricketer, whichever provider it came from.
+ * As in the original server, a blank rating counts as 0. A blank `base_price` comes back
+ * as null for checkCricketerRows to fill in; a value that isn't a number is a problem.
+ * @param {object} row The raw row.
+ * @returns {{ cricketer: object|null, problems: string[] }} The cricketer, or why the row was rejected.
+ */
+export const normaliseCricketerRow = (row) => {
+  const problems = [];
+  const name = typeof row.Name === 'string' ? row.Name.trim() : '';
+  if (!name) problems.push('missing Name');
+
+  const role = mapDbRoleToGameRole(typeof row.ROLE === 'string' ? row.ROLE.trim() : row.ROLE);
+  if (!ROLES.includes(role)) problems.push(`unknown ROLE "${row.ROLE}"`);
+
+  const rating = (value) => (isBlank(value) ? 0 : toNumber(value));
+  const numbers = {
+    basePrice: isBlank(row.base_price) ? null : toNumber(row.base_price),
+    overall: rating(row.OVR),
+    battingOVR: rating(row['Batting OVR']),
+    bowlingOVR: rating(row['Bowling OVR']),
+    fieldingOVR: rating(row['Fielding OVR']),
+  };
+  if (numbers.basePrice !== null && !(numbers.basePrice > 0)) problems.push('base_price must be a positive number');
+  for (const key of ['overall', 'battingOVR', 'bowlingOVR', 'fieldingOVR']) {
+    if (!Number.isFinite(numbers[key])) problems.push(`${key} must be a number`);
+  }
+
+  if (row.id === undefined || row.id === null || row.id === '') problems.push('missing id');
+
+  if (problems.length > 0) return { cricketer: null, problems };
+  const cricketer = {
+    id: row.id,
+    name,
+    role,
+    image: row.image || null,
+    ...numbers,
+  };
+  // Optional columns; only present when the data has them.
+  if (row.overseas !== undefined && row.overseas !== null && row.overseas !== '') {
+    cricketer.overseas = toBoolean(row.overseas);
+  }
+  // Tags a room's pool filter can pick by, such as a franchise and a year.
+  for (const key of ['team', 'season']) {
+    const value = typeof row[key] === 'number' ? String(row[key]) : row[key];
+    if (typeof value === 'string' && value.trim()) cricketer[key] = value.trim();
+  }
+  return { cricketer, problems };
+};
+
+/**
+ * Normalises a list of rows, keeping the valid cricketers and noting what was wrong with the rest.
+ * A row whose id was already used counts as invalid. A cricketer without a base price gets the
+ * lowest one in the list; the original server let nobody bid on them, so their lot always went
+ * unsold. If no row has a base price, those rows are invalid.
+ * @param {object[]} rows The raw rows.
+ * @returns {{ cricketers: object[], invalidRows: Array<{ row: number, problems: string[] }> }}
+ *   `row` is the 1-based position in `rows`.
+ */
+export const checkCricketerRows = (rows) => {
+  const checked = [];
+  const seenIds = new Set();
+  rows.forEach((row, index) => {
+    const { cricketer, problems } = row !== null && typeof row === 'object' && !Array.isArray(row)
+      ? normaliseCricketerRow(row)
+      : { cricketer: null, problems: ['not an object'] };
+    if (cricketer && seenIds.has(String(cricketer.id))) problems.push(`duplicate id "${cricketer.id}"`);
+    if (problems.length === 0) seenIds.add(String(cricketer.id));
+    checked.push({ row: index + 1, cricketer, problems });
+  });
+
+  const prices = checked.filter(c => c.problems.length === 0 && c.cricketer.basePrice !== null).map(c => c.cricketer.basePrice);
+  const lowestPrice = prices.length > 0 ? prices.reduce((a, b) => Math.min(a, b)) : null;
+  const cricketers = [];
+  const invalidRows = [];
+  for (const { row, cricketer, problems } of checked) {
+    if (problems.length === 0 && cricketer.basePrice === null) {
+      if (lowestPrice === null) problems.push('base_price must be a positive number');
+      else cricketer.basePrice = lowestPrice;
+    }
+    if (problems.length === 0) cricketers.push(cricketer);
+    else invalidRows.push({ row, problems });
+  }
+  return { cricketers, invalidRows };
+};
+
+/**
+ * Normalises every row from a provider, logging and skipping the ones that fail validation.
+ * @param {object[]} rows The raw rows.
+ * @param {string} sourceName Used in log messages.
+ * @returns {object[]} The valid cricketers.
+ */
+export const normaliseCricketerRows = (rows, sourceName) => {
+  const { cricketers, invalidRows } = checkCricketerRows(rows);
+  for (const { row, problems } of invalidRows) {
+    logger.warn('Skipping invalid cricketer row.', { source: sourceName, row, problems });
+  }
+  return cricketers;
+};
@@ -0,0 +1,12 @@
+/**
+ * Reads cricketers from the Supabase `cricketers` table.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase The shared Supabase client.
+ */
+export const createSupabaseProvider = (supabase) => ({
+  name: 'Supabase',
+  fetchRows: async () => {
+    const { data, error } = await supabase.from('cricketers').select('*');
+    if (error) throw new Error(`Error fetching cricketers from Supabase: ${error.message}`);
+    return data;
+  },
+});
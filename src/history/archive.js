@@ -0,0 +1,15 @@
+/**
+ * Keeps the event logs of finished and abandoned auctions after their room resets or closes,
+ * so they can still be exported and replayed. Logs live on the room bus under
+ * `cag:auction:<auctionId>`, so any instance can serve them, and expire `ttlMs` after saving.
+ */
+export const createAuctionArchive = (bus, { ttlMs = 24 * 60 * 60 * 1000 } = {}) => {
+  const keyOf = (auctionId) => `cag:auction:${auctionId}`;
+  return {
+    save: async (log) => { await bus.set(keyOf(log.auctionId), JSON.stringify(log), { ttlMs }); },
+    get: async (auctionId) => {
+      const saved = await bus.get(keyOf(auctionId));
+      return saved ? JSON.parse(saved) : null;
+    },
+  };
+};
@@ -0,0 +1,96 @@
+// --- Auction Log Export ---
+// Turns an archived auction event log (see logEvent in src/auction/engine.js) into a per-lot
+// summary, as JSON or as CSV with one row per lot.
+
+const CSV_COLUMNS = [
+    'lot', 'sub_pool', 'cricketer_id', 'cricketer_name', 'role', 'base_price', 'result',
+    'winner_id', 'winner_name', 'price', 'opened_at', 'closed_at', 'bid_count', 'bid_trail',
+];
+
+/**
+ * Groups the log's events into lots.
+ * @param {object} log An auction event log.
+ * @returns {object[]} `{ lot, subPool, cricketer, openedAt, closedAt, result, winnerId, price, bids }` per lot,
+ *   in the order they were auctioned. A lot still open when the log ended has a null `result`;
+ *   a sale the host undid has result `UNDONE` and keeps its winner and price.
+ */
+export const lotsFromLog = (log) => {
+    const lots = [];
+    let current = null;
+    for (const event of log.events) {
+        switch (event.type) {
+            case 'LOT_OPENED':
+                current = {
+                    lot: lots.length + 1,
+                    subPool: event.subPool,
+                    cricketer: event.cricketer,
+                    openedAt: event.at,
+                    closedAt: null,
+                    result: null,
+                    winnerId: null,
+                    price: null,
+                    bids: [],
+                };
+                lots.push(current);
+                break;
+            case 'BID':
+            case 'SEALED_BID':
+                current?.bids.push({ playerId: event.playerId, amount: event.amount, at: event.at });
+                break;
+            case 'SOLD':
+            case 'UNSOLD':
+                if (!current) break;
+                current.closedAt = event.at;
+                current.result = event.type;
+                if (event.type === 'SOLD') {
+                    current.winnerId = event.playerId;
+                    current.price = event.amount;
+                }
+                current = null;
+                break;
+            case 'SALE_UNDONE': {
+                const sale = lots.findLast(lot => lot.result === 'SOLD' && lot.cricketer.id === event.cricketerId);
+                if (sale) sale.result = 'UNDONE';
+                break;
+            }
+        }
+    }
+    return lots;
+};
+
+/**
+ * The JSON export: the full log plus its per-lot summary.
+ */
+export const auctionLogToJson = (log) => ({ ...log, lots: lotsFromLog(log) });
+
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isoTime = (ms) => (ms === null ? '' : new Date(ms).toISOString());
+
+/**
+ * The CSV export: one row per lot, with the bid trail as `name amount` steps joined by " > ".
+ */
+export const auctionLogToCsv = (log) => {
+    const names = Object.fromEntries(log.players.map(p => [p.id, p.name]));
+    const nameOf = (id) => names[id] ?? id;
+    const rows = lotsFromLog(log).map(lot => [
+        lot.lot,
+        lot.subPool,
+        lot.cricketer.id,
+        lot.cricketer.name,
+        lot.cricketer.role,
+        lot.cricketer.basePrice,
+        lot.result ?? 'OPEN',
+        lot.winnerId,
+        lot.winnerId ? nameOf(lot.winnerId) : '',
+        lot.price,
+        isoTime(lot.openedAt),
+        isoTime(lot.closedAt),
+        lot.bids.length,
+        lot.bids.map(b => `${nameOf(b.playerId)} ${b.amount}`).join(' > '),
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
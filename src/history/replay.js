@@ -0,0 +1,104 @@
+// --- Auction Replay ---
+// Rebuilds what the auction looked like at any point in its event log, by folding the events
+// up to that point. Used to settle disputes and to post recaps.
+
+/**
+ * Replays a log up to and including event `seq`.
+ * @param {object} log An auction event log.
+ * @param {number} [seq] The last event to apply. Defaults to the whole log.
+ * @returns {object} `{ auctionId, seq, at, subPool, players, currentLot, sold, unsold, lastEvent }`.
+ *   `currentLot` is the lot open at that point (null between lots).
+ */
+export const replayAuctionLog = (log, seq = log.events.length) => {
+    const cricketers = {};
+    const players = log.players.map(p => ({
+        id: p.id, name: p.name, budget: p.budget, squad: [], isConnected: true, hasLeft: false,
+    }));
+    const findPlayer = (id) => players.find(p => p.id === id);
+    const view = {
+        auctionId: log.auctionId,
+        seq: 0,
+        at: log.startedAt,
+        subPool: null,
+        players,
+        currentLot: null,
+        sold: [],
+        unsold: [],
+        lastEvent: null,
+    };
+
+    for (const event of log.events) {
+        if (event.seq > seq) break;
+        view.seq = event.seq;
+        view.at = event.at;
+        view.lastEvent = event;
+
+        const lot = view.currentLot;
+        switch (event.type) {
+            case 'SUBPOOL_STARTED':
+                view.subPool = event.subPool;
+                break;
+            case 'LOT_OPENED':
+                cricketers[event.cricketer.id] = event.cricketer;
+                view.subPool = event.subPool;
+                view.currentLot = {
+                    cricketer: event.cricketer,
+                    currentBid: event.cricketer.basePrice,
+                    highestBidderId: null,
+                    playersInRound: [...event.playersInRound],
+                    bids: [],
+                };
+                break;
+            case 'BID':
+                if (!lot) break;
+                lot.currentBid = event.amount;
+                lot.highestBidderId = event.playerId;
+                lot.bids.push({ playerId: event.playerId, amount: event.amount, at: event.at });
+                break;
+            case 'DROP':
+            case 'TIMEOUT':
+                if (lot) lot.playersInRound = lot.playersInRound.filter(id => id !== event.playerId);
+                break;
+            case 'SOLD': {
+                const winner = findPlayer(event.playerId);
+                if (winner) {
+                    winner.budget -= event.amount;
+                    winner.squad.push(cricketers[event.cricketerId]);
+                }
+                view.sold.push({ cricketerId: event.cricketerId, playerId: event.playerId, amount: event.amount });
+                view.currentLot = null;
+                break;
+            }
+            case 'UNSOLD':
+                view.unsold.push(event.cricketerId);
+                view.currentLot = null;
+                break;
+            case 'SALE_UNDONE': {
+                const buyer = findPlayer(event.playerId);
+                if (buyer) {
+                    buyer.budget += event.amount;
+                    buyer.squad = buyer.squad.filter(c => c.id !== event.cricketerId);
+                }
+                view.sold = view.sold.filter(sale => sale.cricketerId !== event.cricketerId);
+                view.unsold.push(event.cricketerId);
+                break;
+            }
+            case 'PLAYER_DISCONNECTED':
+            case 'PLAYER_RECONNECTED': {
+                const player = findPlayer(event.playerId);
+                if (player) player.isConnected = event.type === 'PLAYER_RECONNECTED';
+                break;
+            }
+            case 'PLAYER_LEFT': {
+                const player = findPlayer(event.playerId);
+                if (player) {
+                    player.hasLeft = true;
+                    player.isConnected = false;
+                }
+                if (lot) lot.playersInRound = lot.playersInRound.filter(id => id !== event.playerId);
+                break;
+            }
+        }
+    }
+    return view;
+};
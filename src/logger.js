@@ -0,0 +1,35 @@
+// --- Structured Logging ---
+// Every log line is one JSON object: `{ time, level, msg, ...fields }`. Context such as
+// `roomCode` and `playerId` is passed as fields with each call.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't survive JSON.stringify, so keep the parts worth reading.
+const serialise = (value) => (value instanceof Error ? { message: value.message, stack: value.stack } : value);
+
+/**
+ * Creates a logger.
+ * @param {object} [fields] Fields added to every line.
+ * @param {{ level?: string, write?: (line: string) => void }} [options] The lowest level written
+ *   (LOG_LEVEL, default info) and where lines go (stdout, or stderr for warnings and errors).
+ */
+export const createLogger = (fields = {}, options = {}) => {
+  const minLevel = LEVELS[options.level ?? process.env.LOG_LEVEL] ?? LEVELS.info;
+  const write = options.write ?? ((line, level) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+
+  const log = (level, msg, extra = {}) => {
+    if (LEVELS[level] < minLevel) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) entry[key] = serialise(value);
+    write(JSON.stringify(entry), level);
+  };
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+  };
+};
+
+export const logger = createLogger();
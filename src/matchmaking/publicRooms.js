@@ -0,0 +1,38 @@
+// --- Public Rooms ---
+// A host can make a room public with the `isPublic` setting. Players can then find it in the
+// room list (GET /rooms, LIST_ROOMS) or be put in it by QUICK_MATCH, without being given
+// its code. A room is listed only while it is in the lobby and has a free seat. Each room's
+// owner keeps its entry up to date on the room bus; everything here is pure.
+
+/**
+ * A room's entry in the public room list.
+ * @param {object} state The room's game state.
+ * @param {number} createdAt When the room was created (ms since the epoch).
+ * @returns {{ roomCode: string, hostName: string|null, seatsTaken: number, maxPlayers: number,
+ *   settings: object, createdAt: number }|null} Null when the room shouldn't be listed.
+ */
+export const publicListing = (state, createdAt) => {
+  const { settings, players } = state;
+  if (!settings.isPublic || state.gameStatus !== 'LOBBY' || players.length >= settings.maxPlayers) return null;
+  return {
+    roomCode: state.roomCode,
+    hostName: players.find(p => p.isHost)?.name ?? null,
+    seatsTaken: players.length,
+    maxPlayers: settings.maxPlayers,
+    settings,
+    createdAt,
+  };
+};
+
+/**
+ * Orders the room list: the fullest rooms first, so games start sooner, then the oldest.
+ * @returns {object[]} A new array.
+ */
+export const sortListings = (listings) => [...listings].sort((a, b) => b.seatsTaken - a.seatsTaken || a.createdAt - b.createdAt);
+
+/**
+ * The rooms QUICK_MATCH may put a player in, in the order to try them: open public rooms,
+ * fullest first. The adapter skips any that kicked the player.
+ * @returns {object[]} Their listings.
+ */
+export const quickMatchCandidates = (listings) => sortListings(listings.filter(l => l.seatsTaken < l.maxPlayers));
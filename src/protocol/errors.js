@@ -0,0 +1,51 @@
+// --- Error Protocol ---
+// Every ERROR sent to a client carries a stable `code` clients can switch on, a human-readable
+// `message` and `fatal` (the client should leave the room). Replies to a request also carry the
+// `requestType` that caused them; the adapter adds that, since only it knows the request.
+
+export const ERROR_CODES = {
+  // The message itself is wrong.
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  UNSUPPORTED_PROTOCOL_VERSION: 'UNSUPPORTED_PROTOCOL_VERSION',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  // Too many messages, or rooms, too fast.
+  RATE_LIMITED: 'RATE_LIMITED',
+  // Rooms and sessions.
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  ROOM_FULL: 'ROOM_FULL',
+  ROOM_CLOSED: 'ROOM_CLOSED',
+  ALREADY_IN_ROOM: 'ALREADY_IN_ROOM',
+  SESSION_CONFLICT: 'SESSION_CONFLICT',
+  AUTH_FAILED: 'AUTH_FAILED',
+  KICKED: 'KICKED',
+  // The action isn't allowed right now, or not for this sender.
+  NOT_HOST: 'NOT_HOST',
+  SPECTATOR_NOT_ALLOWED: 'SPECTATOR_NOT_ALLOWED',
+  ALREADY_SEATED: 'ALREADY_SEATED',
+  WRONG_PHASE: 'WRONG_PHASE',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  WRONG_MODE: 'WRONG_MODE',
+  NOT_IN_ROUND: 'NOT_IN_ROUND',
+  NOT_ALL_READY: 'NOT_ALL_READY',
+  GAME_PAUSED: 'GAME_PAUSED',
+  MUTED: 'MUTED',
+  // The action's values were rejected.
+  INVALID_BID: 'INVALID_BID',
+  SQUAD_RULE: 'SQUAD_RULE',
+  INVALID_SETTINGS: 'INVALID_SETTINGS',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  DRAW_FAILED: 'DRAW_FAILED',
+};
+
+/**
+ * Builds an ERROR message.
+ * @param {string} code One of ERROR_CODES.
+ * @param {string} message What went wrong, for people.
+ * @param {boolean} [fatal] Whether the client should give up on the room.
+ */
+export const errorMessage = (code, message, fatal = false) => ({ type: 'ERROR', payload: { code, message, fatal } });
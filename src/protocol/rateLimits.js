@@ -0,0 +1,59 @@
+// --- Rate Limits ---
+// Token buckets: a bucket holds up to `capacity` tokens and refills at `refillPerSecond`.
+// Each message (or room created) takes a token; a client that finds its bucket empty is over
+// the limit. `capacity` is the burst a client may send at once, `refillPerSecond` its steady rate.
+
+/**
+ * Creates one token bucket. It starts full.
+ * @param {{ capacity: number, refillPerSecond: number, now?: () => number }} options
+ */
+export const createTokenBucket = ({ capacity, refillPerSecond, now = Date.now }) => {
+  let tokens = capacity;
+  let updatedAt = now();
+
+  const refill = () => {
+    const time = now();
+    tokens = Math.min(capacity, tokens + ((time - updatedAt) / 1000) * refillPerSecond);
+    updatedAt = time;
+  };
+
+  return {
+    /**
+     * Takes a token if there is one.
+     * @returns {boolean} False when the bucket is empty, i.e. the limit is reached.
+     */
+    take: () => {
+      refill();
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+    isFull: () => {
+      refill();
+      return tokens >= capacity;
+    },
+  };
+};
+
+/**
+ * Token buckets by key, such as one per IP address, created the first time a key is seen.
+ * @param {{ capacity: number, refillPerSecond: number, now?: () => number }} options For every bucket.
+ */
+export const createKeyedLimiter = (options) => {
+  const buckets = new Map();
+  return {
+    take: (key) => {
+      if (!buckets.has(key)) buckets.set(key, createTokenBucket(options));
+      return buckets.get(key).take();
+    },
+    /**
+     * Forgets buckets that have filled up again; a fresh one behaves the same.
+     */
+    prune: () => {
+      for (const [key, bucket] of buckets) {
+        if (bucket.isFull()) buckets.delete(key);
+      }
+    },
+    size: () => buckets.size,
+  };
+};
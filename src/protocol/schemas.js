@@ -0,0 +1,146 @@
+// --- Client Message Schemas ---
+// Every message a client may send, with the shape of its payload. A message is
+// `{ type, payload?, requestId? }`; `requestId` (a string or integer the client picks) is echoed
+// on every direct reply so the client can match it to the request.
+//
+// Field specs: `{ type: 'string'|'integer'|'boolean'|'object', required?, nullable?, enum?,
+// minLength?, maxLength?, min?, max? }`. Payload fields that aren't declared are rejected, except
+// for UPDATE_SETTINGS, whose payload is a settings object checked by validateGameSettings.
+
+import { ERROR_CODES } from './errors.js';
+import { BOT_PERSONALITIES } from '../bots/strategy.js';
+import { MAX_CHAT_MESSAGE_LENGTH, REACTIONS } from '../chat/chatRules.js';
+
+// Sent to each client in HELLO when it connects. Bump it when the protocol changes incompatibly.
+// 2: game state arrives as a snapshot followed by numbered patches (see stateSync.js).
+export const PROTOCOL_VERSION = 2;
+// The oldest client protocol version the server still accepts.
+export const MIN_PROTOCOL_VERSION = 1;
+
+const playerName = { type: 'string', required: true, minLength: 1, maxLength: 30 };
+const protocolVersion = { type: 'integer', min: 1 };
+const authToken = { type: 'string', maxLength: 4096 };
+const targetPlayerId = { type: 'string', required: true, maxLength: 64 };
+
+export const MESSAGE_SCHEMAS = {
+  CREATE_ROOM: { fields: { playerName, settings: { type: 'object' }, authToken, protocolVersion } },
+  JOIN_ROOM: {
+    fields: {
+      roomCode: { type: 'string', required: true, minLength: 1, maxLength: 16 },
+      playerName,
+      spectator: { type: 'boolean' },
+      sessionToken: { type: 'string', maxLength: 1024 },
+      authToken,
+      protocolVersion,
+    },
+  },
+  // Joins the fullest open public room, or starts a new public room if there isn't one.
+  QUICK_MATCH: { fields: { playerName, authToken, protocolVersion } },
+  LIST_ROOMS: { fields: { limit: { type: 'integer', min: 1, max: 100 } } },
+  DRAW_PLAYERS: { fields: {} },
+  START_GAME: { fields: {} },
+  TOGGLE_READY: { fields: {} },
+  TOGGLE_READY_FOR_AUCTION: { fields: {} },
+  PLACE_BID: { fields: { amount: { type: 'integer', min: 1 } } },
+  SUBMIT_SEALED_BID: { fields: { amount: { type: 'integer', required: true, min: 1 } } },
+  SET_AUTO_BID: { fields: { maxAmount: { type: 'integer', required: true, nullable: true, min: 1 } } },
+  PASS_TURN: { fields: {} },
+  DROP_FROM_ROUND: { fields: {} },
+  CONTINUE_TO_NEXT_SUBPOOL: { fields: {} },
+  UPDATE_SETTINGS: { fields: null },
+  ADD_BOT: { fields: { personality: { type: 'string', enum: Object.keys(BOT_PERSONALITIES) } } },
+  REMOVE_BOT: { fields: { playerId: targetPlayerId } },
+  BACK_TO_LOBBY: { fields: {} },
+  SHOW_RESULTS: { fields: { seed: { type: 'integer', min: 0, max: 2 ** 32 - 1 } } },
+  TAKE_SEAT: { fields: {} },
+  PAUSE_GAME: { fields: {} },
+  RESUME_GAME: { fields: {} },
+  KICK_PLAYER: { fields: { playerId: targetPlayerId } },
+  SKIP_LOT: { fields: {} },
+  UNDO_LAST_SALE: { fields: {} },
+  TRANSFER_HOST: { fields: { playerId: targetPlayerId } },
+  MUTE_PLAYER: { fields: { playerId: targetPlayerId } },
+  UNMUTE_PLAYER: { fields: { playerId: targetPlayerId } },
+  CHAT_MESSAGE: { fields: { text: { type: 'string', required: true, minLength: 1, maxLength: MAX_CHAT_MESSAGE_LENGTH } } },
+  REACTION: { fields: { reaction: { type: 'string', required: true, enum: REACTIONS } } },
+  RESYNC_STATE: { fields: {} },
+  CLOCK_SYNC: { fields: { clientTime: { type: 'integer', required: true, min: 0 } } },
+  EXPORT_AUCTION_LOG: {
+    fields: {
+      auctionId: { type: 'string', maxLength: 64 },
+      format: { type: 'string', enum: ['json', 'csv'] },
+    },
+  },
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: Number.isInteger,
+  boolean: (value) => typeof value === 'boolean',
+  object: isPlainObject,
+};
+
+/**
+ * Checks one field against its spec.
+ * @returns {string|null} The problem, or null if the value is fine.
+ */
+const checkField = (name, value, spec) => {
+  if (value === undefined) return spec.required ? `${name} is required.` : null;
+  if (value === null) return spec.nullable ? null : `${name} can't be null.`;
+  if (!TYPE_CHECKS[spec.type](value)) return `${name} must be ${spec.type === 'integer' ? 'a whole number' : `a ${spec.type}`}.`;
+  if (spec.enum && !spec.enum.includes(value)) return `${name} must be one of: ${spec.enum.join(', ')}.`;
+  if (spec.minLength !== undefined && value.length < spec.minLength) return `${name} can't be empty.`;
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) return `${name} must be at most ${spec.maxLength} characters.`;
+  if (spec.min !== undefined && value < spec.min) return `${name} must be at least ${spec.min}.`;
+  if (spec.max !== undefined && value > spec.max) return `${name} must be at most ${spec.max}.`;
+  return null;
+};
+
+const isRequestId = (value) => (typeof value === 'string' && value.length <= 64) || Number.isInteger(value);
+
+/**
+ * Parses and validates a raw client message.
+ * @param {string|Buffer} raw The message as received.
+ * @returns {{ message: { type: string, payload: object, requestId?: string|number } }
+ *   | { error: { code: string, message: string, requestType?: string, requestId?: string|number } }}
+ */
+export const parseClientMessage = (raw) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return { error: { code: ERROR_CODES.INVALID_JSON, message: 'Message is not valid JSON.' } };
+  }
+  if (!isPlainObject(parsed) || typeof parsed.type !== 'string') {
+    return { error: { code: ERROR_CODES.INVALID_MESSAGE, message: 'Message must be an object with a string "type".' } };
+  }
+
+  const { type, payload = {}, requestId } = parsed;
+  const fail = (code, message) => ({ error: { code, message, requestType: type, ...(isRequestId(requestId) && { requestId }) } });
+  if (requestId !== undefined && !isRequestId(requestId)) {
+    return fail(ERROR_CODES.INVALID_MESSAGE, 'requestId must be a string of at most 64 characters or a whole number.');
+  }
+  for (const key of Object.keys(parsed)) {
+    if (!['type', 'payload', 'requestId'].includes(key)) return fail(ERROR_CODES.INVALID_MESSAGE, `Unknown message field "${key}".`);
+  }
+
+  const schema = MESSAGE_SCHEMAS[type];
+  if (!schema) return fail(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type "${type}".`);
+  if (!isPlainObject(payload)) return fail(ERROR_CODES.INVALID_PAYLOAD, 'payload must be an object.');
+
+  if (schema.fields) {
+    const problems = [];
+    for (const key of Object.keys(payload)) {
+      if (!(key in schema.fields)) problems.push(`Unknown field "${key}".`);
+    }
+    for (const [name, spec] of Object.entries(schema.fields)) {
+      const problem = checkField(name, payload[name], spec);
+      if (problem) problems.push(problem);
+    }
+    if (problems.length > 0) return fail(ERROR_CODES.INVALID_PAYLOAD, problems.join(' '));
+  }
+
+  return { message: { type, payload, ...(requestId !== undefined && { requestId }) } };
+};
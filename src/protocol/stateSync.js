@@ -0,0 +1,163 @@
+// --- State Sync ---
+// Protocol 2 clients get the game state as numbered JSON Patch (RFC 6902) messages instead of
+// the whole state on every change. Cricketers are sent once in CATALOGUE messages; in the
+// state itself every cricketer is replaced by its id.
+//
+//   CATALOGUE       { cricketers }            cricketers the client hasn't been sent yet; merge by id
+//   STATE_SNAPSHOT  { seq, state }            the whole (compact) state; replaces what the client has
+//   STATE_PATCH     { baseSeq, seq, ops }     apply `ops` to the state numbered `baseSeq`
+//
+// A client that gets a patch whose baseSeq isn't the seq it holds has missed a message and
+// should send RESYNC_STATE to get a fresh snapshot and catalogue.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Replaces every cricketer in a client's view of the state with its id, collecting the
+ * cricketers into `catalogue` as it goes.
+ * @param {object} view The state as the client sees it (see stateForPlayer).
+ * @param {Map<string, object>} [catalogue] Filled with `id -> cricketer`.
+ * @returns {object} A JSON-safe copy of the view.
+ */
+export const compactState = (view, catalogue = new Map()) => {
+  const ref = (cricketer) => {
+    catalogue.set(cricketer.id, cricketer);
+    return cricketer.id;
+  };
+  const refs = (list) => list?.map(ref);
+
+  const compact = {
+    ...view,
+    players: view.players.map(p => ({ ...p, squad: refs(p.squad) })),
+    auctionPool: refs(view.auctionPool),
+    subPools: Object.fromEntries(Object.entries(view.subPools).map(([name, list]) => [name, refs(list)])),
+    currentPlayerForAuction: view.currentPlayerForAuction ? ref(view.currentPlayerForAuction) : null,
+    auctionHistory: view.auctionHistory.map(entry => ({ ...entry, cricketer: ref(entry.cricketer) })),
+    currentSubPoolPlayers: refs(view.currentSubPoolPlayers),
+    nextSubPoolPlayers: refs(view.nextSubPoolPlayers),
+    unsoldPool: refs(view.unsoldPool),
+  };
+  return JSON.parse(JSON.stringify(compact));
+};
+
+// JSON Pointer (RFC 6901) escaping for one path segment.
+const pointerSegment = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const diffValue = (prev, next, path, ops) => {
+  if (prev === next) return;
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    for (const key of Object.keys(prev)) {
+      if (!(key in next)) ops.push({ op: 'remove', path: `${path}/${pointerSegment(key)}` });
+    }
+    for (const [key, value] of Object.entries(next)) {
+      const childPath = `${path}/${pointerSegment(key)}`;
+      if (key in prev) diffValue(prev[key], value, childPath, ops);
+      else ops.push({ op: 'add', path: childPath, value });
+    }
+    return;
+  }
+  if (Array.isArray(prev) && Array.isArray(next)) {
+    const common = Math.min(prev.length, next.length);
+    for (let i = 0; i < common; i++) diffValue(prev[i], next[i], `${path}/${i}`, ops);
+    for (let i = common; i < next.length; i++) ops.push({ op: 'add', path: `${path}/${i}`, value: next[i] });
+    // Remove from the end so earlier indexes stay valid.
+    for (let i = prev.length - 1; i >= common; i--) ops.push({ op: 'remove', path: `${path}/${i}` });
+    return;
+  }
+  ops.push({ op: 'replace', path, value: next });
+};
+
+/**
+ * The JSON Patch that turns one JSON value into another. Arrays are compared index by index,
+ * which keeps the common cases (a bid, a new squad member, a history entry) to a few ops.
+ * @returns {object[]} The operations; empty when nothing changed.
+ */
+export const diffState = (prev, next) => {
+  const ops = [];
+  diffValue(prev, next, '', ops);
+  return ops;
+};
+
+/**
+ * Applies the add / remove / replace operations diffState produces. Clients do the same.
+ * @returns {object} A patched copy; `doc` is left alone.
+ */
+export const applyPatch = (doc, ops) => {
+  let root = structuredClone(doc);
+  for (const { op, path, value } of ops) {
+    if (path === '') {
+      root = structuredClone(value);
+      continue;
+    }
+    const keys = path.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node[Array.isArray(node) ? Number(key) : key], root);
+    if (Array.isArray(parent)) {
+      const index = last === '-' ? parent.length : Number(last);
+      if (op === 'add') parent.splice(index, 0, structuredClone(value));
+      else if (op === 'remove') parent.splice(index, 1);
+      else parent[index] = structuredClone(value);
+    } else if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = structuredClone(value);
+    }
+  }
+  return root;
+};
+
+/**
+ * Tracks what one protocol 2 client has been sent: the last state it holds, its sequence
+ * number and which cricketers it already has.
+ */
+export const createStateSync = () => {
+  let seq = 0;
+  let held = null;
+  const sentCricketers = new Set();
+
+  // Compacts the view and returns it with a CATALOGUE of any cricketers not sent yet.
+  const prepare = (view) => {
+    const catalogue = new Map();
+    const state = compactState(view, catalogue);
+    const fresh = [...catalogue.values()].filter(c => !sentCricketers.has(c.id));
+    fresh.forEach(c => sentCricketers.add(c.id));
+    return { state, messages: fresh.length > 0 ? [{ type: 'CATALOGUE', payload: { cricketers: fresh } }] : [] };
+  };
+
+  const snapshot = (view, type = 'STATE_SNAPSHOT') => {
+    const { state, messages } = prepare(view);
+    held = state;
+    seq++;
+    return [...messages, { type, payload: { seq, state } }];
+  };
+
+  return {
+    /**
+     * The whole state, e.g. when the client joins.
+     * @param {string} [type] The message type to send it as (JOIN_SUCCESS, ROOM_CREATED, ...).
+     * @returns {object[]} Messages to send, in order.
+     */
+    snapshot,
+    /**
+     * A patch from the state the client holds to `view`; a snapshot if it holds nothing yet.
+     * @returns {object[]} Messages to send, in order; empty when nothing changed.
+     */
+    update: (view) => {
+      if (held === null) return snapshot(view);
+      const { state, messages } = prepare(view);
+      const ops = diffState(held, state);
+      if (ops.length === 0) return messages;
+      held = state;
+      seq++;
+      return [...messages, { type: 'STATE_PATCH', payload: { baseSeq: seq - 1, seq, ops } }];
+    },
+    /**
+     * A snapshot with the whole catalogue again, for a client that lost track.
+     * @returns {object[]} Messages to send, in order.
+     */
+    resync: (view) => {
+      sentCricketers.clear();
+      return snapshot(view);
+    },
+  };
+};
@@ -0,0 +1,14 @@
+// --- Seeded Random Source ---
+
+/**
+ * A small seeded PRNG (mulberry32). The same seed always gives the same sequence, so anything
+ * driven by it can be reproduced.
+ * @param {number} seed A 32-bit integer seed.
+ * @returns {() => number} Random source returning a number in [0, 1).
+ */
+export const seededRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
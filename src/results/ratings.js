@@ -0,0 +1,83 @@
+// --- Team Ratings ---
+// Scores each finished squad on the OVR scale so teams can be ranked once the auction is over.
+// Empty squad slots count as zero, so an incomplete squad is rated below a full one.
+
+import { ROLES } from '../settings.js';
+
+// How many of a squad's best batters and bowlers count toward its batting and bowling ratings.
+const BATTING_SLOTS = 6;
+const BOWLING_SLOTS = 5;
+
+// The share of a squad each role should at least fill; every role wants at least one.
+const MIN_ROLE_SHARE = { Batsman: 0.35, Bowler: 0.35, 'All-Rounder': 0.2, 'Wicket-Keeper': 0.1 };
+
+// How much each rating counts toward the overall score.
+const RATING_WEIGHTS = { batting: 0.3, bowling: 0.3, fielding: 0.1, balance: 0.15, value: 0.15 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * The average of the `slots` highest values, with missing values counted as zero.
+ */
+const bestAverage = (values, slots) => {
+    if (slots <= 0) return 0;
+    const best = [...values].sort((a, b) => b - a).slice(0, slots);
+    return best.reduce((sum, v) => sum + v, 0) / slots;
+};
+
+/**
+ * 100 for a squad that fills every role's share of `maxSquadSize`, falling toward 0 the
+ * more of those places are missing.
+ */
+const balanceRating = (squad, maxSquadSize) => {
+    let needed = 0;
+    let missing = 0;
+    for (const role of ROLES) {
+        const target = Math.max(1, Math.floor(MIN_ROLE_SHARE[role] * maxSquadSize));
+        needed += target;
+        missing += Math.max(0, target - squad.filter(c => c.role === role).length);
+    }
+    return 100 * (1 - missing / needed);
+};
+
+/**
+ * Rates one player's squad.
+ * @param {object} player A seated player at the end of the auction.
+ * @param {object} settings The room settings.
+ * @returns {{ batting: number, bowling: number, fielding: number, balance: number, totalOVR: number, spent: number, ovrPerCredit: number }}
+ *   `ovrPerCredit` is total OVR per 100 of budget spent (0 when nothing was spent).
+ */
+export const rateSquad = (player, settings) => {
+    const { squad } = player;
+    const slots = settings.maxSquadSize;
+    const spent = settings.startingBudget - player.budget;
+    const totalOVR = squad.reduce((sum, c) => sum + c.overall, 0);
+    return {
+        batting: round1(bestAverage(squad.map(c => c.battingOVR), Math.min(BATTING_SLOTS, slots))),
+        bowling: round1(bestAverage(squad.map(c => c.bowlingOVR), Math.min(BOWLING_SLOTS, slots))),
+        fielding: round1(bestAverage(squad.map(c => c.fieldingOVR), slots)),
+        balance: round1(balanceRating(squad, slots)),
+        totalOVR,
+        spent,
+        ovrPerCredit: spent > 0 ? round1((totalOVR / spent) * 100) : 0,
+    };
+};
+
+/**
+ * Rates and ranks every team. Value for money is scored against the best value in the room,
+ * so the team with the most OVR per credit gets 100.
+ * @param {object[]} players The seated players.
+ * @param {object} settings The room settings.
+ * @returns {object[]} `{ playerId, name, rank, ratings: { ...rateSquad, value, overall } }`, best first.
+ */
+export const rankTeams = (players, settings) => {
+    const rated = players.map(p => ({ playerId: p.id, name: p.name, ratings: rateSquad(p, settings) }));
+    const bestValue = Math.max(0, ...rated.map(t => t.ratings.ovrPerCredit));
+    for (const team of rated) {
+        const { ratings } = team;
+        ratings.value = bestValue > 0 ? round1((ratings.ovrPerCredit / bestValue) * 100) : 0;
+        ratings.overall = round1(Object.entries(RATING_WEIGHTS).reduce((sum, [key, weight]) => sum + ratings[key] * weight, 0));
+    }
+    rated.sort((a, b) => b.ratings.overall - a.ratings.overall || b.ratings.totalOVR - a.ratings.totalOVR);
+    return rated.map((team, index) => ({ ...team, rank: index + 1 }));
+};
@@ -0,0 +1,186 @@
+// --- Match Simulation ---
+// Plays a round-robin of short matches between the finished squads, ball by ball, using the
+// cricketers' batting, bowling and fielding OVRs. Pure: pass a seeded random source to get
+// the same results again.
+
+export const MATCH_OVERS = 5;
+const BALLS_PER_OVER = 6;
+const POINTS_FOR_WIN = 2;
+const POINTS_FOR_TIE = 1;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * One delivery. `edge` is how much better the batter is than the bowling, roughly -1 to 1.
+ * @returns {number|'W'} Runs scored, or 'W' for a wicket.
+ */
+const bowlBall = (edge, random) => {
+    if (random() < clamp(0.06 - edge * 0.05, 0.015, 0.15)) return 'W';
+    const roll = random();
+    const boundary = clamp(0.14 + edge * 0.12, 0.03, 0.35);
+    if (roll < boundary / 3) return 6;
+    if (roll < boundary) return 4;
+    if (roll < boundary + 0.3) return 1;
+    if (roll < boundary + 0.4) return 2;
+    return 0;
+};
+
+/**
+ * Plays one innings, stopping early once `target` is passed.
+ * @param {object[]} battingSquad Cricketers of the batting side.
+ * @param {object[]} bowlingSquad Cricketers of the fielding side.
+ * @param {number|null} target Runs needed to win, or null for the first innings.
+ */
+const playInnings = (battingSquad, bowlingSquad, target, overs, random) => {
+    const batters = [...battingSquad].sort((a, b) => b.battingOVR - a.battingOVR)
+        .map(c => ({ name: c.name, battingOVR: c.battingOVR, runs: 0, balls: 0, out: false }));
+    const bowlers = [...bowlingSquad].sort((a, b) => b.bowlingOVR - a.bowlingOVR).slice(0, 5)
+        .map(c => ({ name: c.name, bowlingOVR: c.bowlingOVR, balls: 0, runs: 0, wickets: 0 }));
+    const fielding = bowlingSquad.length > 0
+        ? bowlingSquad.reduce((sum, c) => sum + c.fieldingOVR, 0) / bowlingSquad.length
+        : 0;
+
+    // A side with nobody to bat is all out for nothing.
+    const innings = { runs: 0, wickets: 0, balls: 0, allOut: batters.length === 0 };
+    // The last batter can't bat alone, so a side of n is all out after n - 1 wickets.
+    const wicketsInHand = Math.max(1, batters.length - 1);
+
+    let striker = 0;
+    let nonStriker = Math.min(1, batters.length - 1);
+    let nextIn = 2;
+    for (let ball = 0; !innings.allOut && ball < overs * BALLS_PER_OVER; ball++) {
+        const over = Math.floor(ball / BALLS_PER_OVER);
+        const bowler = bowlers.length > 0 ? bowlers[over % bowlers.length] : null;
+        const bowling = 0.85 * (bowler ? bowler.bowlingOVR : 0) + 0.15 * fielding;
+        const batter = batters[striker];
+        const outcome = bowlBall((batter.battingOVR - bowling) / 100, random);
+
+        innings.balls++;
+        batter.balls++;
+        if (bowler) bowler.balls++;
+        if (outcome === 'W') {
+            batter.out = true;
+            innings.wickets++;
+            if (bowler) bowler.wickets++;
+            if (innings.wickets >= wicketsInHand) {
+                innings.allOut = true;
+                break;
+            }
+            striker = nextIn++;
+        } else {
+            batter.runs += outcome;
+            innings.runs += outcome;
+            if (bowler) bowler.runs += outcome;
+            if (outcome % 2 === 1) [striker, nonStriker] = [nonStriker, striker];
+        }
+        if (target !== null && innings.runs >= target) break;
+        if ((ball + 1) % BALLS_PER_OVER === 0) [striker, nonStriker] = [nonStriker, striker];
+    }
+
+    innings.batting = batters.filter(b => b.balls > 0 || b.out)
+        .map(({ name, runs, balls, out }) => ({ name, runs, balls, out }));
+    innings.bowling = bowlers.filter(b => b.balls > 0)
+        .map(({ name, balls, runs, wickets }) => ({ name, overs: oversText(balls), runs, wickets }));
+    return innings;
+};
+
+/**
+ * Formats a ball count as cricket overs, e.g. 14 balls is "2.2".
+ */
+const oversText = (balls) => `${Math.floor(balls / BALLS_PER_OVER)}.${balls % BALLS_PER_OVER}`;
+
+/**
+ * Plays one match. The toss decides who bats first.
+ * @param {{ playerId: string, name: string, squad: object[] }} home
+ * @param {{ playerId: string, name: string, squad: object[] }} away
+ * @returns {object} The scorecard.
+ */
+export const simulateMatch = (home, away, random, overs = MATCH_OVERS) => {
+    const [first, second] = random() < 0.5 ? [home, away] : [away, home];
+    const firstInnings = playInnings(first.squad, second.squad, null, overs, random);
+    const secondInnings = playInnings(second.squad, first.squad, firstInnings.runs + 1, overs, random);
+
+    let winnerId = null;
+    let summary = 'Match tied.';
+    if (secondInnings.runs > firstInnings.runs) {
+        winnerId = second.playerId;
+        const wicketsLeft = Math.max(1, second.squad.length - 1) - secondInnings.wickets;
+        summary = `${second.name} won by ${wicketsLeft} wicket${wicketsLeft === 1 ? '' : 's'}.`;
+    } else if (firstInnings.runs > secondInnings.runs) {
+        winnerId = first.playerId;
+        const margin = firstInnings.runs - secondInnings.runs;
+        summary = `${first.name} won by ${margin} run${margin === 1 ? '' : 's'}.`;
+    }
+
+    const card = (team, innings) => ({
+        battingTeamId: team.playerId,
+        runs: innings.runs,
+        wickets: innings.wickets,
+        overs: oversText(innings.balls),
+        balls: innings.balls,
+        allOut: innings.allOut,
+        batting: innings.batting,
+        bowling: innings.bowling,
+    });
+    return {
+        homeId: home.playerId,
+        awayId: away.playerId,
+        innings: [card(first, firstInnings), card(second, secondInnings)],
+        winnerId,
+        summary,
+    };
+};
+
+/**
+ * Plays every team against every other team once and builds the points table.
+ * Standings are ordered by points, then net run rate. A side that is all out is
+ * treated as having faced its full overs, as in real net run rate.
+ * @param {{ playerId: string, name: string, squad: object[] }[]} teams
+ * @param {() => number} random Random source returning a number in [0, 1).
+ * @returns {{ matches: object[], standings: object[] }}
+ */
+export const simulateRoundRobin = (teams, random, overs = MATCH_OVERS) => {
+    const table = Object.fromEntries(teams.map(t => [t.playerId, {
+        playerId: t.playerId, name: t.name, played: 0, won: 0, lost: 0, tied: 0, points: 0,
+        runsFor: 0, ballsFaced: 0, runsAgainst: 0, ballsBowled: 0,
+    }]));
+    const matches = [];
+
+    for (let i = 0; i < teams.length; i++) {
+        for (let j = i + 1; j < teams.length; j++) {
+            const match = simulateMatch(teams[i], teams[j], random, overs);
+            matches.push(match);
+
+            for (const innings of match.innings) {
+                const batting = table[innings.battingTeamId];
+                const bowling = table[innings.battingTeamId === match.homeId ? match.awayId : match.homeId];
+                const balls = innings.allOut ? overs * BALLS_PER_OVER : innings.balls;
+                batting.runsFor += innings.runs;
+                batting.ballsFaced += balls;
+                bowling.runsAgainst += innings.runs;
+                bowling.ballsBowled += balls;
+            }
+            for (const id of [match.homeId, match.awayId]) {
+                const row = table[id];
+                row.played++;
+                if (match.winnerId === null) {
+                    row.tied++;
+                    row.points += POINTS_FOR_TIE;
+                } else if (match.winnerId === id) {
+                    row.won++;
+                    row.points += POINTS_FOR_WIN;
+                } else {
+                    row.lost++;
+                }
+            }
+        }
+    }
+
+    const runRate = (runs, balls) => (balls > 0 ? (runs / balls) * BALLS_PER_OVER : 0);
+    const standings = Object.values(table).map(({ runsFor, ballsFaced, runsAgainst, ballsBowled, ...row }) => ({
+        ...row,
+        netRunRate: Math.round((runRate(runsFor, ballsFaced) - runRate(runsAgainst, ballsBowled)) * 1000) / 1000,
+    }));
+    standings.sort((a, b) => b.points - a.points || b.netRunRate - a.netRunRate);
+    return { matches, standings };
+};
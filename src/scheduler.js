@@ -0,0 +1,59 @@
+// --- Room Scheduler ---
+// Every room owns one scheduler, which holds all of its pending timers by slot: the engine's
+// timers ('phase', 'turn', 'bot') and the reconnect windows the server keeps for disconnected
+// players. Scheduling a slot replaces whatever was pending in it, and `cancelAll` drops
+// everything at once, so nothing from a closed or reset room can fire later. A timer can be
+// suspended and later resumed with the time it had left.
+
+/**
+ * Creates a room's scheduler.
+ * @param {{ setTimeout?: Function, clearTimeout?: Function, now?: () => number }} [clock]
+ *   Timer functions and clock, injectable for tests.
+ */
+export const createScheduler = ({ setTimeout: startTimer = setTimeout, clearTimeout: stopTimer = clearTimeout, now = Date.now } = {}) => {
+  // slot -> { handle, dueAt, callback } while running, { remainingMs, callback } while suspended
+  const pending = new Map();
+
+  const cancel = (slot) => {
+    const entry = pending.get(slot);
+    if (!entry) return;
+    if (entry.handle !== undefined) stopTimer(entry.handle);
+    pending.delete(slot);
+  };
+
+  const schedule = (slot, delayMs, callback) => {
+    cancel(slot);
+    const handle = startTimer(() => {
+      pending.delete(slot);
+      callback();
+    }, delayMs);
+    pending.set(slot, { handle, dueAt: now() + delayMs, callback });
+  };
+
+  return {
+    /**
+     * Runs `callback` after `delayMs`, replacing anything pending in `slot`.
+     */
+    schedule,
+    cancel,
+    cancelAll: () => {
+      for (const slot of [...pending.keys()]) cancel(slot);
+    },
+    /**
+     * Stops the timer in `slot` without dropping it. Does nothing if it is already suspended.
+     */
+    suspend: (slot) => {
+      const entry = pending.get(slot);
+      if (!entry || entry.handle === undefined) return;
+      stopTimer(entry.handle);
+      pending.set(slot, { remainingMs: Math.max(0, entry.dueAt - now()), callback: entry.callback });
+    },
+    /**
+     * Restarts a suspended timer with the time it had left. Does nothing if it isn't suspended.
+     */
+    resume: (slot) => {
+      const entry = pending.get(slot);
+      if (entry?.remainingMs !== undefined) schedule(slot, entry.remainingMs, entry.callback);
+    },
+  };
+};
@@ -0,0 +1,295 @@
+// --- Per-Room Game Settings ---
+// Every room carries its own copy of these on `gameState.settings`. The host picks them
+// at CREATE_ROOM and can change them with UPDATE_SETTINGS while the room is in the lobby.
+
+import { orderedSubPoolNames } from './auction/draw.js';
+
+export const ROLES = ['Batsman', 'Bowler', 'All-Rounder', 'Wicket-Keeper'];
+
+export const DEFAULT_GAME_SETTINGS = {
+  startingBudget: 10000,
+  maxPlayers: 4,
+  maxSquadSize: 8,
+  // Public rooms are listed in the room browser (while in the lobby with a free seat) and can
+  // be joined through QUICK_MATCH; private rooms only by their code.
+  isPublic: false,
+  turnDurationSeconds: 7,
+  playerBreakDurationSeconds: 5,
+  preAuctionDurationSeconds: 10,
+  preRoundDurationSeconds: 7,
+  roundOverDurationMs: 2500,
+  // How many cricketers of each role are drawn into the auction pool.
+  roleQuotas: { Batsman: 17, Bowler: 15, 'All-Rounder': 20, 'Wicket-Keeper': 8 },
+  // How each role's draw is split into OVR tiers: a number of even tiers, or the size of each
+  // tier (best first) adding up to the role's quota.
+  roleTiers: { Batsman: 2, Bowler: 2, 'All-Rounder': 3, 'Wicket-Keeper': 1 },
+  // The order sub-pools are auctioned in, by name ("Batsmen 1", "Wicket-Keepers", ...). Sub-pools
+  // that aren't listed follow in the usual order; null keeps the usual order throughout.
+  subPoolOrder: null,
+  // Narrows the cricketer list before the draw: a minimum OVR (null for none), and the teams and
+  // seasons to draw from (empty for any), matched against the optional `team` and `season` columns.
+  poolFilter: { minOverall: null, teams: [], seasons: [] },
+  // Bid increment ladder: bids below `below` go up by `increment`. The last step has no upper bound.
+  bidIncrements: [
+    { below: 100, increment: 5 },
+    { below: 200, increment: 10 },
+    { below: 500, increment: 20 },
+    { below: null, increment: 25 },
+  ],
+  // Squad composition: per-role min/max (max null = no cap) and caps on flagged cricketers,
+  // e.g. `{ attribute: 'overseas', max: 4 }` counts cricketers whose `overseas` is true.
+  squadRules: {
+    roleLimits: {
+      Batsman: { min: 0, max: null },
+      Bowler: { min: 0, max: null },
+      'All-Rounder': { min: 0, max: null },
+      'Wicket-Keeper': { min: 0, max: null },
+    },
+    attributeCaps: [],
+  },
+  // Reserve rule: a team must keep `reservePricePerSlot` for every other open squad slot,
+  // so its largest bid is budget - reservePricePerSlot * (open slots - 1). A null price
+  // means the lowest base price in the drawn auction pool.
+  reserveBudgetForOpenSlots: false,
+  reservePricePerSlot: null,
+  // How each lot is sold. TURN_BASED: players bid in turn through the bidding order.
+  // SEALED_BID: everyone in the round submits one hidden bid before the deadline.
+  // OPEN_OUTCRY: anyone in the round bids at any time; the countdown starts over on every bid.
+  auctionMode: 'TURN_BASED',
+  // Sealed bids: FIRST_PRICE pays the winning bid, SECOND_PRICE the runner-up's (or the base
+  // price with a single bid). Equal top bids go to the EARLIEST, the first in BIDDING_ORDER or
+  // a RANDOM one.
+  sealedBidPricing: 'FIRST_PRICE',
+  sealedBidTiebreak: 'EARLIEST',
+  sealedBidDurationSeconds: 15,
+  outcryCountdownSeconds: 5,
+};
+
+export const AUCTION_MODES = ['TURN_BASED', 'SEALED_BID', 'OPEN_OUTCRY'];
+
+// Cricketer attributes that squad rules can cap.
+export const CAPPABLE_ATTRIBUTES = ['overseas'];
+
+// [min, max] for every whole-number setting.
+const INTEGER_RANGES = {
+  startingBudget: [100, 1000000],
+  maxPlayers: [1, 8],
+  maxSquadSize: [1, 30],
+  turnDurationSeconds: [3, 60],
+  playerBreakDurationSeconds: [0, 60],
+  preAuctionDurationSeconds: [0, 120],
+  preRoundDurationSeconds: [0, 60],
+  roundOverDurationMs: [0, 30000],
+  sealedBidDurationSeconds: [3, 120],
+  outcryCountdownSeconds: [2, 60],
+};
+
+// Allowed values for every setting picked from a list.
+const CHOICES = {
+  auctionMode: AUCTION_MODES,
+  sealedBidPricing: ['FIRST_PRICE', 'SECOND_PRICE'],
+  sealedBidTiebreak: ['EARLIEST', 'BIDDING_ORDER', 'RANDOM'],
+};
+
+const isIntegerInRange = (value, [min, max]) => Number.isInteger(value) && value >= min && value <= max;
+
+const validateRoleQuotas = (quotas, errors) => {
+  if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+    errors.push('roleQuotas must be an object keyed by role.');
+    return;
+  }
+  for (const key of Object.keys(quotas)) {
+    if (!ROLES.includes(key)) errors.push(`roleQuotas has an unknown role "${key}".`);
+  }
+  for (const role of ROLES) {
+    if (!isIntegerInRange(quotas[role], [0, 100])) errors.push(`roleQuotas.${role} must be a whole number between 0 and 100.`);
+  }
+  if (ROLES.every(role => quotas[role] === 0)) errors.push('roleQuotas must draw at least one cricketer.');
+};
+
+/**
+ * @returns {boolean} Whether the tiers are valid, so sub-pool names can be worked out from them.
+ */
+const validateRoleTiers = (tiers, quotas, errors) => {
+  if (!tiers || typeof tiers !== 'object' || Array.isArray(tiers)) {
+    errors.push('roleTiers must be an object keyed by role.');
+    return false;
+  }
+  const errorCount = errors.length;
+  for (const key of Object.keys(tiers)) {
+    if (!ROLES.includes(key)) errors.push(`roleTiers has an unknown role "${key}".`);
+  }
+  for (const role of ROLES) {
+    const value = tiers[role];
+    if (!Array.isArray(value)) {
+      if (!isIntegerInRange(value, [1, 10])) errors.push(`roleTiers.${role} must be a whole number between 1 and 10, or a list of tier sizes.`);
+    } else if (value.length < 1 || value.length > 10 || !value.every(size => isIntegerInRange(size, [1, 100]))) {
+      errors.push(`roleTiers.${role} must list 1 to 10 tier sizes, each a whole number between 1 and 100.`);
+    } else if (Number.isInteger(quotas?.[role]) && value.reduce((sum, size) => sum + size, 0) !== quotas[role]) {
+      errors.push(`roleTiers.${role} tier sizes must add up to roleQuotas.${role} (${quotas[role]}).`);
+    }
+  }
+  return errors.length === errorCount;
+};
+
+const validateSubPoolOrder = (order, roleTiers, tiersAreValid, errors) => {
+  if (order === null) return;
+  if (!Array.isArray(order) || order.length > 40) {
+    errors.push('subPoolOrder must be null or a list of sub-pool names.');
+    return;
+  }
+  if (new Set(order).size !== order.length) errors.push('subPoolOrder lists a sub-pool more than once.');
+  if (!tiersAreValid) return;
+  const names = orderedSubPoolNames(roleTiers);
+  for (const name of order) {
+    if (!names.includes(name)) errors.push(`subPoolOrder has an unknown sub-pool "${name}"; the sub-pools are: ${names.join(', ')}.`);
+  }
+};
+
+/**
+ * Validates the pool filter and fills in defaults for the parts that weren't given.
+ * @returns {object|undefined} The normalised filter, if it is structurally valid.
+ */
+const validatePoolFilter = (filter, errors) => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    errors.push('poolFilter must be an object.');
+    return undefined;
+  }
+  for (const key of Object.keys(filter)) {
+    if (!['minOverall', 'teams', 'seasons'].includes(key)) errors.push(`poolFilter has an unknown field "${key}".`);
+  }
+  const { minOverall = null, teams = [], seasons = [] } = filter;
+  if (minOverall !== null && !isIntegerInRange(minOverall, [0, 100])) errors.push('poolFilter.minOverall must be null or a whole number between 0 and 100.');
+  for (const [key, list] of [['teams', teams], ['seasons', seasons]]) {
+    if (!Array.isArray(list) || list.length > 50 || !list.every(v => typeof v === 'string' && v.trim() && v.length <= 60)) {
+      errors.push(`poolFilter.${key} must be a list of at most 50 names.`);
+    }
+  }
+  const trimmed = (list) => (Array.isArray(list) ? list.map(v => (typeof v === 'string' ? v.trim() : v)) : list);
+  return { minOverall, teams: trimmed(teams), seasons: trimmed(seasons) };
+};
+
+const validateBidIncrements = (ladder, errors) => {
+  if (!Array.isArray(ladder) || ladder.length === 0 || ladder.length > 20) {
+    errors.push('bidIncrements must be a list of 1 to 20 steps.');
+    return;
+  }
+  let previousBelow = 0;
+  ladder.forEach((step, index) => {
+    const isLast = index === ladder.length - 1;
+    if (!step || typeof step !== 'object') {
+      errors.push(`bidIncrements[${index}] must be an object.`);
+      return;
+    }
+    if (!isIntegerInRange(step.increment, [1, 100000])) {
+      errors.push(`bidIncrements[${index}].increment must be a whole number between 1 and 100000.`);
+    }
+    if (isLast) {
+      if (step.below !== null) errors.push('The last bidIncrements step must have "below" set to null.');
+    } else if (!Number.isInteger(step.below) || step.below <= previousBelow) {
+      errors.push(`bidIncrements[${index}].below must be a whole number greater than the previous step.`);
+    } else {
+      previousBelow = step.below;
+    }
+  });
+};
+
+/**
+ * Validates squad rules and fills in defaults for roles that weren't given.
+ * @returns {object|undefined} The normalised rules, if they are structurally valid.
+ */
+const validateSquadRules = (rules, maxSquadSize, errors) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    errors.push('squadRules must be an object.');
+    return undefined;
+  }
+
+  const roleLimits = {};
+  const givenLimits = rules.roleLimits || {};
+  for (const key of Object.keys(givenLimits)) {
+    if (!ROLES.includes(key)) errors.push(`squadRules.roleLimits has an unknown role "${key}".`);
+  }
+  for (const role of ROLES) {
+    const { min = 0, max = null } = givenLimits[role] || {};
+    if (!isIntegerInRange(min, [0, 30])) errors.push(`squadRules.roleLimits.${role}.min must be a whole number between 0 and 30.`);
+    if (max !== null && (!isIntegerInRange(max, [0, 30]) || max < min)) {
+      errors.push(`squadRules.roleLimits.${role}.max must be null or a whole number between min and 30.`);
+    }
+    roleLimits[role] = { min, max };
+  }
+  const totalMin = ROLES.reduce((sum, role) => sum + (Number.isInteger(roleLimits[role].min) ? roleLimits[role].min : 0), 0);
+  if (Number.isInteger(maxSquadSize) && totalMin > maxSquadSize) {
+    errors.push(`squadRules role minimums add up to ${totalMin}, more than maxSquadSize.`);
+  }
+
+  const attributeCaps = rules.attributeCaps || [];
+  if (!Array.isArray(attributeCaps)) {
+    errors.push('squadRules.attributeCaps must be a list.');
+  } else {
+    attributeCaps.forEach((cap, index) => {
+      if (!CAPPABLE_ATTRIBUTES.includes(cap?.attribute)) {
+        errors.push(`squadRules.attributeCaps[${index}].attribute must be one of: ${CAPPABLE_ATTRIBUTES.join(', ')}.`);
+      }
+      if (!isIntegerInRange(cap?.max, [0, 30])) errors.push(`squadRules.attributeCaps[${index}].max must be a whole number between 0 and 30.`);
+    });
+  }
+
+  return { roleLimits, attributeCaps: Array.isArray(attributeCaps) ? attributeCaps.map(({ attribute, max }) => ({ attribute, max })) : [] };
+};
+
+/**
+ * Validates a (partial) settings object and merges it over a base.
+ * @param {object} updates The settings sent by the client. Omitted keys keep their base value.
+ * @param {object} [base] The settings to merge over.
+ * @returns {{ settings: object|null, errors: string[] }} The merged settings, or the list of problems.
+ */
+export const validateGameSettings = (updates, base = DEFAULT_GAME_SETTINGS) => {
+  const errors = [];
+  if (updates === undefined || updates === null) return { settings: cloneSettings(base), errors };
+  if (typeof updates !== 'object' || Array.isArray(updates)) {
+    return { settings: null, errors: ['Settings must be an object.'] };
+  }
+
+  for (const key of Object.keys(updates)) {
+    if (!(key in DEFAULT_GAME_SETTINGS)) errors.push(`Unknown setting "${key}".`);
+  }
+
+  const settings = { ...cloneSettings(base), ...updates };
+  for (const [key, range] of Object.entries(INTEGER_RANGES)) {
+    if (!isIntegerInRange(settings[key], range)) {
+      errors.push(`${key} must be a whole number between ${range[0]} and ${range[1]}.`);
+    }
+  }
+  for (const [key, choices] of Object.entries(CHOICES)) {
+    if (!choices.includes(settings[key])) errors.push(`${key} must be one of: ${choices.join(', ')}.`);
+  }
+  validateRoleQuotas(settings.roleQuotas, errors);
+  const tiersAreValid = validateRoleTiers(settings.roleTiers, settings.roleQuotas, errors);
+  validateSubPoolOrder(settings.subPoolOrder, settings.roleTiers, tiersAreValid, errors);
+  settings.poolFilter = validatePoolFilter(settings.poolFilter, errors);
+  validateBidIncrements(settings.bidIncrements, errors);
+  settings.squadRules = validateSquadRules(settings.squadRules, settings.maxSquadSize, errors);
+  if (typeof settings.isPublic !== 'boolean') errors.push('isPublic must be true or false.');
+  if (typeof settings.reserveBudgetForOpenSlots !== 'boolean') errors.push('reserveBudgetForOpenSlots must be true or false.');
+  if (settings.reservePricePerSlot !== null && !isIntegerInRange(settings.reservePricePerSlot, [1, 1000000])) {
+    errors.push('reservePricePerSlot must be null or a whole number between 1 and 1000000.');
+  }
+
+  if (errors.length > 0) return { settings: null, errors };
+  return { settings: cloneSettings(settings), errors };
+};
+
+/**
+ * Returns a deep copy of a settings object so rooms never share nested objects.
+ */
+export const cloneSettings = (settings) => structuredClone(settings);
+
+/**
+ * Calculates the bid increment for the current bid using a room's increment ladder.
+ * @param {number} bid The current bid.
+ * @param {Array<{below: number|null, increment: number}>} [ladder] The room's bid increment ladder.
+ */
+export const getBidIncrement = (bid, ladder = DEFAULT_GAME_SETTINGS.bidIncrements) => {
+  const step = ladder.find(s => s.below === null || bid < s.below);
+  return step.increment;
+};
@@ -0,0 +1,40 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import path from 'path';
+import { logger } from '../logger.js';
+
+/**
+ * Stores one JSON file per room in `directory`. Files are written to a temporary
+ * name and renamed into place, so a crash mid-write never leaves a torn snapshot.
+ * @param {string} directory Where snapshot files live. Created if missing.
+ */
+export const createFileSnapshotStore = (directory) => {
+  const fileFor = (roomCode) => path.join(directory, `${roomCode}.json`);
+  const ready = mkdir(directory, { recursive: true });
+
+  return {
+    name: `directory ${directory}`,
+    save: async (roomCode, snapshot) => {
+      await ready;
+      const target = fileFor(roomCode);
+      await writeFile(`${target}.tmp`, JSON.stringify(snapshot));
+      await rename(`${target}.tmp`, target);
+    },
+    remove: async (roomCode) => {
+      await ready;
+      await rm(fileFor(roomCode), { force: true });
+    },
+    loadAll: async () => {
+      await ready;
+      const snapshots = [];
+      for (const file of await readdir(directory)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          snapshots.push(JSON.parse(await readFile(path.join(directory, file), 'utf8')));
+        } catch (error) {
+          logger.error('Skipping unreadable room snapshot.', { file, error });
+        }
+      }
+      return snapshots;
+    },
+  };
+};
@@ -0,0 +1,34 @@
+// --- Room Snapshot Stores ---
+// A store is `{ name, save(roomCode, snapshot), remove(roomCode), loadAll() }`, all async.
+// A snapshot is `{ gameState, savedAt }`; rooms are rehydrated from them on startup.
+
+import { createMemorySnapshotStore } from './memoryStore.js';
+import { createFileSnapshotStore } from './fileStore.js';
+import { createSupabaseSnapshotStore } from './supabaseStore.js';
+
+export { createMemorySnapshotStore, createFileSnapshotStore, createSupabaseSnapshotStore };
+
+/**
+ * Picks the snapshot store from the environment.
+ * SNAPSHOT_STORE=none (default) disables snapshots; memory, file (SNAPSHOT_DIR) and
+ * supabase (SNAPSHOT_TABLE) keep them.
+ * @param {object} env Usually `process.env`.
+ * @param {import('@supabase/supabase-js').SupabaseClient|null} supabase The shared Supabase client, if configured.
+ * @returns {object|null} The store, or null when snapshots are disabled.
+ */
+export const createSnapshotStore = (env, supabase) => {
+  const kind = (env.SNAPSHOT_STORE || 'none').toLowerCase();
+  switch (kind) {
+    case 'none':
+      return null;
+    case 'memory':
+      return createMemorySnapshotStore();
+    case 'file':
+      return createFileSnapshotStore(env.SNAPSHOT_DIR || './data/rooms');
+    case 'supabase':
+      if (!supabase) throw new Error('SNAPSHOT_STORE is "supabase" but SUPABASE_URL or SUPABASE_ANON_KEY is missing.');
+      return createSupabaseSnapshotStore(supabase, env.SNAPSHOT_TABLE || 'room_snapshots');
+    default:
+      throw new Error(`Unknown SNAPSHOT_STORE "${env.SNAPSHOT_STORE}", expected "none", "memory", "file" or "supabase".`);
+  }
+};
@@ -0,0 +1,12 @@
+/**
+ * Keeps snapshots in process memory. Doesn't survive a restart; meant for tests.
+ */
+export const createMemorySnapshotStore = () => {
+  const snapshots = new Map();
+  return {
+    name: 'memory',
+    save: async (roomCode, snapshot) => { snapshots.set(roomCode, structuredClone(snapshot)); },
+    remove: async (roomCode) => { snapshots.delete(roomCode); },
+    loadAll: async () => [...snapshots.values()].map(snapshot => structuredClone(snapshot)),
+  };
+};
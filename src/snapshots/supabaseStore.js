@@ -0,0 +1,26 @@
+/**
+ * Stores snapshots in a Supabase table with columns
+ * `room_code text primary key`, `snapshot jsonb` and `updated_at timestamptz`.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase The shared Supabase client.
+ * @param {string} table The table name.
+ */
+export const createSupabaseSnapshotStore = (supabase, table) => ({
+  name: `Supabase table ${table}`,
+  save: async (roomCode, snapshot) => {
+    const { error } = await supabase.from(table).upsert({
+      room_code: roomCode,
+      snapshot,
+      updated_at: new Date(snapshot.savedAt).toISOString(),
+    });
+    if (error) throw new Error(`Error saving snapshot for room ${roomCode}: ${error.message}`);
+  },
+  remove: async (roomCode) => {
+    const { error } = await supabase.from(table).delete().eq('room_code', roomCode);
+    if (error) throw new Error(`Error deleting snapshot for room ${roomCode}: ${error.message}`);
+  },
+  loadAll: async () => {
+    const { data, error } = await supabase.from(table).select('snapshot');
+    if (error) throw new Error(`Error loading room snapshots: ${error.message}`);
+    return data.map(row => row.snapshot);
+  },
+});
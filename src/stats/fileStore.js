@@ -0,0 +1,44 @@
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import path from 'path';
+import { logger } from '../logger.js';
+import { createMemoryStatsStore } from './memoryStore.js';
+
+/**
+ * Appends each auction record to `auctions.jsonl` in `directory`, one JSON object per line.
+ * The file is read once on startup and the lifetime totals are rebuilt from it in memory.
+ * @param {string} directory Where the file lives. Created if missing.
+ */
+export const createFileStatsStore = (directory) => {
+  const file = path.join(directory, 'auctions.jsonl');
+  const ready = (async () => {
+    await mkdir(directory, { recursive: true });
+    const text = await readFile(file, 'utf8').catch(error => {
+      if (error.code === 'ENOENT') return '';
+      throw error;
+    });
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        logger.error('Skipping unreadable auction record.', { file, error });
+      }
+    }
+    return createMemoryStatsStore(records);
+  })();
+  ready.catch(error => logger.error('Failed to load auction records.', { file, error }));
+
+  return {
+    name: `directory ${directory}`,
+    save: async (record) => {
+      const memory = await ready;
+      if (!(await memory.save(record))) return false;
+      await appendFile(file, `${JSON.stringify(record)}\n`);
+      return true;
+    },
+    history: async (accountId, limit) => (await ready).history(accountId, limit),
+    totals: async (accountId) => (await ready).totals(accountId),
+    leaderboard: async (limit) => (await ready).leaderboard(limit),
+  };
+};
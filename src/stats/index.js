@@ -0,0 +1,36 @@
+// --- Auction Result Stores ---
+// A store is `{ name, save(record), history(accountId, limit), totals(accountId), leaderboard(limit) }`,
+// all async. `save` keeps a completed auction's record (see records.js) and adds it to the
+// lifetime totals of every signed-in player in it; it resolves to false if the auction was
+// already saved. `history` is newest first and `leaderboard` best first.
+
+import { createMemoryStatsStore } from './memoryStore.js';
+import { createFileStatsStore } from './fileStore.js';
+import { createSupabaseStatsStore } from './supabaseStore.js';
+
+export { createMemoryStatsStore, createFileStatsStore, createSupabaseStatsStore };
+
+/**
+ * Picks the results store from the environment.
+ * STATS_STORE=memory (default) keeps results until the process exits, file (STATS_DIR) and
+ * supabase (AUCTION_RESULTS_TABLE, PLAYER_STATS_TABLE) keep them for good, none turns them off.
+ * @param {object} env Usually `process.env`.
+ * @param {import('@supabase/supabase-js').SupabaseClient|null} supabase The shared Supabase client, if configured.
+ * @returns {object|null} The store, or null when results aren't kept.
+ */
+export const createStatsStore = (env, supabase) => {
+  const kind = (env.STATS_STORE || 'memory').toLowerCase();
+  switch (kind) {
+    case 'none':
+      return null;
+    case 'memory':
+      return createMemoryStatsStore();
+    case 'file':
+      return createFileStatsStore(env.STATS_DIR || './data/results');
+    case 'supabase':
+      if (!supabase) throw new Error('STATS_STORE is "supabase" but SUPABASE_URL or SUPABASE_ANON_KEY is missing.');
+      return createSupabaseStatsStore(supabase, env.AUCTION_RESULTS_TABLE || 'auction_results', env.PLAYER_STATS_TABLE || 'player_stats');
+    default:
+      throw new Error(`Unknown STATS_STORE "${env.STATS_STORE}", expected "none", "memory", "file" or "supabase".`);
+  }
+};
@@ -0,0 +1,33 @@
+import { accountTeams, addToLifetimeTotals, compareForLeaderboard } from './records.js';
+
+/**
+ * Keeps auction records and lifetime totals in process memory. Doesn't survive a restart.
+ * @param {object[]} [records] Records to start from, oldest first.
+ */
+export const createMemoryStatsStore = (records = []) => {
+  // auctionId -> record, and accountId -> lifetime totals.
+  const auctions = new Map();
+  const totals = new Map();
+
+  const add = (record) => {
+    if (auctions.has(record.auctionId)) return false;
+    auctions.set(record.auctionId, structuredClone(record));
+    for (const team of accountTeams(record)) {
+      totals.set(team.accountId, addToLifetimeTotals(totals.get(team.accountId) ?? null, team, record));
+    }
+    return true;
+  };
+  records.forEach(add);
+
+  return {
+    name: 'memory',
+    save: async (record) => add(record),
+    history: async (accountId, limit) => [...auctions.values()]
+      .filter(record => record.teams.some(team => team.accountId === accountId))
+      .sort((a, b) => b.completedAt - a.completedAt)
+      .slice(0, limit)
+      .map(record => structuredClone(record)),
+    totals: async (accountId) => structuredClone(totals.get(accountId) ?? null),
+    leaderboard: async (limit) => [...totals.values()].sort(compareForLeaderboard).slice(0, limit).map(entry => structuredClone(entry)),
+  };
+};
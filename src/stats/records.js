@@ -0,0 +1,137 @@
+// --- Auction Records and Lifetime Stats ---
+// When an auction completes, the engine hands over a record of it: every team's squad, spend
+// and ranking, and every lot's result. Lifetime stats are built up from those records for
+// signed-in players (anyone with an `accountId`); bots and anonymous players are only in the
+// records. Everything here is pure; the stores in this directory keep the results.
+
+import { ROLES } from '../settings.js';
+import { rankTeams } from '../results/ratings.js';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Builds the record of a completed auction from its final state.
+ * @param {object} state The game state at GAME_OVER.
+ * @param {number} completedAt When it finished (ms since the epoch).
+ * @returns {{ auctionId: string, roomCode: string, completedAt: number, settings: object, teams: object[], lots: object[] }}
+ *   `teams` are ranked by the results ratings (see rankTeams), best first.
+ */
+export const auctionRecord = (state, completedAt) => {
+    const { settings } = state;
+    // A cricketer can come up twice (the unsold round); the last entry is the result.
+    const lastResult = new Map(state.auctionHistory.map(entry => [entry.cricketer.id, entry]));
+    const players = new Map(state.players.map(p => [p.id, p]));
+
+    const teams = rankTeams(state.players, settings).map(({ playerId, rank, ratings }) => {
+        const player = players.get(playerId);
+        return {
+            playerId,
+            accountId: player.accountId ?? null,
+            name: player.name,
+            isBot: player.isBot,
+            rank,
+            overall: ratings.overall,
+            totalOVR: ratings.totalOVR,
+            spent: settings.startingBudget - player.budget,
+            budgetLeft: player.budget,
+            squad: player.squad.map(c => ({
+                cricketerId: c.id, name: c.name, role: c.role, overall: c.overall, price: lastResult.get(c.id)?.winningBid ?? 0,
+            })),
+        };
+    });
+
+    const lots = [...lastResult.values()].map(({ cricketer, winnerId, winningBid }) => ({
+        cricketerId: cricketer.id,
+        name: cricketer.name,
+        role: cricketer.role,
+        overall: cricketer.overall,
+        result: winnerId === 'UNSOLD' ? 'UNSOLD' : 'SOLD',
+        buyerId: winnerId === 'UNSOLD' ? null : winnerId,
+        price: winnerId === 'UNSOLD' ? 0 : winningBid,
+    }));
+
+    return {
+        auctionId: state.auctionId,
+        roomCode: state.roomCode,
+        completedAt,
+        settings: { startingBudget: settings.startingBudget, maxSquadSize: settings.maxSquadSize, auctionMode: settings.auctionMode },
+        teams,
+        lots,
+    };
+};
+
+/**
+ * The teams in a record that count toward lifetime stats: those of signed-in players.
+ */
+export const accountTeams = (record) => record.teams.filter(team => team.accountId);
+
+/**
+ * Adds one auction to a player's running totals.
+ * @param {object|null} totals What they had before, or null for their first auction.
+ * @param {object} team Their team in the record.
+ * @param {object} record The auction record.
+ * @returns {object} The new totals; `totals` is not modified.
+ */
+export const addToLifetimeTotals = (totals, team, record) => {
+    const previous = totals ?? {
+        accountId: team.accountId, gamesPlayed: 0, wins: 0, totalSpent: 0, totalOVR: 0, roleCounts: {},
+    };
+    const roleCounts = { ...previous.roleCounts };
+    for (const cricketer of team.squad) roleCounts[cricketer.role] = (roleCounts[cricketer.role] ?? 0) + 1;
+    return {
+        ...previous,
+        name: team.name,
+        gamesPlayed: previous.gamesPlayed + 1,
+        wins: previous.wins + (team.rank === 1 ? 1 : 0),
+        totalSpent: previous.totalSpent + team.spent,
+        totalOVR: previous.totalOVR + team.totalOVR,
+        roleCounts,
+        lastPlayedAt: record.completedAt,
+    };
+};
+
+/**
+ * A player's lifetime stats as the API shows them.
+ * @param {object} totals Their running totals (see addToLifetimeTotals).
+ * @returns {{ accountId, name, gamesPlayed, wins, totalSpent, averageSpendPerOVR, favouriteRoles, lastPlayedAt }}
+ *   `averageSpendPerOVR` is null until they have bought someone; `favouriteRoles` lists the roles
+ *   they bought, most bought first.
+ */
+export const lifetimeStats = (totals) => ({
+    accountId: totals.accountId,
+    name: totals.name,
+    gamesPlayed: totals.gamesPlayed,
+    wins: totals.wins,
+    totalSpent: totals.totalSpent,
+    averageSpendPerOVR: totals.totalOVR > 0 ? round1(totals.totalSpent / totals.totalOVR) : null,
+    favouriteRoles: ROLES
+        .filter(role => totals.roleCounts[role] > 0)
+        .map(role => ({ role, count: totals.roleCounts[role] }))
+        .sort((a, b) => b.count - a.count),
+    lastPlayedAt: totals.lastPlayedAt,
+});
+
+/**
+ * Leaderboard order: most wins, then the fewest games played to get them, then by name.
+ */
+export const compareForLeaderboard = (a, b) => b.wins - a.wins || a.gamesPlayed - b.gamesPlayed || a.name.localeCompare(b.name);
+
+/**
+ * One of a player's past auctions, from their side.
+ * @param {object} record The auction record.
+ * @param {string} accountId The player's account.
+ */
+export const historyEntry = (record, accountId) => {
+    const team = record.teams.find(t => t.accountId === accountId);
+    return {
+        auctionId: record.auctionId,
+        roomCode: record.roomCode,
+        completedAt: record.completedAt,
+        teams: record.teams.length,
+        rank: team.rank,
+        overall: team.overall,
+        spent: team.spent,
+        budgetLeft: team.budgetLeft,
+        squad: team.squad,
+    };
+};
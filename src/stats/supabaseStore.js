@@ -0,0 +1,61 @@
+import { accountTeams, addToLifetimeTotals } from './records.js';
+
+// Postgres' unique_violation: the auction was already saved.
+const DUPLICATE_KEY = '23505';
+
+/**
+ * Stores auction records and lifetime totals in two Supabase tables:
+ * `auctionsTable` (`auction_id text primary key`, `completed_at timestamptz`, `account_ids text[]`, `record jsonb`)
+ * and `playersTable` (`account_id text primary key`, `games_played integer`, `wins integer`, `totals jsonb`, `updated_at timestamptz`).
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase The shared Supabase client.
+ */
+export const createSupabaseStatsStore = (supabase, auctionsTable, playersTable) => ({
+  name: `Supabase tables ${auctionsTable} and ${playersTable}`,
+  save: async (record) => {
+    const teams = accountTeams(record);
+    const { error } = await supabase.from(auctionsTable).insert({
+      auction_id: record.auctionId,
+      completed_at: new Date(record.completedAt).toISOString(),
+      account_ids: teams.map(team => team.accountId),
+      record,
+    });
+    if (error?.code === DUPLICATE_KEY) return false;
+    if (error) throw new Error(`Error saving auction ${record.auctionId}: ${error.message}`);
+
+    for (const team of teams) {
+      const { data, error: readError } = await supabase.from(playersTable).select('totals').eq('account_id', team.accountId).maybeSingle();
+      if (readError) throw new Error(`Error loading stats for ${team.accountId}: ${readError.message}`);
+      const totals = addToLifetimeTotals(data?.totals ?? null, team, record);
+      const { error: writeError } = await supabase.from(playersTable).upsert({
+        account_id: team.accountId,
+        games_played: totals.gamesPlayed,
+        wins: totals.wins,
+        totals,
+        updated_at: new Date(record.completedAt).toISOString(),
+      });
+      if (writeError) throw new Error(`Error saving stats for ${team.accountId}: ${writeError.message}`);
+    }
+    return true;
+  },
+  history: async (accountId, limit) => {
+    const { data, error } = await supabase.from(auctionsTable).select('record')
+      .contains('account_ids', [accountId])
+      .order('completed_at', { ascending: false })
+      .limit(limit);
+    if (error) throw new Error(`Error loading auctions for ${accountId}: ${error.message}`);
+    return data.map(row => row.record);
+  },
+  totals: async (accountId) => {
+    const { data, error } = await supabase.from(playersTable).select('totals').eq('account_id', accountId).maybeSingle();
+    if (error) throw new Error(`Error loading stats for ${accountId}: ${error.message}`);
+    return data?.totals ?? null;
+  },
+  leaderboard: async (limit) => {
+    const { data, error } = await supabase.from(playersTable).select('totals')
+      .order('wins', { ascending: false })
+      .order('games_played', { ascending: true })
+      .limit(limit);
+    if (error) throw new Error(`Error loading the leaderboard: ${error.message}`);
+    return data.map(row => row.totals);
+  },
+});
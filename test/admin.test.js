@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from '../src/admin/metrics.js';
+import { createLogger } from '../src/logger.js';
+import { createGame, startBidding } from './helpers.js';
+
+const ONE_LOT = { roleQuotas: { Batsman: 1, Bowler: 0, 'All-Rounder': 0, 'Wicket-Keeper': 0 } };
+
+test('metrics average messages over the window and render in the Prometheus format', () => {
+  let clock = 0;
+  const metrics = createMetrics({ now: () => clock, windowSeconds: 10 });
+  for (let i = 0; i < 20; i++) metrics.messageReceived();
+  assert.equal(metrics.messagesPerSecond(), 2);
+  clock = 11000;
+  assert.equal(metrics.messagesPerSecond(), 0);
+
+  metrics.auctionArchived({ outcome: 'COMPLETED', startedAt: 0, endedAt: 90000, events: [] });
+  metrics.messageRateLimited();
+  const text = metrics.render({ connectedSockets: 3, roomsByStatus: { LOBBY: 2, AUCTION: 1 } });
+  assert.match(text, /^cag_connected_sockets 3$/m);
+  assert.match(text, /^cag_rooms\{status="LOBBY"\} 2$/m);
+  assert.match(text, /^cag_messages_received_total 20$/m);
+  assert.match(text, /^cag_messages_rate_limited_total 1$/m);
+  assert.match(text, /^cag_auctions_total\{outcome="completed"\} 1$/m);
+  assert.match(text, /^cag_auction_duration_seconds_sum 90$/m);
+});
+
+test('logger writes one JSON line per call with its fields and a level filter', () => {
+  const lines = [];
+  const logger = createLogger({ service: 'test' }, { level: 'info', write: (line, level) => lines.push({ line, level }) });
+  logger.debug('hidden');
+  logger.info('Player joined.', { roomCode: 'ABCD', playerId: 'p1' });
+  logger.error('Failed.', { error: new Error('boom') });
+
+  assert.equal(lines.length, 2);
+  const info = JSON.parse(lines[0].line);
+  assert.deepEqual({ ...info, time: undefined }, { time: undefined, level: 'info', msg: 'Player joined.', service: 'test', roomCode: 'ABCD', playerId: 'p1' });
+  const error = JSON.parse(lines[1].line);
+  assert.equal(lines[1].level, 'error');
+  assert.equal(error.error.message, 'boom');
+});
+
+test('an admin reset archives the running auction and returns the room to the lobby', () => {
+  const game = startBidding(createGame({ settings: ONE_LOT }));
+  game.apply({ type: 'ROOM_RESET' });
+  assert.equal(game.state.gameStatus, 'LOBBY');
+  assert.equal(game.archived.length, 1);
+  assert.equal(game.archived[0].outcome, 'ABANDONED');
+  assert.deepEqual(game.timers, {});
+  assert.match(game.state.lastActionMessage, /admin reset the room/);
+});
+
+test('an admin close archives the running auction and closes the room', () => {
+  const game = startBidding(createGame({ settings: ONE_LOT }));
+  game.apply({ type: 'ROOM_CLOSED' });
+  assert.equal(game.closed, true);
+  assert.equal(game.archived[0].outcome, 'ABANDONED');
+  assert.deepEqual(game.timers, {});
+});
@@ -0,0 +1,434 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reduce, stateForPlayer } from '../../src/auction/engine.js';
+import { createGame, startBidding, runToBidding, makeCricketers } from '../helpers.js';
+
+// Two lots of batsmen only, so each test can walk a whole auction quickly.
+const TWO_LOTS = { roleQuotas: { Batsman: 2, Bowler: 0, 'All-Rounder': 0, 'Wicket-Keeper': 0 } };
+
+const otherBidder = (game) => game.state.biddingOrder.find(id => id !== game.state.activePlayerId);
+
+test('draws pools by role quota and splits each role into OVR tiers', () => {
+  const game = createGame();
+  game.act('host', 'DRAW_PLAYERS', { cricketers: makeCricketers(20) });
+
+  const { subPools, subPoolOrder, auctionPool } = game.state;
+  assert.equal(game.state.gameStatus, 'AUCTION_POOL_VIEW');
+  assert.equal(auctionPool.length, 60);
+  assert.deepEqual(Object.fromEntries(Object.entries(subPools).map(([name, pool]) => [name, pool.length])), {
+    'Batsmen 1': 8, 'Batsmen 2': 9, 'Bowlers 1': 7, 'Bowlers 2': 8,
+    'All-Rounders 1': 6, 'All-Rounders 2': 7, 'All-Rounders 3': 7, 'Wicket-Keepers': 8,
+  });
+  assert.equal(subPoolOrder[0], 'Batsmen 1');
+  assert.ok(subPools['Batsmen 1'][0].overall >= subPools['Batsmen 2'][0].overall);
+});
+
+test('draws smaller tiers when a role is short, and refuses only when nothing matches', () => {
+  const game = createGame();
+  game.act('host', 'DRAW_PLAYERS', { cricketers: makeCricketers(3) });
+
+  assert.equal(game.state.gameStatus, 'AUCTION_POOL_VIEW');
+  assert.equal(game.state.auctionPool.length, 12);
+  assert.deepEqual(['Batsmen 1', 'Batsmen 2', 'Wicket-Keepers'].map(name => game.state.subPools[name].length), [1, 2, 3]);
+  assert.match(game.state.lastActionMessage, /Only 3 of 17 batsmen, 3 of 15 bowlers, 3 of 20 all-rounders, 3 of 8 wicket-keepers were available/);
+
+  const empty = createGame({ settings: { poolFilter: { minOverall: 99 } } });
+  empty.act('host', 'DRAW_PLAYERS', { cricketers: makeCricketers(3) });
+  assert.equal(empty.state.gameStatus, 'LOBBY');
+  assert.match(empty.messages.at(-1).payload.message, /no cricketers match the pool settings/);
+});
+
+test('the same seed produces the same draw and bidding order', () => {
+  const first = startBidding(createGame({ seed: 42 }));
+  const second = startBidding(createGame({ seed: 42 }));
+  assert.deepEqual(first.state.auctionPool.map(c => c.id), second.state.auctionPool.map(c => c.id));
+  assert.deepEqual(first.state.masterBiddingOrder, second.state.masterBiddingOrder);
+});
+
+test('reduce does not modify the state it is given', () => {
+  const game = startBidding(createGame());
+  const before = structuredClone(game.state);
+  reduce(game.state, { type: 'PLACE_BID', playerId: game.state.activePlayerId });
+  assert.deepEqual(game.state, before);
+});
+
+test('a bid raises by the ladder increment and the lot sells when the turn returns to the top bidder', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const bidder = game.state.activePlayerId;
+  const cricketer = game.state.currentPlayerForAuction;
+
+  game.act(bidder, 'PLACE_BID');
+  assert.equal(game.state.currentBid, 110);
+  assert.equal(game.state.highestBidderId, bidder);
+  assert.notEqual(game.state.activePlayerId, bidder);
+
+  game.act(game.state.activePlayerId, 'PASS_TURN');
+  assert.equal(game.state.gameStatus, 'ROUND_OVER');
+  assert.equal(game.player(bidder).budget, 10000 - 110);
+  assert.deepEqual(game.player(bidder).squad.map(c => c.id), [cricketer.id]);
+  assert.deepEqual(game.state.auctionHistory.map(h => [h.cricketer.id, h.winningBid, h.winnerId]), [[cricketer.id, 110, bidder]]);
+});
+
+test('only the active player can act and bids beyond the budget are rejected', () => {
+  const game = startBidding(createGame({ settings: { ...TWO_LOTS, startingBudget: 105 } }));
+  const waiting = otherBidder(game);
+
+  const { effects } = game.act(waiting, 'PLACE_BID');
+  assert.deepEqual(effects.map(e => [e.type, e.message.payload.code]), [['REPLY', 'NOT_YOUR_TURN']]);
+
+  game.act(game.state.activePlayerId, 'PLACE_BID');
+  assert.equal(game.messages.at(-1).payload.code, 'INVALID_BID');
+  assert.equal(game.state.currentBid, 100);
+  assert.equal(game.state.highestBidderId, null);
+});
+
+test('dropping leaves the last bidder as the winner', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS, players: ['p2', 'p3'] }));
+  const [first, second, third] = game.state.biddingOrder;
+
+  game.act(first, 'PLACE_BID');
+  game.act(second, 'DROP_FROM_ROUND');
+  assert.ok(!game.state.playersInRound.includes(second));
+  assert.equal(game.state.activePlayerId, third);
+
+  game.act(third, 'DROP_FROM_ROUND');
+  assert.equal(game.state.gameStatus, 'ROUND_OVER');
+  assert.equal(game.state.auctionHistory[0].winnerId, first);
+});
+
+test('a turn timeout drops the player and a stale timeout is ignored', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS, players: ['p2', 'p3'] }));
+  const [first, second] = game.state.biddingOrder;
+  const staleTimeout = game.timers.turn.action;
+
+  game.fire('turn');
+  assert.ok(!game.state.playersInRound.includes(first));
+  assert.equal(game.state.activePlayerId, second);
+  assert.equal(game.state.lastActionMessage, `${game.player(first).name} timed out.`);
+
+  const { effects } = game.apply(staleTimeout);
+  assert.deepEqual(effects, []);
+  assert.equal(game.state.activePlayerId, second);
+});
+
+test('a lone remaining player still gets a turn before a lot goes unsold', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const [first, second] = game.state.biddingOrder;
+
+  game.act(first, 'DROP_FROM_ROUND');
+  assert.equal(game.state.gameStatus, 'AUCTION');
+  assert.equal(game.state.activePlayerId, second);
+
+  game.act(second, 'DROP_FROM_ROUND');
+  assert.equal(game.state.auctionHistory[0].winnerId, 'UNSOLD');
+  assert.equal(game.state.unsoldPool.length, 1);
+});
+
+test('unsold lots are auctioned again in a second round', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const unsoldId = game.state.currentPlayerForAuction.id;
+
+  // First lot goes unsold, second is sold.
+  game.fire('turn');
+  game.fire('turn');
+  runToBidding(game);
+  game.act(game.state.activePlayerId, 'PLACE_BID');
+  game.act(game.state.activePlayerId, 'PASS_TURN');
+
+  game.fire('phase');
+  assert.equal(game.state.gameStatus, 'SUBPOOL_BREAK');
+  assert.equal(game.state.isSecondRound, true);
+  assert.equal(game.state.currentSubPoolName, '--- UNSOLD ROUND ---');
+  assert.deepEqual(game.state.subPoolOrder, ['Unsold Batsmen']);
+
+  runToBidding(game);
+  assert.equal(game.state.currentPlayerForAuction.id, unsoldId);
+
+  // Unsold again: the game is over rather than looping.
+  game.fire('turn');
+  game.fire('turn');
+  game.fire('phase');
+  assert.equal(game.state.gameStatus, 'GAME_OVER');
+  assert.equal(game.state.lastActionMessage, 'The auction has concluded!');
+});
+
+test('full squads are left out of later lots and the game ends once every squad is full', () => {
+  const game = startBidding(createGame({ settings: { ...TWO_LOTS, maxSquadSize: 1 } }));
+  const winner = game.state.activePlayerId;
+  game.act(winner, 'PLACE_BID');
+  game.act(game.state.activePlayerId, 'PASS_TURN');
+
+  game.fire('phase');
+  runToBidding(game);
+  assert.ok(!game.state.playersInRound.includes(winner));
+
+  const last = game.state.activePlayerId;
+  game.act(last, 'PLACE_BID');
+  assert.equal(game.state.gameStatus, 'GAME_OVER');
+  assert.equal(game.state.lastActionMessage, 'All teams are full! The auction has ended.');
+  assert.equal(game.state.auctionHistory.at(-1).winnerId, last);
+});
+
+test('a disconnected player keeps their seat and their turn times out immediately', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS, players: ['p2', 'p3'] }));
+  const [first, second, third] = game.state.biddingOrder;
+
+  game.apply({ type: 'PLAYER_DISCONNECTED', playerId: second });
+  game.act(first, 'PASS_TURN');
+  assert.equal(game.state.activePlayerId, second);
+  assert.equal(game.timers.turn.delayMs, 0);
+
+  game.fire('turn');
+  assert.equal(game.state.activePlayerId, third);
+  assert.equal(game.player(second).budget, 10000);
+
+  game.apply({ type: 'PLAYER_JOINED', playerId: second, payload: { playerName: 'again' } });
+  assert.equal(game.player(second).isConnected, true);
+  assert.equal(game.state.players.length, 3);
+});
+
+test('removing the host hands the role to a connected player and the last removal closes the room', () => {
+  const game = createGame();
+  game.apply({ type: 'PLAYER_LEFT', playerId: 'host' });
+  assert.equal(game.player('p2').isHost, true);
+
+  game.apply({ type: 'PLAYER_LEFT', playerId: 'p2' });
+  assert.equal(game.closed, true);
+});
+
+test('going back to the lobby keeps settings and players and cancels pending timers', () => {
+  const game = startBidding(createGame({ settings: { ...TWO_LOTS, startingBudget: 500 } }));
+  game.act(game.state.activePlayerId, 'PLACE_BID');
+  game.act('host', 'BACK_TO_LOBBY');
+
+  assert.equal(game.state.gameStatus, 'LOBBY');
+  assert.equal(game.state.settings.startingBudget, 500);
+  assert.deepEqual(game.state.players.map(p => [p.id, p.budget, p.squad.length]), [['host', 500, 0], ['p2', 500, 0]]);
+  assert.deepEqual(game.timers, {});
+});
+
+test('a restored room marks everyone disconnected and re-arms the timer for its phase', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const active = game.state.activePlayerId;
+  game.timers = {};
+
+  game.apply({ type: 'ROOM_RESTORED' });
+  assert.ok(game.state.players.every(p => !p.isConnected));
+  assert.equal(game.timers.turn.delayMs, 7000);
+  assert.equal(game.timers.turn.action.payload.playerId, active);
+
+  game.fire('turn');
+  game.fire('turn');
+  assert.equal(game.state.gameStatus, 'ROUND_OVER');
+  game.timers = {};
+  game.apply({ type: 'ROOM_RESTORED' });
+  assert.equal(game.timers.phase.action.type, 'ROUND_OVER_TIMER_ELAPSED');
+});
+
+test('spectators watch without a seat and cannot act in the game', () => {
+  const game = createGame({ settings: { ...TWO_LOTS, maxPlayers: 2 } });
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'fan', payload: { playerName: 'Fan' } });
+  assert.deepEqual(game.state.spectators, [{ id: 'fan', name: 'Fan', accountId: null }]);
+  assert.equal(game.messages.at(-1).type, 'JOIN_SUCCESS');
+
+  // The room is full for bidders but still open to viewers.
+  game.apply({ type: 'PLAYER_JOINED', playerId: 'late', payload: { playerName: 'Late' } });
+  assert.equal(game.messages.at(-1).payload.message, 'Room is full.');
+
+  for (const type of ['DRAW_PLAYERS', 'PLACE_BID', 'BACK_TO_LOBBY']) {
+    const { state, effects } = game.act('fan', type, { cricketers: makeCricketers() });
+    assert.equal(state.gameStatus, 'LOBBY');
+    assert.deepEqual(effects.map(e => e.message.type), ['ERROR']);
+  }
+});
+
+test('a spectator can take an empty seat in the lobby only', () => {
+  const game = createGame({ settings: TWO_LOTS });
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'fan', payload: { playerName: 'Fan' } });
+  game.act('fan', 'TAKE_SEAT');
+  assert.deepEqual(game.state.spectators, []);
+  assert.equal(game.player('fan').budget, 10000);
+
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'late', payload: { playerName: 'Late' } });
+  startBidding(game);
+  game.act('late', 'TAKE_SEAT');
+  assert.equal(game.messages.at(-1).payload.message, 'Seats can only be taken in the lobby.');
+  assert.ok(!game.state.biddingOrder.includes('late'));
+});
+
+test('spectators do not hold up ready checks or inherit the host role', () => {
+  const game = createGame({ settings: { ...TWO_LOTS, roleQuotas: { Batsman: 1, Bowler: 1, 'All-Rounder': 0, 'Wicket-Keeper': 0 } } });
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'fan', payload: { playerName: 'Fan' } });
+  startBidding(game);
+  game.fire('turn');
+  game.fire('turn');
+  game.fire('phase');
+  assert.equal(game.state.gameStatus, 'SUBPOOL_BREAK');
+  game.act('p2', 'TOGGLE_READY');
+  game.act('host', 'CONTINUE_TO_NEXT_SUBPOOL');
+  assert.equal(game.state.gameStatus, 'PRE_ROUND_TIMER');
+
+  game.apply({ type: 'PLAYER_LEFT', playerId: 'host' });
+  assert.equal(game.player('p2').isHost, true);
+  game.apply({ type: 'PLAYER_LEFT', playerId: 'p2' });
+  assert.equal(game.closed, true);
+});
+
+test('the host can seat bots that stay ready and play their own turns', () => {
+  const game = createGame({ settings: { ...TWO_LOTS, maxPlayers: 3 }, players: [] });
+  game.act('host', 'ADD_BOT', { personality: 'aggressive' });
+  game.act('host', 'ADD_BOT');
+  assert.deepEqual(game.state.players.map(p => [p.id, p.name, p.isReady]), [
+    ['host', 'Host', true], ['bot-1', 'Aggressive Bot 1', true], ['bot-2', 'Balanced Bot 2', true],
+  ]);
+  game.act('host', 'ADD_BOT');
+  assert.equal(game.messages.at(-1).payload.message, 'Room is full.');
+  game.act('host', 'REMOVE_BOT', { playerId: 'bot-2' });
+  assert.equal(game.state.players.length, 2);
+
+  startBidding(game);
+  if (game.state.activePlayerId === 'host') game.act('host', 'PASS_TURN');
+  assert.equal(game.state.activePlayerId, 'bot-1');
+  assert.equal(game.timers.turn.action.type, 'BOT_TURN');
+  game.fire('turn');
+  assert.match(game.state.lastActionMessage, /^Aggressive Bot 1 (bids|passed|dropped)/);
+});
+
+test('a room with only bots left is closed and bot seats cannot be hijacked', () => {
+  const game = createGame({ players: [] });
+  game.act('host', 'ADD_BOT');
+  game.apply({ type: 'PLAYER_JOINED', playerId: 'bot-1', payload: { playerName: 'Impostor' } });
+  assert.equal(game.messages.at(-1).payload.message, 'That session id is taken.');
+
+  game.apply({ type: 'PLAYER_LEFT', playerId: 'host' });
+  assert.equal(game.closed, true);
+});
+
+test('players who cannot fit the cricketer under the squad rules sit the lot out with a reason', () => {
+  const game = startBidding(createGame({
+    settings: { ...TWO_LOTS, squadRules: { roleLimits: { Batsman: { max: 1 } } } },
+  }));
+  const winner = game.state.activePlayerId;
+  game.act(winner, 'PLACE_BID');
+  game.act(game.state.activePlayerId, 'PASS_TURN');
+
+  game.fire('phase');
+  runToBidding(game);
+  assert.deepEqual(game.state.playersInRound, game.state.players.map(p => p.id).filter(id => id !== winner));
+  assert.deepEqual(game.state.roundExclusions, { [winner]: 'Squad already has the maximum of 1 batsmen.' });
+});
+
+test('the reserve rule caps bids and is published per player', () => {
+  const game = startBidding(createGame({
+    settings: { ...TWO_LOTS, maxSquadSize: 3, startingBudget: 330, reserveBudgetForOpenSlots: true },
+  }));
+  assert.deepEqual(game.state.maxBids, { host: 130, p2: 130 });
+
+  const first = game.state.activePlayerId;
+  game.act(first, 'PLACE_BID');
+  game.act(game.state.activePlayerId, 'PLACE_BID');
+  game.act(first, 'PLACE_BID');
+  assert.equal(game.state.currentBid, 130);
+
+  const second = game.state.activePlayerId;
+  game.act(second, 'PLACE_BID');
+  assert.equal(game.state.currentBid, 130);
+  assert.equal(game.messages.at(-1).payload.message, 'You can bid at most 130 and still fill your squad.');
+
+  game.act(second, 'DROP_FROM_ROUND');
+  assert.deepEqual(game.state.maxBids, { [first]: 200 - 100, [second]: 130 });
+});
+
+test('teams that must keep their budget in reserve sit the lot out', () => {
+  const game = createGame({ settings: { ...TWO_LOTS, maxSquadSize: 3, startingBudget: 250, reserveBudgetForOpenSlots: true } });
+  game.act('host', 'DRAW_PLAYERS', { cricketers: makeCricketers() });
+  game.act('host', 'START_GAME');
+  game.fire('phase');
+
+  assert.deepEqual(game.state.playersInRound, []);
+  assert.deepEqual(game.state.roundExclusions, {
+    host: 'Needs to keep budget in reserve for the rest of the squad.',
+    p2: 'Needs to keep budget in reserve for the rest of the squad.',
+  });
+});
+
+test('jump bids must clear the next increment, fit the budget and land on the ladder', () => {
+  const game = startBidding(createGame({ settings: { ...TWO_LOTS, startingBudget: 300 } }));
+  const bidder = game.state.activePlayerId;
+
+  for (const [amount, message] of [
+    [105, 'Bid must be at least 110.'],
+    [125, 'Bid of 125 is not on the bid increment ladder.'],
+    [320, 'Bid of 320 is more than your budget.'],
+  ]) {
+    game.act(bidder, 'PLACE_BID', { amount });
+    assert.equal(game.messages.at(-1).payload.message, message);
+    assert.equal(game.state.currentBid, 100);
+  }
+
+  game.act(bidder, 'PLACE_BID', { amount: 220 });
+  assert.equal(game.state.currentBid, 220);
+  assert.equal(game.state.highestBidderId, bidder);
+});
+
+test('a proxy ceiling bids for its owner until it is passed and stays private', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const [first, second] = game.state.biddingOrder;
+
+  game.act(second, 'SET_AUTO_BID', { maxAmount: 130 });
+  assert.deepEqual(game.state.autoBids, { [second]: 130 });
+  assert.deepEqual(stateForPlayer(game.state, first).autoBids, {});
+  assert.deepEqual(stateForPlayer(game.state, second).autoBids, { [second]: 130 });
+
+  game.act(first, 'PLACE_BID');
+  assert.equal(game.timers.turn.action.type, 'AUTO_BID');
+  game.fire('turn');
+  assert.equal(game.state.currentBid, 120);
+  assert.equal(game.state.highestBidderId, second);
+
+  game.act(first, 'PLACE_BID');
+  assert.equal(game.state.currentBid, 130);
+  assert.equal(game.state.highestBidderId, first);
+
+  // 140 is past the ceiling, so the owner gets a normal turn and the ceiling is gone.
+  assert.equal(game.state.activePlayerId, second);
+  assert.equal(game.timers.turn.action.type, 'TURN_TIMER_ELAPSED');
+  assert.deepEqual(game.state.autoBids, {});
+});
+
+test('proxy ceilings are validated and cleared when the lot ends', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const [first, second] = game.state.biddingOrder;
+
+  game.act(second, 'SET_AUTO_BID', { maxAmount: 105 });
+  assert.equal(game.messages.at(-1).payload.message, 'Auto-bid limit must be between 110 and 10000.');
+
+  game.act(second, 'SET_AUTO_BID', { maxAmount: 500 });
+  game.act(first, 'DROP_FROM_ROUND');
+  game.fire('turn');
+  assert.equal(game.state.gameStatus, 'ROUND_OVER');
+  assert.equal(game.state.auctionHistory[0].winnerId, second);
+  assert.deepEqual(game.state.autoBids, {});
+});
+
+test('the state carries the absolute deadline of the running phase and turn', () => {
+  const game = createGame({ settings: TWO_LOTS });
+  game.now = 50000;
+  game.act('host', 'DRAW_PLAYERS', { cricketers: makeCricketers() });
+  game.act('host', 'START_GAME');
+  assert.equal(game.state.phaseEndsAt, 50000 + game.state.settings.preAuctionDurationSeconds * 1000);
+  assert.equal(game.state.turnEndsAt, null);
+
+  runToBidding(game);
+  assert.equal(game.state.phaseEndsAt, null);
+  assert.equal(game.state.turnEndsAt, game.now + game.state.settings.turnDurationSeconds * 1000);
+
+  game.act('host', 'PAUSE_GAME');
+  assert.equal(game.state.turnEndsAt, null);
+  assert.deepEqual(stateForPlayer(game.state, 'p2').pausedTimeLeftMs, { turn: 7000 });
+  assert.equal(stateForPlayer(game.state, 'p2').pendingTimers, undefined);
+
+  game.act('host', 'BACK_TO_LOBBY');
+  assert.equal(game.state.turnEndsAt, null);
+  assert.deepEqual(game.timers, {});
+});
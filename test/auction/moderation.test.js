@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isKicked, stateForPlayer } from '../../src/auction/engine.js';
+import { createGame, startBidding } from '../helpers.js';
+import { replayAuctionLog } from '../../src/history/replay.js';
+import { lotsFromLog } from '../../src/history/export.js';
+
+const TWO_LOTS = { roleQuotas: { Batsman: 2, Bowler: 0, 'All-Rounder': 0, 'Wicket-Keeper': 0 } };
+
+const lastError = (game) => game.messages.filter(m => m.type === 'ERROR').at(-1)?.payload;
+
+// The active bidder bids once and everyone else drops, so the lot sells to them.
+const sellLot = (game) => {
+  const buyer = game.state.activePlayerId;
+  game.act(buyer, 'PLACE_BID');
+  while (game.state.gameStatus === 'AUCTION') game.act(game.state.activePlayerId, 'DROP_FROM_ROUND');
+  return buyer;
+};
+
+test('pausing sets timers aside with their remaining time and resuming restarts them', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const turn = game.timers.turn;
+  game.now += 3000;
+
+  game.act('host', 'PAUSE_GAME');
+  assert.equal(game.state.isPaused, true);
+  assert.equal(game.timers.turn, undefined);
+  assert.equal(game.state.lastActionMessage, 'Host paused the game.');
+  assert.equal(game.state.pausedTimers.turn.remainingMs, turn.delayMs - 3000);
+
+  game.act(game.state.activePlayerId, 'PASS_TURN');
+  assert.equal(lastError(game).code, 'GAME_PAUSED');
+  game.act('host', 'PAUSE_GAME');
+  assert.equal(lastError(game).code, 'INVALID_REQUEST');
+
+  game.now += 60000;
+  game.act('host', 'RESUME_GAME');
+  assert.equal(game.state.isPaused, false);
+  assert.deepEqual(game.state.pausedTimers, {});
+  assert.equal(game.timers.turn.delayMs, turn.delayMs - 3000);
+  assert.deepEqual(game.timers.turn.action, turn.action);
+  assert.equal(game.state.lastActionMessage, 'Host resumed the game.');
+  assert.deepEqual(game.archived, []);
+});
+
+test('only the host can moderate, and only in the phases that make sense', () => {
+  const game = createGame();
+  game.act('p2', 'PAUSE_GAME');
+  assert.equal(lastError(game).code, 'NOT_HOST');
+  game.act('host', 'PAUSE_GAME');
+  assert.equal(lastError(game).code, 'WRONG_PHASE');
+  game.act('host', 'RESUME_GAME');
+  assert.equal(lastError(game).code, 'INVALID_REQUEST');
+  game.act('host', 'UNDO_LAST_SALE');
+  assert.equal(lastError(game).code, 'WRONG_PHASE');
+});
+
+test('a kicked player is removed, disconnected and cannot come back', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS, players: ['p2', 'p3'] }));
+
+  game.act('host', 'KICK_PLAYER', { playerId: 'p2' });
+  assert.ok(!game.player('p2'));
+  assert.deepEqual(game.disconnected, ['p2']);
+  assert.ok(!game.state.playersInRound.includes('p2'));
+  assert.equal(game.state.lastActionMessage, 'Host kicked P2.');
+  assert.deepEqual(game.state.kickedPlayerIds, ['p2']);
+
+  game.apply({ type: 'PLAYER_JOINED', playerId: 'p2', payload: { playerName: 'P2' } });
+  assert.deepEqual(lastError(game), { code: 'KICKED', message: 'The host removed you from this room.', fatal: true });
+  assert.ok(!game.player('p2'));
+
+  game.act('host', 'KICK_PLAYER', { playerId: 'host' });
+  assert.equal(lastError(game).code, 'INVALID_REQUEST');
+  game.act('host', 'KICK_PLAYER', { playerId: 'nobody' });
+  assert.equal(lastError(game).code, 'NOT_FOUND');
+});
+
+test('a kicked player cannot come back under a new id from the same account or address', () => {
+  const game = createGame({ players: [] });
+  const join = (playerId, accountId, address) => game.apply({ type: 'PLAYER_JOINED', playerId, payload: { playerName: playerId, accountId, address } });
+  join('p2', 'acc-2', '10.0.0.2');
+  join('p3', null, '10.0.0.2');
+  game.act('host', 'KICK_PLAYER', { playerId: 'p2' });
+  assert.equal(stateForPlayer(game.state, 'host').kickedAddresses, undefined);
+  assert.equal(stateForPlayer(game.state, 'host').connectionAddresses, undefined);
+
+  join('p2-again', null, '10.0.0.2');
+  assert.equal(lastError(game).code, 'KICKED');
+  join('p2-elsewhere', 'acc-2', '10.9.9.9');
+  assert.equal(lastError(game).code, 'KICKED');
+  assert.ok(isKicked(game.state, { accountId: null, address: '10.0.0.2' }));
+  assert.deepEqual(game.state.players.map(p => p.id), ['host', 'p3']);
+
+  // Someone already in the room keeps their place, even from the kicked address.
+  game.apply({ type: 'PLAYER_DISCONNECTED', playerId: 'p3' });
+  join('p3', null, '10.0.0.2');
+  assert.equal(game.player('p3').isConnected, true);
+  join('p4', null, '10.0.0.4');
+  assert.ok(game.player('p4'));
+});
+
+test('without addresses, a kick bans only the id and account', () => {
+  const game = createGame({ players: [] });
+  const join = (playerId, accountId) => game.apply({ type: 'PLAYER_JOINED', playerId, payload: { playerName: playerId, accountId, address: null } });
+  join('p2', null);
+  game.act('host', 'KICK_PLAYER', { playerId: 'p2' });
+  assert.deepEqual(game.state.kickedAddresses, []);
+
+  join('p3', null);
+  assert.ok(game.player('p3'));
+  assert.equal(isKicked(game.state, { playerId: 'p2' }), true);
+});
+
+test('a kicked spectator leaves, and kicks survive a return to the lobby', () => {
+  const game = createGame();
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'viewer', payload: { playerName: 'Viewer' } });
+
+  game.act('host', 'KICK_PLAYER', { playerId: 'viewer' });
+  assert.deepEqual(game.state.spectators, []);
+  assert.deepEqual(game.disconnected, ['viewer']);
+
+  game.act('host', 'BACK_TO_LOBBY');
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'viewer', payload: { playerName: 'Viewer' } });
+  assert.equal(lastError(game).code, 'KICKED');
+  assert.deepEqual(game.state.spectators, []);
+});
+
+test('skipping a lot leaves it unsold whatever has been bid', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const cricketer = game.state.currentPlayerForAuction;
+  game.act(game.state.activePlayerId, 'PLACE_BID');
+
+  game.act('host', 'SKIP_LOT');
+  assert.equal(game.state.gameStatus, 'ROUND_OVER');
+  assert.equal(game.state.auctionHistory[0].winnerId, 'UNSOLD');
+  assert.deepEqual(game.state.unsoldPool.map(c => c.id), [cricketer.id]);
+  assert.ok(game.state.players.every(p => p.squad.length === 0 && p.budget === 10000));
+  assert.equal(game.state.lastActionMessage, `Host skipped ${cricketer.name}. They go unsold.`);
+  assert.equal(game.timers.turn, undefined);
+  assert.equal(game.timers.phase.action.type, 'ROUND_OVER_TIMER_ELAPSED');
+});
+
+test('undoing a sale refunds the buyer and moves the cricketer to the unsold pool', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const cricketer = game.state.currentPlayerForAuction;
+  const buyer = sellLot(game);
+  const price = game.state.auctionHistory[0].winningBid;
+  assert.equal(game.player(buyer).budget, 10000 - price);
+
+  game.act('host', 'UNDO_LAST_SALE');
+  assert.equal(game.player(buyer).budget, 10000);
+  assert.deepEqual(game.player(buyer).squad, []);
+  assert.equal(game.state.auctionHistory[0].winnerId, 'UNSOLD');
+  assert.equal(game.state.auctionHistory[0].winningBid, 0);
+  assert.deepEqual(game.state.unsoldPool.map(c => c.id), [cricketer.id]);
+  assert.equal(game.state.lastActionMessage, `Host undid the sale of ${cricketer.name} to ${game.player(buyer).name}.`);
+
+  game.act('host', 'UNDO_LAST_SALE');
+  assert.equal(lastError(game).code, 'NOT_FOUND');
+
+  const replayed = replayAuctionLog(game.state.auctionLog);
+  assert.equal(replayed.players.find(p => p.id === buyer).budget, 10000);
+  assert.deepEqual(replayed.sold, []);
+  assert.deepEqual(replayed.unsold, [cricketer.id]);
+  assert.equal(lotsFromLog(game.state.auctionLog)[0].result, 'UNDONE');
+});
+
+test('the host role can be handed to another connected player', () => {
+  const game = createGame({ players: ['p2', 'p3'] });
+
+  game.act('host', 'TRANSFER_HOST', { playerId: 'p2' });
+  assert.equal(game.player('p2').isHost, true);
+  assert.equal(game.player('p2').isReady, true);
+  assert.equal(game.player('host').isHost, false);
+  assert.equal(game.state.lastActionMessage, 'Host made P2 the host.');
+
+  game.act('host', 'TRANSFER_HOST', { playerId: 'p3' });
+  assert.equal(lastError(game).code, 'NOT_HOST');
+
+  game.apply({ type: 'PLAYER_DISCONNECTED', playerId: 'p3' });
+  game.act('p2', 'TRANSFER_HOST', { playerId: 'p3' });
+  assert.equal(lastError(game).code, 'INVALID_REQUEST');
+  assert.equal(game.player('p2').isHost, true);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stateForPlayer } from '../../src/auction/engine.js';
+import { resolveSealedBids } from '../../src/auction/sealedBids.js';
+import { lotsFromLog } from '../../src/history/export.js';
+import { createGame, startBidding } from '../helpers.js';
+
+const TWO_LOTS = { roleQuotas: { Batsman: 2, Bowler: 0, 'All-Rounder': 0, 'Wicket-Keeper': 0 } };
+const SEALED = { ...TWO_LOTS, auctionMode: 'SEALED_BID' };
+const OUTCRY = { ...TWO_LOTS, auctionMode: 'OPEN_OUTCRY' };
+
+const lastError = (game) => game.messages.filter(m => m.type === 'ERROR').at(-1)?.payload;
+
+test('sealed bids go to the highest bid at first or second price', () => {
+  const rules = { pricing: 'FIRST_PRICE', tiebreak: 'EARLIEST', basePrice: 100, biddingOrder: ['a', 'b', 'c'], random: () => 0 };
+  const bids = [['a', 300], ['b', 450], ['c', 200]];
+  assert.deepEqual(resolveSealedBids(bids, rules), { winnerId: 'b', price: 450 });
+  assert.deepEqual(resolveSealedBids(bids, { ...rules, pricing: 'SECOND_PRICE' }), { winnerId: 'b', price: 300 });
+  assert.deepEqual(resolveSealedBids([['a', 300]], { ...rules, pricing: 'SECOND_PRICE' }), { winnerId: 'a', price: 100 });
+  assert.equal(resolveSealedBids([], rules), null);
+});
+
+test('equal sealed bids are settled by the tiebreak rule', () => {
+  const rules = { pricing: 'SECOND_PRICE', tiebreak: 'EARLIEST', basePrice: 100, biddingOrder: ['a', 'b', 'c'], random: () => 0.99 };
+  const bids = [['c', 300], ['a', 300], ['b', 200]];
+  assert.deepEqual(resolveSealedBids(bids, rules), { winnerId: 'c', price: 300 });
+  assert.equal(resolveSealedBids(bids, { ...rules, tiebreak: 'BIDDING_ORDER' }).winnerId, 'a');
+  assert.equal(resolveSealedBids(bids, { ...rules, tiebreak: 'RANDOM' }).winnerId, 'a');
+});
+
+test('a sealed-bid lot closes once everyone has bid and is recorded like any other sale', () => {
+  const game = startBidding(createGame({ settings: SEALED }));
+  assert.equal(game.state.gameStatus, 'AUCTION');
+  assert.equal(game.state.activePlayerId, '');
+  assert.equal(game.timers.turn.action.type, 'SEALED_BIDS_DUE');
+  const cricketer = game.state.currentPlayerForAuction;
+
+  game.act('host', 'SUBMIT_SEALED_BID', { amount: 350 });
+  assert.deepEqual(stateForPlayer(game.state, 'p2').sealedBids, {});
+  assert.deepEqual(stateForPlayer(game.state, 'p2').sealedBidderIds, ['host']);
+  assert.deepEqual(stateForPlayer(game.state, 'host').sealedBids, { host: 350 });
+  game.act('host', 'SUBMIT_SEALED_BID', { amount: 400 });
+  assert.equal(lastError(game).code, 'INVALID_REQUEST');
+
+  game.act('p2', 'SUBMIT_SEALED_BID', { amount: 300 });
+  assert.equal(game.state.gameStatus, 'ROUND_OVER');
+  assert.deepEqual(game.state.auctionHistory.at(-1), { cricketer, winningBid: 350, winnerId: 'host', timestamp: game.now });
+  assert.equal(game.player('host').budget, 10000 - 350);
+  assert.deepEqual(game.state.sealedBids, {});
+  const reveal = game.messages.find(m => m.type === 'SEALED_BIDS_REVEALED').payload;
+  assert.deepEqual(reveal, { cricketerId: cricketer.id, bids: [{ playerId: 'host', amount: 350 }, { playerId: 'p2', amount: 300 }], winnerId: 'host', price: 350 });
+});
+
+test('a sealed-bid lot opens at the deadline, with second-price pricing', () => {
+  const game = startBidding(createGame({ settings: { ...SEALED, sealedBidPricing: 'SECOND_PRICE' }, players: ['p2', 'p3'] }));
+  game.act('p2', 'SUBMIT_SEALED_BID', { amount: 500 });
+  game.act('p3', 'SUBMIT_SEALED_BID', { amount: 250 });
+  game.fire('turn');
+
+  assert.equal(game.state.auctionHistory.at(-1).winnerId, 'p2');
+  assert.equal(game.state.auctionHistory.at(-1).winningBid, 250);
+  assert.equal(game.player('p2').budget, 10000 - 250);
+  assert.deepEqual(lotsFromLog(game.state.auctionLog)[0].bids.map(b => b.amount), [500, 250]);
+});
+
+test('sealed bids must be within the budget and are only for those in the round', () => {
+  const game = startBidding(createGame({ settings: SEALED }));
+  game.act('host', 'SUBMIT_SEALED_BID', { amount: 50 });
+  assert.equal(lastError(game).code, 'INVALID_BID');
+  game.act('host', 'SUBMIT_SEALED_BID', { amount: 10001 });
+  assert.equal(lastError(game).code, 'INVALID_BID');
+  game.act('host', 'PLACE_BID');
+  assert.equal(lastError(game).code, 'WRONG_MODE');
+
+  game.act('p2', 'DROP_FROM_ROUND');
+  game.act('p2', 'SUBMIT_SEALED_BID', { amount: 200 });
+  assert.equal(lastError(game).code, 'NOT_IN_ROUND');
+  game.act('host', 'SUBMIT_SEALED_BID', { amount: 200 });
+  assert.equal(game.state.auctionHistory.at(-1).winnerId, 'host');
+});
+
+test('bots seal their bids as soon as a lot opens', () => {
+  const game = createGame({ settings: SEALED, players: [] });
+  game.act('host', 'ADD_BOT', { personality: 'aggressive' });
+  startBidding(game);
+
+  assert.deepEqual(Object.keys(game.state.sealedBids), ['bot-1']);
+  game.act('host', 'DROP_FROM_ROUND');
+  assert.equal(game.state.auctionHistory.at(-1).winnerId, 'bot-1');
+});
+
+test('in open outcry anyone in the round can bid and every bid restarts the countdown', () => {
+  const game = startBidding(createGame({ settings: OUTCRY, players: ['p2', 'p3'] }));
+  assert.equal(game.timers.turn.action.type, 'OUTCRY_COUNTDOWN_ELAPSED');
+  assert.equal(game.timers.turn.delayMs, 5000);
+
+  game.now += 4000;
+  game.act('p3', 'PLACE_BID');
+  assert.equal(game.state.highestBidderId, 'p3');
+  assert.equal(game.timers.turn.delayMs, 5000);
+  game.act('p3', 'PLACE_BID');
+  assert.equal(lastError(game).code, 'INVALID_BID');
+  game.act('p3', 'DROP_FROM_ROUND');
+  assert.equal(lastError(game).code, 'INVALID_REQUEST');
+  game.act('p2', 'PASS_TURN');
+  assert.equal(lastError(game).code, 'WRONG_MODE');
+
+  game.act('p2', 'PLACE_BID', { amount: 150 });
+  game.act('host', 'DROP_FROM_ROUND');
+  game.fire('turn');
+  assert.equal(game.state.gameStatus, 'ROUND_OVER');
+  assert.equal(game.state.auctionHistory.at(-1).winnerId, 'p2');
+  assert.equal(game.player('p2').budget, 10000 - 150);
+});
+
+test('an open-outcry lot ends early once nobody is left to outbid the leader', () => {
+  const game = startBidding(createGame({ settings: OUTCRY }));
+  game.act('p2', 'PLACE_BID');
+  game.act('host', 'DROP_FROM_ROUND');
+  assert.equal(game.state.gameStatus, 'ROUND_OVER');
+  assert.equal(game.state.auctionHistory.at(-1).winnerId, 'p2');
+  assert.equal(game.timers.turn, undefined);
+});
+
+test('bots bid in open outcry when their timer fires', () => {
+  const game = createGame({ settings: OUTCRY, players: [] });
+  game.act('host', 'ADD_BOT', { personality: 'aggressive' });
+  startBidding(game);
+  assert.equal(game.timers.bot.action.type, 'OUTCRY_BOT_TURN');
+
+  game.fire('bot');
+  assert.equal(game.state.highestBidderId, 'bot-1');
+  assert.equal(game.timers.bot, undefined);
+  game.act('host', 'PLACE_BID');
+  assert.equal(game.timers.bot.action.type, 'OUTCRY_BOT_TURN');
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stateForPlayer, MAX_CUSTOM_POOL_SIZE } from '../../src/auction/engine.js';
+import { drawAuctionPool, scaleTierSizes, orderedSubPoolNames } from '../../src/auction/draw.js';
+import { DEFAULT_GAME_SETTINGS } from '../../src/settings.js';
+import { createGame, makeCricketers, makeCricketer } from '../helpers.js';
+
+const lastError = (game) => game.messages.filter(m => m.type === 'ERROR').at(-1)?.payload;
+
+const uploadRow = (id, role, overall, extra = {}) => ({
+  id, Name: `Custom ${id}`, ROLE: role, base_price: 100, OVR: overall,
+  'Batting OVR': overall, 'Bowling OVR': overall, 'Fielding OVR': overall, ...extra,
+});
+
+test('short tiers keep the best tiers first and share the cricketers by size', () => {
+  assert.deepEqual(scaleTierSizes([8, 9], 17), [8, 9]);
+  assert.deepEqual(scaleTierSizes([8, 9], 5), [2, 3]);
+  assert.deepEqual(scaleTierSizes([6, 7, 7], 2), [1, 1]);
+  assert.deepEqual(scaleTierSizes([4], 0), []);
+});
+
+test('the filter, tier sizes and sub-pool order come from the settings', () => {
+  const cricketers = makeCricketers(10).map((c, i) => ({ ...c, team: i % 2 ? 'MI' : 'CSK' }));
+  const settings = {
+    ...DEFAULT_GAME_SETTINGS,
+    roleQuotas: { Batsman: 4, Bowler: 2, 'All-Rounder': 0, 'Wicket-Keeper': 1 },
+    roleTiers: { Batsman: [1, 3], Bowler: 1, 'All-Rounder': 1, 'Wicket-Keeper': 1 },
+    subPoolOrder: ['Batsmen 2', 'Wicket-Keepers'],
+    poolFilter: { minOverall: 85, teams: ['csk'], seasons: [] },
+  };
+  const { auctionPool, subPools, subPoolOrder, shortfalls } = drawAuctionPool(cricketers, settings, () => 0.5);
+
+  assert.ok(auctionPool.every(c => c.team === 'CSK' && c.overall >= 85));
+  assert.deepEqual([subPools['Batsmen 1'].length, subPools['Batsmen 2'].length], [1, 2]);
+  assert.ok(subPools['Batsmen 1'][0].overall > subPools['Batsmen 2'][0].overall);
+  assert.deepEqual(subPoolOrder, ['Batsmen 2', 'Wicket-Keepers', 'Batsmen 1', 'Bowlers']);
+  assert.deepEqual(shortfalls, ['3 of 4 batsmen']);
+  assert.deepEqual(orderedSubPoolNames(DEFAULT_GAME_SETTINGS.roleTiers).slice(0, 4), ['Batsmen 1', 'Bowlers 1', 'All-Rounders 1', 'Wicket-Keepers']);
+});
+
+test('the host can upload a cricketer list for the room and go back to the standard one', () => {
+  const game = createGame({ settings: { roleQuotas: { Batsman: 2, Bowler: 1, 'All-Rounder': 0, 'Wicket-Keeper': 0 } } });
+  const rows = [uploadRow('u1', 'Batter', 80, { team: 'RR' }), uploadRow('u2', 'batter', 70), uploadRow('u3', 'Bowler', 75)];
+  game.act('p2', 'SET_CUSTOM_POOL', { cricketers: rows });
+  assert.equal(lastError(game).code, 'NOT_HOST');
+
+  const { effects } = game.act('host', 'SET_CUSTOM_POOL', { cricketers: rows });
+  assert.deepEqual(effects.find(e => e.type === 'REPLY').message, { type: 'CUSTOM_POOL_SET', payload: { customPoolSize: 3 } });
+  assert.equal(stateForPlayer(game.state, 'p2').customPoolSize, 3);
+  assert.equal(stateForPlayer(game.state, 'p2').customCricketers, undefined);
+  game.act('host', 'DRAW_PLAYERS', { cricketers: makeCricketers() });
+  assert.deepEqual(game.state.auctionPool.map(c => c.id).sort(), ['u1', 'u2', 'u3']);
+
+  game.act('host', 'BACK_TO_LOBBY');
+  assert.equal(game.state.customCricketers.length, 3);
+  game.act('host', 'SET_CUSTOM_POOL', { cricketers: null });
+  game.act('host', 'DRAW_PLAYERS', { cricketers: [makeCricketer('s1', 'Batsman', 60)] });
+  assert.deepEqual(game.state.auctionPool.map(c => c.id), ['s1']);
+});
+
+test('an upload with a bad or duplicate row is refused whole', () => {
+  const game = createGame();
+  game.act('host', 'SET_CUSTOM_POOL', { cricketers: [uploadRow('u1', 'Batter', 80), uploadRow('u1', 'Bowler', 70), uploadRow('u2', 'Umpire', 60), 'u3'] });
+  assert.equal(lastError(game).code, 'INVALID_REQUEST');
+  assert.match(lastError(game).message, /row 2: duplicate id "u1"; row 3: .*Umpire.*; row 4: not an object/);
+  assert.equal(game.state.customCricketers, null);
+
+  const tooMany = Array.from({ length: MAX_CUSTOM_POOL_SIZE + 1 }, (_, i) => uploadRow(`u${i}`, 'Batter', 70));
+  for (const cricketers of [tooMany, [], 'u1', undefined]) {
+    game.act('host', 'SET_CUSTOM_POOL', { cricketers });
+    assert.equal(lastError(game).message, `cricketers must be null or a list of 1 to ${MAX_CUSTOM_POOL_SIZE} rows.`);
+  }
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { createSessionTokens } from '../src/auth/sessionTokens.js';
+import { verifyHs256Jwt, createAccountVerifier } from '../src/auth/accounts.js';
+import { stateForPlayer } from '../src/auction/engine.js';
+import { createGame } from './helpers.js';
+
+const makeJwt = (claims, secret, header = { alg: 'HS256', typ: 'JWT' }) => {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const data = `${encode(header)}.${encode(claims)}`;
+  return `${data}.${createHmac('sha256', secret).update(data).digest('base64url')}`;
+};
+
+test('session tokens carry the room and player and only verify with the same secret', () => {
+  const tokens = createSessionTokens('secret');
+  const token = tokens.issue({ roomCode: 'ABCDEF', playerId: 'player-1' });
+
+  assert.deepEqual({ ...tokens.verify(token), iat: 0 }, { roomCode: 'ABCDEF', playerId: 'player-1', iat: 0 });
+  assert.equal(createSessionTokens('other').verify(token), null);
+  assert.equal(createSessionTokens().verify(token), null);
+});
+
+test('tampered or malformed session tokens are rejected', () => {
+  const tokens = createSessionTokens('secret');
+  const [, signature] = tokens.issue({ roomCode: 'ABCDEF', playerId: 'player-1' }).split('.');
+  const forged = Buffer.from(JSON.stringify({ roomCode: 'ABCDEF', playerId: 'host', iat: 0 })).toString('base64url');
+
+  for (const token of [`${forged}.${signature}`, 'player-1', '', 'a.b.c', undefined]) {
+    assert.equal(tokens.verify(token), null);
+  }
+});
+
+test('session tokens expire after their maximum age', () => {
+  let clock = 1000;
+  const tokens = createSessionTokens('secret', { maxAgeMs: 60000, now: () => clock });
+  const token = tokens.issue({ roomCode: 'ABCDEF', playerId: 'player-1' });
+
+  clock += 60000;
+  assert.equal(tokens.verify(token).playerId, 'player-1');
+  clock += 1;
+  assert.equal(tokens.verify(token), null);
+});
+
+test('auth JWTs are verified against the Supabase JWT secret', async () => {
+  const jwt = makeJwt({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) + 60 }, 'jwt-secret');
+  assert.equal(verifyHs256Jwt(jwt, 'jwt-secret').sub, 'user-1');
+  assert.equal(verifyHs256Jwt(jwt, 'wrong'), null);
+  assert.equal(verifyHs256Jwt(makeJwt({ sub: 'user-1', exp: 1 }, 'jwt-secret'), 'jwt-secret'), null);
+  assert.equal(verifyHs256Jwt(makeJwt({ sub: 'user-1' }, 'jwt-secret', { alg: 'none' }), 'jwt-secret'), null);
+
+  const verify = createAccountVerifier({ SUPABASE_JWT_SECRET: 'jwt-secret' }, null);
+  assert.equal(await verify(jwt), 'user-1');
+  assert.equal(createAccountVerifier({}, null), null);
+});
+
+test('without a JWT secret, accounts are checked with the Supabase auth server', async () => {
+  const supabase = {
+    auth: {
+      getUser: async (jwt) => (jwt === 'good'
+        ? { data: { user: { id: 'user-2' } }, error: null }
+        : { data: { user: null }, error: new Error('invalid JWT') }),
+    },
+  };
+  const verify = createAccountVerifier({}, supabase);
+  assert.equal(await verify('good'), 'user-2');
+  assert.equal(await verify('bad'), null);
+});
+
+test('linked accounts are kept on the seat, including when a spectator sits down', () => {
+  const game = createGame({ players: [] });
+  game.apply({ type: 'PLAYER_JOINED', playerId: 'p2', payload: { playerName: 'P2', accountId: 'user-2' } });
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'v1', payload: { playerName: 'V1', accountId: 'user-3' } });
+  game.act('v1', 'TAKE_SEAT');
+
+  assert.deepEqual(game.state.players.map(p => [p.id, p.accountId]), [['host', null], ['p2', 'user-2'], ['v1', 'user-3']]);
+});
+
+test('linked accounts are not sent to clients', () => {
+  const game = createGame({ players: [] });
+  game.apply({ type: 'PLAYER_JOINED', playerId: 'p2', payload: { playerName: 'P2', accountId: 'user-2' } });
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'v1', payload: { playerName: 'V1', accountId: 'user-3' } });
+
+  for (const viewerId of ['host', 'p2', 'v1']) {
+    const view = stateForPlayer(game.state, viewerId);
+    assert.ok([...view.players, ...view.spectators].every(entry => !('accountId' in entry)));
+  }
+  assert.equal(game.state.players[1].accountId, 'user-2');
+});
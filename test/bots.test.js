@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { botValuation, decideBotAction, decideBotSealedBid, botThinkingDelayMs } from '../src/bots/strategy.js';
+import { createBot } from '../src/auction/engine.js';
+import { DEFAULT_GAME_SETTINGS } from '../src/settings.js';
+import { makeCricketer } from './helpers.js';
+
+const settings = DEFAULT_GAME_SETTINGS;
+const star = makeCricketer('star', 'Batsman', 92);
+const journeyman = makeCricketer('journeyman', 'Batsman', 62);
+
+const auctionState = (bot, cricketer, overrides = {}) => ({
+  settings,
+  currentPlayerForAuction: cricketer,
+  currentBid: cricketer.basePrice,
+  highestBidderId: 'someone',
+  playersInRound: [bot.id, 'someone'],
+  ...overrides,
+});
+
+test('bots value better cricketers and personalities differently', () => {
+  const cautious = createBot('bot-1', 'Cautious Bot 1', 'cautious', settings);
+  const aggressive = createBot('bot-2', 'Aggressive Bot 2', 'aggressive', settings);
+  assert.ok(botValuation(cautious, star, settings) > botValuation(cautious, journeyman, settings));
+  assert.ok(botValuation(aggressive, star, settings) > botValuation(cautious, star, settings));
+});
+
+test('bots value roles they are missing above roles they have plenty of', () => {
+  const bot = createBot('bot-1', 'Balanced Bot 1', 'balanced', settings);
+  const stocked = { ...bot, squad: [journeyman, journeyman, journeyman] };
+  const needy = { ...bot, squad: [makeCricketer('b', 'Bowler', 70), makeCricketer('c', 'Bowler', 70), makeCricketer('d', 'Bowler', 70)] };
+  assert.ok(botValuation(needy, star, settings) > botValuation(stocked, star, settings));
+});
+
+test('bots keep enough budget to fill their other open slots', () => {
+  const bot = { ...createBot('bot-1', 'Aggressive Bot 1', 'aggressive', settings), budget: 800 };
+  assert.equal(botValuation(bot, star, settings), 800 - 7 * star.basePrice);
+  assert.equal(botValuation({ ...bot, squad: Array(8).fill(journeyman) }, star, settings), 0);
+});
+
+test('bots drop once the price passes their valuation and commit when alone', () => {
+  const bot = createBot('bot-1', 'Balanced Bot 1', 'balanced', settings);
+  assert.equal(decideBotAction(auctionState(bot, star, { currentBid: 5000 }), bot, () => 0), 'DROP');
+  assert.equal(decideBotAction(auctionState(bot, star), bot, () => 0), 'BID');
+  assert.equal(decideBotAction(auctionState(bot, star), bot, () => 0.99), 'PASS');
+  assert.equal(decideBotAction(auctionState(bot, star, { playersInRound: [bot.id], highestBidderId: null }), bot, () => 0.99), 'BID');
+});
+
+test('bot thinking time is randomised but always inside the turn', () => {
+  const bot = createBot('bot-1', 'Cautious Bot 1', 'cautious', settings);
+  assert.equal(botThinkingDelayMs(bot, settings, () => 0), 1200);
+  assert.equal(botThinkingDelayMs(bot, settings, () => 1), 2500);
+  assert.equal(botThinkingDelayMs(bot, { ...settings, turnDurationSeconds: 1 }, () => 1), 500);
+});
+
+test('bots bid their valuation at second price and shade it at first price', () => {
+  const bot = createBot('bot-1', 'Balanced Bot 1', 'balanced', settings);
+  const value = botValuation(bot, star, settings);
+  assert.equal(decideBotSealedBid(auctionState(bot, star, { settings: { ...settings, sealedBidPricing: 'SECOND_PRICE' } }), bot, () => 0), value);
+  const shaded = decideBotSealedBid(auctionState(bot, star), bot, () => 0);
+  assert.ok(shaded >= star.basePrice && shaded < value);
+  assert.equal(decideBotSealedBid(auctionState({ ...bot, budget: 50 }, star), { ...bot, budget: 50 }, () => 0), null);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maxAllowedBid, reservePricePerSlot, computeMaxBids } from '../src/auction/budgetRules.js';
+import { validateGameSettings } from '../src/settings.js';
+import { makeCricketer } from './helpers.js';
+
+const stateWith = (settingsUpdates, players) => ({
+  settings: validateGameSettings({ maxSquadSize: 4, ...settingsUpdates }).settings,
+  auctionPool: [makeCricketer('a', 'Batsman', 80, 150), makeCricketer('b', 'Bowler', 70, 100)],
+  players,
+});
+
+const player = { id: 'p1', budget: 1000, squad: [] };
+
+test('without the reserve rule the whole budget can be bid', () => {
+  assert.equal(maxAllowedBid(stateWith({}, [player]), player), 1000);
+});
+
+test('the reserve holds back base price for every other open slot', () => {
+  const state = stateWith({ reserveBudgetForOpenSlots: true }, [player]);
+  assert.equal(reservePricePerSlot(state), 100);
+  assert.equal(maxAllowedBid(state, player), 1000 - 3 * 100);
+
+  const lastSlot = { ...player, squad: [{}, {}, {}] };
+  assert.equal(maxAllowedBid(state, lastSlot), 1000);
+});
+
+test('a fixed reserve price overrides the pool minimum and the ceiling never goes negative', () => {
+  const state = stateWith({ reserveBudgetForOpenSlots: true, reservePricePerSlot: 400 }, [player]);
+  assert.equal(maxAllowedBid(state, player), 0);
+  assert.deepEqual(computeMaxBids(state), { p1: 0 });
+});
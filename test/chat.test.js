@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stateForPlayer } from '../src/auction/engine.js';
+import { filterProfanity, cleanChatText, CHAT_HISTORY_SIZE } from '../src/chat/chatRules.js';
+import { createRoomChat, handleChatAction } from '../src/chat/chatRoom.js';
+import { createGame, startBidding } from './helpers.js';
+
+const lastError = (game) => game.messages.filter(m => m.type === 'ERROR').at(-1)?.payload;
+
+// A room's chat beside a test game, the way the server's room owner handles it.
+const createChat = (game) => {
+  const chat = createRoomChat();
+  const send = (playerId, type, payload) => handleChatAction(chat, game.state, { type, playerId, payload }, game.now);
+  return { chat, send };
+};
+
+test('blocked words are masked and chat text is tidied', () => {
+  assert.equal(filterProfanity('What a SHIT bid, you bastards'), 'What a S*** bid, you b*******');
+  // Only whole words are blocked.
+  assert.equal(filterProfanity('Dickens scunthorpe cocktail'), 'Dickens scunthorpe cocktail');
+  assert.equal(cleanChatText('  well\n\tbid  '), 'well bid');
+  assert.equal(cleanChatText(' \n '), '');
+});
+
+test('chat messages and reactions go out on their own and leave the game state alone', () => {
+  const game = createGame();
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'viewer', payload: { playerName: 'Viewer' } });
+  const before = structuredClone(game.state);
+  const { chat, send } = createChat(game);
+
+  assert.deepEqual(send('p2', 'CHAT_MESSAGE', { text: 'Good luck, shit bidders' }), {
+    message: { type: 'CHAT_MESSAGE', payload: { id: 1, playerId: 'p2', name: 'P2', text: 'Good luck, s*** bidders', sentAt: 0 } },
+  });
+  assert.deepEqual(send('viewer', 'REACTION', { reaction: 'CLAP' }), {
+    message: { type: 'REACTION', payload: { playerId: 'viewer', name: 'Viewer', reaction: 'CLAP', sentAt: 0 } },
+  });
+  assert.equal(send('p2', 'CHAT_MESSAGE', { text: ' \n ' }).error.code, 'INVALID_REQUEST');
+  assert.equal(send('stranger', 'REACTION', { reaction: 'CLAP' }), null);
+  assert.equal(chat.history.length, 1);
+  assert.deepEqual(game.state, before);
+  assert.equal(stateForPlayer(game.state, 'p2').chatHistory, undefined);
+});
+
+test('each sender is rate limited and the history keeps the most recent messages', () => {
+  const game = createGame();
+  const { chat, send } = createChat(game);
+  const results = Array.from({ length: 6 }, (_, i) => send('p2', 'CHAT_MESSAGE', { text: `message ${i + 1}` }));
+  assert.equal(results.filter(r => r.message).length, 5);
+  assert.equal(results.at(-1).error.code, 'RATE_LIMITED');
+  assert.ok(send('host', 'REACTION', { reaction: 'FIRE' }).message);
+
+  game.now += 10000;
+  for (let i = 0; i < CHAT_HISTORY_SIZE; i++) {
+    game.now += 2000;
+    send('p2', 'CHAT_MESSAGE', { text: `later ${i}` });
+  }
+  assert.equal(chat.history.length, CHAT_HISTORY_SIZE);
+  assert.equal(chat.history[0].text, 'later 0');
+  assert.equal(chat.history.at(-1).id, 5 + CHAT_HISTORY_SIZE);
+});
+
+test('the host can mute and unmute, and chat works through pauses and a return to the lobby', () => {
+  const game = startBidding(createGame());
+  const { send } = createChat(game);
+  game.act('host', 'PAUSE_GAME');
+  assert.ok(send('p2', 'CHAT_MESSAGE', { text: 'Why pause?' }).message);
+
+  game.act('p2', 'MUTE_PLAYER', { playerId: 'host' });
+  assert.equal(lastError(game).code, 'NOT_HOST');
+  game.act('host', 'MUTE_PLAYER', { playerId: 'p2' });
+  assert.deepEqual(stateForPlayer(game.state, 'p2').mutedPlayerIds, ['p2']);
+  assert.equal(game.state.lastActionMessage, 'Host muted P2.');
+  assert.equal(send('p2', 'REACTION', { reaction: 'SAD' }).error.code, 'MUTED');
+
+  game.act('host', 'BACK_TO_LOBBY');
+  assert.deepEqual(game.state.mutedPlayerIds, ['p2']);
+  game.act('host', 'UNMUTE_PLAYER', { playerId: 'p2' });
+  assert.ok(send('p2', 'CHAT_MESSAGE', { text: 'Thanks' }).message);
+  game.act('host', 'UNMUTE_PLAYER', { playerId: 'p2' });
+  assert.equal(lastError(game).code, 'INVALID_REQUEST');
+});
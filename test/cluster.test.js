@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryBroker, createMemoryBus, createRoomBus } from '../src/cluster/index.js';
+import { createGame, startBidding } from './helpers.js';
+
+const LEASE_MS = 1000;
+
+// Two server instances on one stand-in broker, with a clock the test moves by hand.
+const createCluster = () => {
+  const clock = { now: 0 };
+  const broker = createMemoryBroker({ now: () => clock.now });
+  const instance = (instanceId) => createRoomBus(createMemoryBus(broker), { instanceId, leaseMs: LEASE_MS, rollCallMs: 5 });
+  return { clock, a: instance('a'), b: instance('b') };
+};
+
+// Handlers that record what an instance was asked to do.
+const recorder = (present = []) => {
+  const seen = { actions: [], dispatches: [], adopted: null, leaseLost: false };
+  return {
+    seen,
+    handlers: {
+      onAction: (action, origin) => seen.actions.push({ action, origin }),
+      onDispatch: (result) => seen.dispatches.push(result),
+      presentPlayers: () => present,
+      onAdopt: (saved, connectedIds) => { seen.adopted = { saved, connectedIds }; },
+      onLeaseLost: () => { seen.leaseLost = true; },
+    },
+  };
+};
+
+test('room codes are unique across instances', async () => {
+  const { a, b } = createCluster();
+  assert.equal(await a.reserveCode('ABCDEF'), true);
+  assert.equal(await b.reserveCode('ABCDEF'), false);
+  assert.equal(await b.exists('ABCDEF'), true);
+  assert.equal(await b.exists('ZZZZZZ'), false);
+});
+
+test('actions reach the owner and its dispatches reach every instance', async () => {
+  const { a, b } = createCluster();
+  const owner = recorder();
+  const other = recorder();
+  assert.equal(await a.claim('ROOM'), true);
+  assert.equal(await b.claim('ROOM'), false);
+  await a.watch('ROOM', owner.handlers);
+  await b.watch('ROOM', other.handlers);
+
+  const origin = { instanceId: 'b', connId: 'c1' };
+  await b.sendAction('ROOM', { type: 'PLACE_BID', playerId: 'p2' }, origin);
+  assert.deepEqual(owner.seen.actions, [{ action: { type: 'PLACE_BID', playerId: 'p2' }, origin }]);
+  assert.equal(other.seen.actions.length, 0);
+
+  await a.publishDispatch('ROOM', { gameState: { currentBid: 105 }, effects: [{ type: 'BROADCAST_STATE' }], action: {}, origin });
+  for (const { seen } of [owner, other]) {
+    assert.equal(seen.dispatches.length, 1);
+    assert.equal(seen.dispatches[0].from, 'a');
+    assert.equal(seen.dispatches[0].gameState.currentBid, 105);
+  }
+  await a.close();
+  await b.close();
+});
+
+test('every instance sees the public room list and a closed room leaves it', async () => {
+  const { a, b } = createCluster();
+  await a.claim('ROOM1');
+  await b.claim('ROOM2');
+  await a.setListing('ROOM1', { roomCode: 'ROOM1', seatsTaken: 1 });
+  await b.setListing('ROOM2', { roomCode: 'ROOM2', seatsTaken: 3 });
+  assert.deepEqual((await b.listings()).map(l => l.roomCode), ['ROOM1', 'ROOM2']);
+
+  await a.setListing('ROOM1', null);
+  await b.removeRoom('ROOM2');
+  assert.deepEqual(await a.listings(), []);
+});
+
+test('a room whose owner crashed leaves the public list, and its code and state expire', async () => {
+  const { clock, a, b } = createCluster();
+  await a.reserveCode('ROOM');
+  await a.claim('ROOM');
+  await a.watch('ROOM', recorder().handlers);
+  await a.saveState('ROOM', { gameState: { roomCode: 'ROOM' }, createdAt: 5 });
+  await a.setListing('ROOM', { roomCode: 'ROOM', seatsTaken: 1 });
+
+  // Renewing the lease keeps the code and state too.
+  clock.now = 900;
+  await a.checkLeases();
+  clock.now = 1500;
+  assert.deepEqual((await b.listings()).map(l => l.roomCode), ['ROOM']);
+  assert.equal(await b.exists('ROOM'), true);
+
+  // The owner dies: the room is hidden once its lease runs out, and gone once nobody has taken it over.
+  clock.now = 900 + LEASE_MS;
+  assert.deepEqual(await b.listings(), []);
+  assert.equal(await b.exists('ROOM'), true);
+  clock.now = 900 + 3 * LEASE_MS;
+  assert.equal(await b.exists('ROOM'), false);
+  assert.equal(await b.loadState('ROOM'), null);
+  assert.equal(await b.reserveCode('ROOM'), true);
+  assert.deepEqual(await b.listings(), []);
+  await a.close();
+});
+
+test('a room whose owner stops renewing its lease is taken over with its saved state', async () => {
+  const { clock, a, b } = createCluster();
+  const owner = recorder(['p1']);
+  const other = recorder(['p2']);
+  await a.claim('ROOM');
+  await a.watch('ROOM', owner.handlers);
+  await b.watch('ROOM', other.handlers);
+  await a.saveState('ROOM', { gameState: { roomCode: 'ROOM' }, createdAt: 5 });
+
+  // While the owner renews, nobody else takes over.
+  clock.now = 900;
+  await a.checkLeases();
+  clock.now = 1500;
+  await b.checkLeases();
+  assert.equal(b.isOwner('ROOM'), false);
+
+  // The owner goes quiet; once the lease runs out the other instance adopts the room and
+  // learns which players still have sockets anywhere.
+  clock.now = 3000;
+  await b.checkLeases();
+  assert.equal(b.isOwner('ROOM'), true);
+  assert.deepEqual(other.seen.adopted.saved, { gameState: { roomCode: 'ROOM' }, createdAt: 5 });
+  assert.deepEqual(other.seen.adopted.connectedIds.sort(), ['p1', 'p2']);
+
+  // If the old owner comes back, it finds its lease gone and stands down.
+  await a.checkLeases();
+  assert.equal(owner.seen.leaseLost, true);
+  assert.equal(a.isOwner('ROOM'), false);
+  await a.close();
+  await b.close();
+});
+
+test('sending an action to a room without an owner takes it over first', async () => {
+  const { a, b } = createCluster();
+  const other = recorder();
+  await a.reserveCode('ROOM');
+  await b.watch('ROOM', other.handlers);
+  await b.sendAction('ROOM', { type: 'PASS_TURN', playerId: 'p2' });
+  assert.equal(b.isOwner('ROOM'), true);
+  assert.equal(other.seen.adopted.saved, null);
+  assert.equal(other.seen.actions.length, 1);
+  await b.close();
+});
+
+test('an adopted room marks players without a socket as disconnected and restarts the turn', () => {
+  const game = startBidding(createGame({ players: ['p2', 'p3'] }));
+  game.timers = {};
+  game.apply({ type: 'ROOM_ADOPTED', payload: { connectedIds: ['host', 'p3'] } });
+  assert.equal(game.player('p2').isConnected, false);
+  assert.equal(game.player('p3').isConnected, true);
+  assert.equal(game.timers.turn.delayMs, game.state.settings.turnDurationSeconds * 1000);
+});
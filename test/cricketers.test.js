@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../src/cricketers/fileProvider.js';
+import { normaliseCricketerRow, mapDbRoleToGameRole } from '../src/cricketers/index.js';
+import { checkCricketerRows } from '../src/cricketers/normalise.js';
+
+const row = {
+  id: 7, Name: ' Virat ', ROLE: 'Batter', base_price: '200', image: '',
+  OVR: '91', 'Batting OVR': '95', 'Bowling OVR': '20', 'Fielding OVR': '85',
+};
+
+test('parses quoted CSV fields into rows keyed by header', () => {
+  const rows = parseCsv('id,Name,ROLE\r\n1,"Smith, Steve",Batter\n2,"The ""Wall""",wk\n\n');
+  assert.deepEqual(rows, [
+    { id: '1', Name: 'Smith, Steve', ROLE: 'Batter' },
+    { id: '2', Name: 'The "Wall"', ROLE: 'wk' },
+  ]);
+});
+
+test('maps database roles case-insensitively', () => {
+  assert.equal(mapDbRoleToGameRole('BATTER'), 'Batsman');
+  assert.equal(mapDbRoleToGameRole('wk'), 'Wicket-Keeper');
+  assert.equal(mapDbRoleToGameRole(undefined), 'Unknown');
+});
+
+test('normalises a row from either provider into a cricketer', () => {
+  const { cricketer } = normaliseCricketerRow(row);
+  assert.deepEqual(cricketer, {
+    id: 7, name: 'Virat', role: 'Batsman', image: null,
+    basePrice: 200, overall: 91, battingOVR: 95, bowlingOVR: 20, fieldingOVR: 85,
+  });
+});
+
+test('rejects rows with an unknown role or numbers that are not numbers', () => {
+  const { cricketer, problems } = normaliseCricketerRow({ ...row, ROLE: 'Coach', OVR: 'high', base_price: '-5' });
+  assert.equal(cricketer, null);
+  assert.deepEqual(problems, ['unknown ROLE "Coach"', 'base_price must be a positive number', 'overall must be a number']);
+});
+
+test('keeps rows the original server took: blank ratings count as 0 and a blank base price is the lowest in the list', () => {
+  const { cricketers, invalidRows } = checkCricketerRows([
+    { ...row, id: 1, 'Fielding OVR': null },
+    { ...row, id: 2, OVR: '', 'Batting OVR': undefined },
+    { ...row, id: 3, base_price: undefined },
+    { ...row, id: 4, base_price: '150' },
+  ]);
+  assert.deepEqual(invalidRows, []);
+  assert.deepEqual(cricketers.map(c => [c.id, c.basePrice, c.overall, c.battingOVR, c.fieldingOVR]), [
+    [1, 200, 91, 95, 0],
+    [2, 200, 0, 0, 85],
+    [3, 150, 91, 95, 85],
+    [4, 150, 91, 95, 85],
+  ]);
+});
+
+test('a blank base price is invalid when no row has one', () => {
+  const { cricketers, invalidRows } = checkCricketerRows([{ ...row, base_price: null }]);
+  assert.deepEqual(cricketers, []);
+  assert.deepEqual(invalidRows, [{ row: 1, problems: ['base_price must be a positive number'] }]);
+});
+
+test('keeps the optional overseas flag when the data has it', () => {
+  assert.equal(normaliseCricketerRow({ ...row, overseas: 'Yes' }).cricketer.overseas, true);
+  assert.equal(normaliseCricketerRow({ ...row, overseas: 'false' }).cricketer.overseas, false);
+  assert.equal('overseas' in normaliseCricketerRow(row).cricketer, false);
+});
+
+test('keeps optional team and season tags as trimmed text', () => {
+  const { cricketer } = normaliseCricketerRow({ ...row, team: ' RCB ', season: 2016 });
+  assert.equal(cricketer.team, 'RCB');
+  assert.equal(cricketer.season, '2016');
+  assert.equal('team' in normaliseCricketerRow({ ...row, team: ' ' }).cricketer, false);
+});
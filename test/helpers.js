@@ -0,0 +1,95 @@
+import { reduce, createInitialGameState } from '../src/auction/engine.js';
+import { validateGameSettings } from '../src/settings.js';
+import { seededRandom } from '../src/random.js';
+
+export { seededRandom };
+
+export const makeCricketer = (id, role, overall, basePrice = 100) => ({
+  id, name: `Cricketer ${id}`, role, basePrice, image: null,
+  overall, battingOVR: overall, bowlingOVR: overall, fieldingOVR: overall,
+});
+
+/**
+ * `count` cricketers per role with descending OVR.
+ */
+export const makeCricketers = (count = 20) => {
+  const roles = ['Batsman', 'Bowler', 'All-Rounder', 'Wicket-Keeper'];
+  return roles.flatMap((role, r) => Array.from({ length: count }, (_, i) => makeCricketer(`${r}-${i}`, role, 90 - i)));
+};
+
+/**
+ * Drives the engine the way the server does, with a fake clock: scheduled timers are
+ * kept by slot and only fire when the test calls `fire`.
+ */
+export const createGame = ({ settings = {}, players = ['p2'], seed = 1 } = {}) => {
+  const validated = validateGameSettings(settings);
+  if (!validated.settings) throw new Error(validated.errors.join(' '));
+
+  const game = {
+    state: createInitialGameState('TEST', 'host', 'Host', validated.settings),
+    timers: {},
+    messages: [],
+    // Event logs handed over by ARCHIVE_AUCTION effects.
+    archived: [],
+    // Auction records handed over by RECORD_RESULTS effects.
+    recorded: [],
+    // Players whose sockets a DISCONNECT_CLIENT effect closed.
+    disconnected: [],
+    closed: false,
+    now: 0,
+  };
+  const random = seededRandom(seed);
+
+  game.apply = (action) => {
+    const result = reduce(game.state, action, { random, now: () => game.now });
+    game.state = result.state;
+    for (const effect of result.effects) {
+      if (effect.type === 'SCHEDULE') game.timers[effect.timer] = effect;
+      else if (effect.type === 'CANCEL_TIMER') delete game.timers[effect.timer];
+      else if (effect.type === 'CLOSE_ROOM') game.closed = true;
+      else if (effect.type === 'ARCHIVE_AUCTION') game.archived.push(effect.log);
+      else if (effect.type === 'RECORD_RESULTS') game.recorded.push(effect.record);
+      else if (effect.type === 'DISCONNECT_CLIENT') game.disconnected.push(effect.playerId);
+      else if (effect.type === 'REPLY' || effect.type === 'BROADCAST') game.messages.push(effect.message);
+    }
+    return result;
+  };
+  game.act = (playerId, type, payload) => game.apply({ type, playerId, payload });
+  game.fire = (timer) => {
+    const pending = game.timers[timer];
+    if (!pending) throw new Error(`No pending ${timer} timer`);
+    delete game.timers[timer];
+    game.now += pending.delayMs;
+    return game.apply(pending.action);
+  };
+  game.player = (id) => game.state.players.find(p => p.id === id);
+
+  players.forEach(id => game.apply({ type: 'PLAYER_JOINED', playerId: id, payload: { playerName: id.toUpperCase() } }));
+  return game;
+};
+
+/**
+ * Draws, starts the auction and fires phase timers until bidding opens (or the game ends).
+ */
+export const startBidding = (game, cricketers = makeCricketers()) => {
+  game.act('host', 'DRAW_PLAYERS', { cricketers });
+  game.act('host', 'START_GAME');
+  return runToBidding(game);
+};
+
+/**
+ * Fires phase timers until a lot is open for bidding, continuing past sub-pool breaks.
+ */
+export const runToBidding = (game) => {
+  for (let guard = 0; guard < 50; guard++) {
+    const status = game.state.gameStatus;
+    if (status === 'AUCTION' || status === 'GAME_OVER') return game;
+    if (status === 'SUBPOOL_BREAK') {
+      game.state.players.forEach(p => { if (!p.isHost && !p.isReady) game.act(p.id, 'TOGGLE_READY'); });
+      game.act('host', 'CONTINUE_TO_NEXT_SUBPOOL');
+    } else {
+      game.fire('phase');
+    }
+  }
+  throw new Error(`Stuck in ${game.state.gameStatus}`);
+};
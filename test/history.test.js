@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stateForPlayer } from '../src/auction/engine.js';
+import { lotsFromLog, auctionLogToCsv } from '../src/history/export.js';
+import { replayAuctionLog } from '../src/history/replay.js';
+import { createAuctionArchive } from '../src/history/archive.js';
+import { createMemoryBroker, createMemoryBus } from '../src/cluster/index.js';
+import { createGame, startBidding, runToBidding } from './helpers.js';
+
+const TWO_LOTS = { roleQuotas: { Batsman: 2, Bowler: 0, 'All-Rounder': 0, 'Wicket-Keeper': 0 } };
+
+// First lot: one bid each, then sold to the higher bidder. Second lot: nobody bids.
+const playTwoLots = () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  const [first, second] = game.state.biddingOrder;
+  game.act(first, 'PLACE_BID');
+  game.act(second, 'PLACE_BID', { amount: 130 });
+  game.act(first, 'PASS_TURN');
+  game.fire('phase');
+  runToBidding(game);
+  game.apply({ type: 'PLAYER_DISCONNECTED', playerId: 'p2' });
+  game.fire('turn');
+  game.fire('turn');
+  game.fire('phase');
+  runToBidding(game);
+  game.fire('turn');
+  game.fire('turn');
+  game.fire('phase');
+  return { game, first, second };
+};
+
+test('every auction event is logged and the log is archived when the game ends', () => {
+  const { game, second } = playTwoLots();
+  assert.equal(game.state.gameStatus, 'GAME_OVER');
+  assert.equal(game.archived.length, 1);
+
+  const log = game.archived[0];
+  assert.equal(log.auctionId, game.state.auctionId);
+  assert.match(log.auctionId, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  assert.equal(log.outcome, 'COMPLETED');
+  assert.deepEqual(log.events.map(e => e.seq), log.events.map((_, i) => i + 1));
+  const types = log.events.map(e => e.type);
+  for (const type of ['AUCTION_STARTED', 'SUBPOOL_STARTED', 'LOT_OPENED', 'BID', 'PASS', 'SOLD', 'PLAYER_DISCONNECTED', 'TIMEOUT', 'UNSOLD', 'UNSOLD_ROUND_STARTED', 'AUCTION_ENDED']) {
+    assert.ok(types.includes(type), `missing ${type}`);
+  }
+  const sold = log.events.find(e => e.type === 'SOLD');
+  assert.deepEqual([sold.playerId, sold.amount], [second, 130]);
+  assert.ok(log.events.every((e, i) => i === 0 || e.at >= log.events[i - 1].at));
+
+  assert.equal('auctionLog' in stateForPlayer(game.state, 'host'), false);
+});
+
+test('logs export one CSV row per lot with the bid trail', () => {
+  const { game } = playTwoLots();
+  const log = game.archived[0];
+  const lots = lotsFromLog(log);
+  assert.deepEqual(lots.map(l => [l.result, l.price, l.bids.length]), [['SOLD', 130, 2], ['UNSOLD', null, 0], ['UNSOLD', null, 0]]);
+
+  const names = { ...log, players: log.players.map(p => ({ ...p, name: p.id === 'host' ? 'Host, "The Boss"' : p.name })) };
+  const [header, firstRow, ...rest] = auctionLogToCsv(names).trimEnd().split('\r\n');
+  assert.equal(header, 'lot,sub_pool,cricketer_id,cricketer_name,role,base_price,result,winner_id,winner_name,price,opened_at,closed_at,bid_count,bid_trail');
+  assert.equal(rest.length, 2);
+  assert.match(firstRow, /^1,Batsmen 1,/);
+  const trail = lots[0].bids.map(b => `${b.playerId === 'host' ? 'Host, ""The Boss""' : 'P2'} ${b.amount}`).join(' > ');
+  assert.ok(firstRow.endsWith(`,2,"${trail}"`));
+});
+
+test('replay rebuilds the auction at any point in the log', () => {
+  const { game, first, second } = playTwoLots();
+  const log = game.archived[0];
+
+  const firstBid = log.events.find(e => e.type === 'BID');
+  const midLot = replayAuctionLog(log, firstBid.seq);
+  assert.equal(midLot.currentLot.currentBid, 110);
+  assert.equal(midLot.currentLot.highestBidderId, first);
+  assert.equal(midLot.players.find(p => p.id === second).budget, 10000);
+
+  const end = replayAuctionLog(log);
+  assert.equal(end.currentLot, null);
+  assert.deepEqual(end.players.map(p => [p.id, p.budget, p.squad.length]), game.state.players.map(p => [p.id, p.budget, p.squad.length]));
+  assert.equal(end.players.find(p => p.id === 'p2').isConnected, false);
+  assert.equal(end.unsold.length, 2);
+});
+
+test('an auction cut short is archived as abandoned', () => {
+  const game = startBidding(createGame({ settings: TWO_LOTS }));
+  game.act('host', 'BACK_TO_LOBBY');
+  assert.equal(game.archived[0].outcome, 'ABANDONED');
+  assert.equal(game.archived[0].events.at(-1).type, 'AUCTION_ABANDONED');
+  assert.equal(game.state.auctionLog, null);
+});
+
+test('archived logs can be read from another instance until they expire', async () => {
+  const clock = { now: 0 };
+  const broker = createMemoryBroker({ now: () => clock.now });
+  const owner = createAuctionArchive(createMemoryBus(broker), { ttlMs: 1000 });
+  const other = createAuctionArchive(createMemoryBus(broker), { ttlMs: 1000 });
+  await owner.save({ auctionId: 'a', events: [{ seq: 1, type: 'AUCTION_STARTED' }] });
+  assert.deepEqual(await other.get('a'), { auctionId: 'a', events: [{ seq: 1, type: 'AUCTION_STARTED' }] });
+  assert.equal(await other.get('b'), null);
+  clock.now = 1000;
+  assert.equal(await other.get('a'), null);
+});
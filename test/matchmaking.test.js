@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { publicListing, sortListings, quickMatchCandidates } from '../src/matchmaking/publicRooms.js';
+import { validateGameSettings } from '../src/settings.js';
+import { createGame, startBidding } from './helpers.js';
+
+const listing = (roomCode, seatsTaken, createdAt, maxPlayers = 4) => ({ roomCode, seatsTaken, maxPlayers, createdAt });
+
+test('public rooms are listed only in the lobby with a free seat', () => {
+  const game = createGame({ settings: { isPublic: true, maxPlayers: 3 } });
+  assert.deepEqual(publicListing(game.state, 500), {
+    roomCode: 'TEST', hostName: 'Host', seatsTaken: 2, maxPlayers: 3, settings: game.state.settings, createdAt: 500,
+  });
+
+  game.apply({ type: 'PLAYER_JOINED', playerId: 'p3', payload: { playerName: 'P3' } });
+  assert.equal(publicListing(game.state, 500), null);
+  game.apply({ type: 'PLAYER_LEFT', playerId: 'p3' });
+  assert.equal(publicListing(game.state, 500).seatsTaken, 2);
+
+  assert.equal(publicListing(startBidding(createGame({ settings: { isPublic: true } })).state, 500), null);
+  assert.equal(publicListing(createGame().state, 500), null);
+  assert.deepEqual(validateGameSettings({ isPublic: 'yes' }).errors, ['isPublic must be true or false.']);
+});
+
+test('quick match picks the fullest open room, then the oldest', () => {
+  const listings = [listing('A', 1, 10), listing('B', 3, 30), listing('C', 3, 20), listing('D', 4, 5)];
+  assert.deepEqual(sortListings(listings).map(l => l.roomCode), ['D', 'C', 'B', 'A']);
+  assert.deepEqual(quickMatchCandidates(listings).map(l => l.roomCode), ['C', 'B', 'A']);
+  assert.deepEqual(quickMatchCandidates([]), []);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseClientMessage, MESSAGE_SCHEMAS } from '../src/protocol/schemas.js';
+import { ERROR_CODES } from '../src/protocol/errors.js';
+import { createGame, startBidding } from './helpers.js';
+
+const parse = (message) => parseClientMessage(typeof message === 'string' ? message : JSON.stringify(message));
+
+test('valid messages are returned with their payload and request id', () => {
+  assert.deepEqual(parse({ type: 'PLACE_BID', payload: { amount: 120 }, requestId: 'r1' }), {
+    message: { type: 'PLACE_BID', payload: { amount: 120 }, requestId: 'r1' },
+  });
+  assert.deepEqual(parse({ type: 'PASS_TURN' }), { message: { type: 'PASS_TURN', payload: {} } });
+  assert.deepEqual(parse({ type: 'SET_AUTO_BID', payload: { maxAmount: null } }).message.payload, { maxAmount: null });
+  // Settings are validated by the settings module, not the message schema.
+  assert.ok(parse({ type: 'UPDATE_SETTINGS', payload: { startingBudget: 5000 } }).message);
+});
+
+test('malformed messages get a stable error code', () => {
+  const cases = [
+    ['{', ERROR_CODES.INVALID_JSON],
+    [[1, 2], ERROR_CODES.INVALID_MESSAGE],
+    [{ payload: {} }, ERROR_CODES.INVALID_MESSAGE],
+    [{ type: 'PASS_TURN', extra: true }, ERROR_CODES.INVALID_MESSAGE],
+    [{ type: 'PASS_TURN', requestId: { id: 1 } }, ERROR_CODES.INVALID_MESSAGE],
+    [{ type: 'SELL_EVERYTHING' }, ERROR_CODES.UNKNOWN_TYPE],
+    [{ type: 'PASS_TURN', payload: 'now' }, ERROR_CODES.INVALID_PAYLOAD],
+  ];
+  for (const [message, code] of cases) assert.equal(parse(message).error.code, code, JSON.stringify(message));
+});
+
+test('payloads are checked field by field against their schema', () => {
+  const { error } = parse({ type: 'JOIN_ROOM', payload: { roomCode: 'ABC', playerName: '', sneaky: 1 }, requestId: 4 });
+  assert.deepEqual(error, {
+    code: ERROR_CODES.INVALID_PAYLOAD,
+    message: "Unknown field \"sneaky\". playerName can't be empty.",
+    requestType: 'JOIN_ROOM',
+    requestId: 4,
+  });
+  assert.equal(parse({ type: 'PLACE_BID', payload: { amount: 12.5 } }).error.message, 'amount must be a whole number.');
+  assert.equal(parse({ type: 'SET_AUTO_BID', payload: {} }).error.message, 'maxAmount is required.');
+  assert.equal(parse({ type: 'ADD_BOT', payload: { personality: 'reckless' } }).error.message, 'personality must be one of: cautious, balanced, aggressive.');
+  assert.equal(parse({ type: 'CREATE_ROOM', payload: { playerName: 'x'.repeat(31) } }).error.message, 'playerName must be at most 30 characters.');
+});
+
+test('every engine action has a schema', () => {
+  for (const type of ['DRAW_PLAYERS', 'START_GAME', 'PLACE_BID', 'SET_AUTO_BID', 'PASS_TURN', 'DROP_FROM_ROUND', 'CONTINUE_TO_NEXT_SUBPOOL', 'SHOW_RESULTS', 'TAKE_SEAT',
+    'PAUSE_GAME', 'RESUME_GAME', 'KICK_PLAYER', 'SKIP_LOT', 'UNDO_LAST_SALE', 'TRANSFER_HOST', 'SUBMIT_SEALED_BID',
+    'MUTE_PLAYER', 'UNMUTE_PLAYER', 'CHAT_MESSAGE', 'REACTION']) {
+    assert.ok(MESSAGE_SCHEMAS[type], type);
+  }
+  // Cricketer lists are uploaded over HTTP; they don't fit in a socket message.
+  assert.equal(MESSAGE_SCHEMAS.SET_CUSTOM_POOL, undefined);
+});
+
+test('unauthorised and out-of-phase actions are answered with typed errors', () => {
+  const game = createGame();
+  const codeOf = (playerId, type, payload) => game.act(playerId, type, payload).effects.find(e => e.type === 'REPLY')?.message.payload.code;
+
+  assert.equal(codeOf('p2', 'START_GAME'), ERROR_CODES.NOT_HOST);
+  assert.equal(codeOf('host', 'START_GAME'), ERROR_CODES.WRONG_PHASE);
+  assert.equal(codeOf('host', 'PLACE_BID'), ERROR_CODES.WRONG_PHASE);
+  assert.equal(codeOf('host', 'REMOVE_BOT', { playerId: 'p2' }), ERROR_CODES.NOT_FOUND);
+  assert.equal(codeOf('host', 'TAKE_SEAT'), ERROR_CODES.ALREADY_SEATED);
+
+  game.apply({ type: 'SPECTATOR_JOINED', playerId: 'fan', payload: { playerName: 'Fan' } });
+  assert.equal(codeOf('fan', 'TOGGLE_READY'), ERROR_CODES.SPECTATOR_NOT_ALLOWED);
+
+  startBidding(game);
+  const waiting = game.state.biddingOrder.find(id => id !== game.state.activePlayerId);
+  assert.equal(codeOf(waiting, 'PASS_TURN'), ERROR_CODES.NOT_YOUR_TURN);
+});
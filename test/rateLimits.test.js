@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTokenBucket, createKeyedLimiter } from '../src/protocol/rateLimits.js';
+
+test('a token bucket allows a burst, then refills at its steady rate', () => {
+  let clock = 0;
+  const bucket = createTokenBucket({ capacity: 3, refillPerSecond: 2, now: () => clock });
+  assert.deepEqual([bucket.take(), bucket.take(), bucket.take(), bucket.take()], [true, true, true, false]);
+
+  clock = 400;
+  assert.equal(bucket.take(), false);
+  clock = 500;
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+
+  clock = 60000;
+  assert.equal(bucket.isFull(), true);
+  assert.deepEqual([bucket.take(), bucket.take(), bucket.take(), bucket.take()], [true, true, true, false]);
+});
+
+test('keyed limiters keep a bucket per key and forget the ones that refilled', () => {
+  let clock = 0;
+  const limiter = createKeyedLimiter({ capacity: 1, refillPerSecond: 1, now: () => clock });
+  assert.equal(limiter.take('1.2.3.4'), true);
+  assert.equal(limiter.take('1.2.3.4'), false);
+  assert.equal(limiter.take('5.6.7.8'), true);
+  assert.equal(limiter.size(), 2);
+
+  clock = 1000;
+  limiter.prune();
+  assert.equal(limiter.size(), 0);
+  assert.equal(limiter.take('1.2.3.4'), true);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateSquad, rankTeams } from '../src/results/ratings.js';
+import { simulateRoundRobin } from '../src/results/simulation.js';
+import { createPlayer } from '../src/auction/engine.js';
+import { DEFAULT_GAME_SETTINGS } from '../src/settings.js';
+import { createGame, startBidding, runToBidding, makeCricketer, seededRandom } from './helpers.js';
+
+const settings = DEFAULT_GAME_SETTINGS;
+
+const team = (id, overall, spent, roles = ['Batsman', 'Batsman', 'Batsman', 'Bowler', 'Bowler', 'Bowler', 'All-Rounder', 'Wicket-Keeper']) => ({
+  ...createPlayer(id, id.toUpperCase(), settings),
+  budget: settings.startingBudget - spent,
+  squad: roles.map((role, i) => makeCricketer(`${id}-${i}`, role, overall)),
+});
+
+test('squads are rated on batting, bowling, fielding, balance and value', () => {
+  const ratings = rateSquad(team('a', 80, 4000), settings);
+  assert.deepEqual(ratings, { batting: 80, bowling: 80, fielding: 80, balance: 100, totalOVR: 640, spent: 4000, ovrPerCredit: 16 });
+
+  const lopsided = rateSquad(team('b', 80, 4000, ['Batsman', 'Batsman', 'Batsman', 'Batsman']), settings);
+  assert.equal(lopsided.bowling, 64);
+  assert.equal(lopsided.fielding, 40);
+  assert.equal(lopsided.balance, 33.3);
+
+  assert.equal(rateSquad(createPlayer('c', 'C', settings), settings).ovrPerCredit, 0);
+});
+
+test('teams are ranked with value scored against the best in the room', () => {
+  const rankings = rankTeams([team('pricey', 80, 8000), team('bargain', 80, 2000)], settings);
+  assert.deepEqual(rankings.map(t => [t.playerId, t.rank, t.ratings.value]), [['bargain', 1, 100], ['pricey', 2, 25]]);
+});
+
+test('the round-robin plays every pairing once and is reproducible from its seed', () => {
+  const teams = ['a', 'b', 'c', 'd'].map((id, i) => ({ playerId: id, name: id, squad: team(id, 60 + i * 10, 1000).squad }));
+  const first = simulateRoundRobin(teams, seededRandom(7));
+
+  assert.equal(first.matches.length, 6);
+  assert.ok(first.standings.every(row => row.played === 3 && row.won + row.lost + row.tied === 3));
+  assert.equal(first.standings.reduce((sum, row) => sum + row.points, 0), 12);
+  for (const match of first.matches) {
+    const [one, two] = match.innings;
+    assert.ok(one.balls <= 30 && two.balls <= 30);
+    assert.equal(one.batting.reduce((sum, b) => sum + b.runs, 0), one.runs);
+    if (two.runs > one.runs) assert.equal(match.winnerId, two.battingTeamId);
+  }
+
+  assert.deepEqual(simulateRoundRobin(teams, seededRandom(7)), first);
+});
+
+test('a side with no squad is all out for nothing', () => {
+  const teams = [{ playerId: 'a', name: 'A', squad: team('a', 70, 1000).squad }, { playerId: 'b', name: 'B', squad: [] }];
+  const { matches, standings } = simulateRoundRobin(teams, seededRandom(1));
+  const empty = matches[0].innings.find(i => i.battingTeamId === 'b');
+  assert.deepEqual([empty.runs, empty.balls, empty.allOut], [0, 0, true]);
+  assert.equal(standings[0].playerId, 'a');
+});
+
+test('the host shows results after the auction and can replay them from the seed', () => {
+  const game = startBidding(createGame({ settings: { roleQuotas: { Batsman: 2, Bowler: 0, 'All-Rounder': 0, 'Wicket-Keeper': 0 }, maxSquadSize: 1 } }));
+  game.act(game.state.activePlayerId, 'PLACE_BID');
+  game.act(game.state.activePlayerId, 'PASS_TURN');
+  game.fire('phase');
+  runToBidding(game);
+  game.act(game.state.activePlayerId, 'PLACE_BID');
+  assert.equal(game.state.gameStatus, 'GAME_OVER');
+
+  game.act('p2', 'SHOW_RESULTS');
+  assert.equal(game.state.gameStatus, 'GAME_OVER');
+  game.act('host', 'SHOW_RESULTS', { seed: 1.5 });
+  assert.equal(game.messages.at(-1).payload.message, 'Results seed must be a whole number.');
+
+  game.act('host', 'SHOW_RESULTS');
+  assert.equal(game.state.gameStatus, 'RESULTS');
+  const { seed, rankings, standings, matches } = game.state.results;
+  assert.equal(rankings.length, 2);
+  assert.equal(standings.length, 2);
+  assert.equal(matches.length, 1);
+
+  const replayed = structuredClone(game.state.results);
+  game.act('host', 'SHOW_RESULTS', { seed });
+  assert.deepEqual(game.state.results, replayed);
+
+  game.act('host', 'BACK_TO_LOBBY');
+  assert.equal(game.state.results, null);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler } from '../src/scheduler.js';
+
+// A fake setTimeout: timers only run when the test advances the clock.
+const fakeClock = () => {
+  const clock = { now: 1000, timers: new Map(), nextId: 1 };
+  clock.setTimeout = (callback, delayMs) => {
+    const id = clock.nextId++;
+    clock.timers.set(id, { callback, at: clock.now + delayMs });
+    return id;
+  };
+  clock.clearTimeout = (id) => clock.timers.delete(id);
+  clock.advance = (ms) => {
+    clock.now += ms;
+    for (const [id, timer] of [...clock.timers]) {
+      if (timer.at <= clock.now && clock.timers.delete(id)) timer.callback();
+    }
+  };
+  return clock;
+};
+
+test('a slot holds one timer, and scheduling it again replaces the old one', () => {
+  const clock = fakeClock();
+  const scheduler = createScheduler({ ...clock, now: () => clock.now });
+  const fired = [];
+
+  scheduler.schedule('turn', 5000, () => fired.push('first'));
+  scheduler.schedule('turn', 3000, () => fired.push('second'));
+  assert.equal(clock.timers.size, 1);
+
+  clock.advance(5000);
+  assert.deepEqual(fired, ['second']);
+  assert.equal(clock.timers.size, 0);
+});
+
+test('cancelAll drops every pending timer', () => {
+  const clock = fakeClock();
+  const scheduler = createScheduler({ ...clock, now: () => clock.now });
+  const fired = [];
+  scheduler.schedule('phase', 1000, () => fired.push('phase'));
+  scheduler.schedule('reconnect:p2', 60000, () => fired.push('reconnect'));
+  assert.equal(clock.timers.size, 2);
+
+  scheduler.cancel('phase');
+  assert.equal(clock.timers.size, 1);
+  scheduler.cancelAll();
+  clock.advance(60000);
+  assert.deepEqual(fired, []);
+  assert.equal(clock.timers.size, 0);
+});
+
+test('a suspended timer keeps the time it had left until it is resumed', () => {
+  const clock = fakeClock();
+  const scheduler = createScheduler({ ...clock, now: () => clock.now });
+  const fired = [];
+  scheduler.schedule('reconnect:p2', 60000, () => fired.push('reconnect'));
+
+  clock.advance(20000);
+  scheduler.suspend('reconnect:p2');
+  clock.advance(120000);
+  assert.deepEqual(fired, []);
+
+  scheduler.resume('reconnect:p2');
+  clock.advance(39999);
+  assert.deepEqual(fired, []);
+  clock.advance(1);
+  assert.deepEqual(fired, ['reconnect']);
+});
@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'http';
+import { once } from 'events';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const ADMIN_TOKEN = 'admin-token';
+
+const freePort = async () => {
+  const server = createServer().listen(0);
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  return port;
+};
+
+// A stand-in Supabase auth server that holds every sign-in check until the test lets it answer.
+const startAuthServer = async () => {
+  const auth = { held: [] };
+  auth.server = createServer((req, res) => {
+    auth.held.push(() => res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ id: 'user-1', aud: 'authenticated' })));
+    auth.onRequest?.();
+  }).listen(0);
+  await once(auth.server, 'listening');
+  auth.requested = () => new Promise(resolve => { auth.onRequest = resolve; });
+  auth.releaseAll = () => auth.held.splice(0).forEach(answer => answer());
+  return auth;
+};
+
+// Runs index.js as a child process, against the auth server if there is one, with any extra settings in `env`.
+const startServer = async (authPort, env = {}) => {
+  const dir = mkdtempSync(join(tmpdir(), 'cag-server-'));
+  const cricketersFile = join(dir, 'cricketers.json');
+  writeFileSync(cricketersFile, JSON.stringify([{ id: 1, Name: 'A', ROLE: 'Batter', base_price: 50, OVR: 80, 'Batting OVR': 80, 'Bowling OVR': 40, 'Fielding OVR': 60 }]));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: ROOT,
+    stdio: ['ignore', 'pipe', 'inherit'],
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LOG_LEVEL: 'info',
+      CRICKETER_SOURCE: 'file',
+      CRICKETERS_FILE: cricketersFile,
+      ...(authPort && { SUPABASE_URL: `http://127.0.0.1:${authPort}`, SUPABASE_ANON_KEY: 'anon' }),
+      SESSION_SECRET: 'secret',
+      ADMIN_TOKEN,
+      ...env,
+    },
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  while (!output.includes('Server is listening.')) await once(child.stdout, 'data');
+  const admin = async (path) => (await fetch(`http://127.0.0.1:${port}/admin${path}`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } })).json();
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { port, admin, request, stop: () => child.kill() };
+};
+
+const connect = async (port) => {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+  const messages = [];
+  ws.on('message', data => messages.push(JSON.parse(data)));
+  await once(ws, 'open');
+  const next = async (type) => {
+    for (;;) {
+      const found = messages.find(m => m.type === type);
+      if (found) return found;
+      await once(ws, 'message');
+    }
+  };
+  return { ws, messages, next, send: (type, payload) => ws.send(JSON.stringify({ type, payload })) };
+};
+
+// Polls until `check` passes, so the test doesn't depend on how fast the server is.
+const eventually = async (check) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await check();
+    } catch (error) {
+      if (attempt === 50) throw error;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+};
+
+// Closes a socket while the server is still checking its sign-in, then lets the check finish.
+const closeWhileSigningIn = async (auth, client) => {
+  await auth.requested();
+  client.ws.terminate();
+  await new Promise(resolve => setTimeout(resolve, 100));
+  auth.releaseAll();
+};
+
+test('a socket that closes partway through joining or creating a room leaves a disconnected seat', async () => {
+  const auth = await startAuthServer();
+  const server = await startServer(auth.server.address().port);
+  try {
+    const host = await connect(server.port);
+    host.send('CREATE_ROOM', { playerName: 'Host' });
+    const { roomCode } = (await host.next('SESSION_ISSUED')).payload;
+
+    const joiner = await connect(server.port);
+    joiner.send('JOIN_ROOM', { roomCode, playerName: 'Gone', authToken: 'jwt' });
+    await closeWhileSigningIn(auth, joiner);
+    await eventually(async () => {
+      const { players } = await server.admin(`/rooms/${roomCode}`);
+      assert.deepEqual(players.map(p => [p.name, p.isConnected]), [['Host', true], ['Gone', false]]);
+    });
+
+    const creator = await connect(server.port);
+    creator.send('CREATE_ROOM', { playerName: 'Gone', authToken: 'jwt' });
+    await closeWhileSigningIn(auth, creator);
+    await eventually(async () => {
+      const created = (await server.admin('/rooms')).rooms.find(r => r.roomCode !== roomCode);
+      assert.deepEqual([created.players, created.connectedPlayers], [1, 0]);
+    });
+    host.ws.close();
+  } finally {
+    server.stop();
+    auth.server.close();
+  }
+});
+
+test('the host uploads a cricketer list too big for a socket message over HTTP', async () => {
+  const server = await startServer();
+  try {
+    const host = await connect(server.port);
+    host.send('CREATE_ROOM', { playerName: 'Host' });
+    const { roomCode, sessionToken } = (await host.next('SESSION_ISSUED')).payload;
+    const guest = await connect(server.port);
+    guest.send('JOIN_ROOM', { roomCode, playerName: 'Guest' });
+    const guestToken = (await guest.next('SESSION_ISSUED')).payload.sessionToken;
+
+    const cricketers = Array.from({ length: 300 }, (_, i) => ({
+      id: `c${i}`, Name: `Cricketer ${i}`, ROLE: 'Batter', base_price: 100, image: `https://images.example.com/cricketers/${i}.png`,
+      OVR: 70, 'Batting OVR': 75, 'Bowling OVR': 40, 'Fielding OVR': 65,
+    }));
+    const path = `/rooms/${roomCode}/pool`;
+    assert.equal((await server.request('PUT', path, { body: { cricketers } })).status, 401);
+    assert.deepEqual(await server.request('PUT', path, { token: guestToken, body: { cricketers } }),
+      { status: 403, body: { error: 'Only the host can do that.', code: 'NOT_HOST' } });
+    assert.deepEqual(await server.request('PUT', path, { token: sessionToken, body: { cricketers } }), { status: 200, body: { customPoolSize: 300 } });
+    const tooBig = await server.request('PUT', path, { token: sessionToken, body: `{"cricketers":["${'x'.repeat(600 * 1024)}"]}` });
+    assert.deepEqual([tooBig.status, tooBig.body.code], [413, 'PAYLOAD_TOO_LARGE']);
+    host.ws.close();
+    guest.ws.close();
+  } finally {
+    server.stop();
+  }
+});
+
+test('the heartbeat only refreshes the session of the socket that holds the seat', async () => {
+  const server = await startServer(undefined, { HEARTBEAT_INTERVAL_SECONDS: '1' });
+  try {
+    const first = await connect(server.port);
+    first.send('CREATE_ROOM', { playerName: 'Host' });
+    const { roomCode, sessionToken } = (await first.next('SESSION_ISSUED')).payload;
+    const second = await connect(server.port);
+    second.send('JOIN_ROOM', { roomCode, playerName: 'Host', sessionToken });
+    await second.next('SESSION_ISSUED');
+
+    first.messages.length = 0;
+    second.messages.length = 0;
+    await new Promise(resolve => setTimeout(resolve, 2500));
+    assert.ok(second.messages.some(m => m.type === 'SESSION_ISSUED'));
+    assert.ok(!first.messages.some(m => m.type === 'SESSION_ISSUED'));
+    first.ws.close();
+    second.ws.close();
+  } finally {
+    server.stop();
+  }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_GAME_SETTINGS, validateGameSettings, getBidIncrement } from '../src/settings.js';
+
+test('missing settings fall back to the defaults', () => {
+  const { settings, errors } = validateGameSettings(undefined);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(settings, DEFAULT_GAME_SETTINGS);
+  assert.notEqual(settings.roleQuotas, DEFAULT_GAME_SETTINGS.roleQuotas);
+});
+
+test('partial updates are merged over the base settings', () => {
+  const base = validateGameSettings({ startingBudget: 5000 }).settings;
+  const { settings } = validateGameSettings({ maxSquadSize: 5 }, base);
+  assert.equal(settings.startingBudget, 5000);
+  assert.equal(settings.maxSquadSize, 5);
+});
+
+test('invalid and unknown settings are reported', () => {
+  const { settings, errors } = validateGameSettings({
+    maxPlayers: 0,
+    colour: 'blue',
+    roleQuotas: { Batsman: 1, Bowler: 1, 'All-Rounder': 1 },
+    bidIncrements: [{ below: 200, increment: 5 }, { below: 100, increment: 10 }],
+  });
+  assert.equal(settings, null);
+  assert.deepEqual(errors, [
+    'Unknown setting "colour".',
+    'maxPlayers must be a whole number between 1 and 8.',
+    'roleQuotas.Wicket-Keeper must be a whole number between 0 and 100.',
+    'The last bidIncrements step must have "below" set to null.',
+  ]);
+});
+
+test('auction modes and their rules are picked from fixed lists', () => {
+  assert.equal(validateGameSettings({ auctionMode: 'SEALED_BID', sealedBidPricing: 'SECOND_PRICE' }).settings.auctionMode, 'SEALED_BID');
+  const { errors } = validateGameSettings({ auctionMode: 'DUTCH', sealedBidTiebreak: 'LOUDEST', outcryCountdownSeconds: 1 });
+  assert.deepEqual(errors, [
+    'outcryCountdownSeconds must be a whole number between 2 and 60.',
+    'auctionMode must be one of: TURN_BASED, SEALED_BID, OPEN_OUTCRY.',
+    'sealedBidTiebreak must be one of: EARLIEST, BIDDING_ORDER, RANDOM.',
+  ]);
+});
+
+test('bid increments follow the ladder', () => {
+  assert.equal(getBidIncrement(95), 5);
+  assert.equal(getBidIncrement(100), 10);
+  assert.equal(getBidIncrement(499), 20);
+  assert.equal(getBidIncrement(5000), 25);
+  assert.equal(getBidIncrement(50, [{ below: null, increment: 7 }]), 7);
+});
+
+test('pool settings describe tiers, their order and a filter', () => {
+  const { settings } = validateGameSettings({
+    roleTiers: { Batsman: [5, 5, 7], Bowler: 1, 'All-Rounder': 3, 'Wicket-Keeper': 2 },
+    subPoolOrder: ['Wicket-Keepers 2', 'Batsmen 3'],
+    poolFilter: { teams: [' CSK '] },
+  });
+  assert.deepEqual(settings.poolFilter, { minOverall: null, teams: ['CSK'], seasons: [] });
+
+  const { errors } = validateGameSettings({
+    roleTiers: { Batsman: [5, 5], Bowler: 0, 'All-Rounder': 3, 'Wicket-Keeper': 1 },
+    subPoolOrder: ['Batsmen 1', 'Batsmen 1'],
+    poolFilter: { minOverall: 101, franchise: 'MI' },
+  });
+  assert.deepEqual(errors, [
+    'roleTiers.Batsman tier sizes must add up to roleQuotas.Batsman (17).',
+    'roleTiers.Bowler must be a whole number between 1 and 10, or a list of tier sizes.',
+    'subPoolOrder lists a sub-pool more than once.',
+    'poolFilter has an unknown field "franchise".',
+    'poolFilter.minOverall must be null or a whole number between 0 and 100.',
+  ]);
+  assert.match(validateGameSettings({ subPoolOrder: ['Keepers'] }).errors[0], /unknown sub-pool "Keepers"; the sub-pools are: Batsmen 1, Bowlers 1/);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createMemorySnapshotStore, createFileSnapshotStore, createSnapshotStore } from '../src/snapshots/index.js';
+
+const snapshot = (roomCode, gameStatus = 'LOBBY') => ({ gameState: { roomCode, gameStatus }, savedAt: 1 });
+
+const exerciseStore = async (store) => {
+  await store.save('AAAAAA', snapshot('AAAAAA'));
+  await store.save('BBBBBB', snapshot('BBBBBB'));
+  await store.save('AAAAAA', snapshot('AAAAAA', 'AUCTION'));
+  await store.remove('BBBBBB');
+  await store.remove('CCCCCC');
+  assert.deepEqual(await store.loadAll(), [snapshot('AAAAAA', 'AUCTION')]);
+};
+
+test('the memory store keeps the latest snapshot per room', async () => {
+  await exerciseStore(createMemorySnapshotStore());
+});
+
+test('the file store keeps the latest snapshot per room and skips unreadable files', async () => {
+  const directory = await mkdtemp(path.join(tmpdir(), 'cag-snapshots-'));
+  try {
+    const store = createFileSnapshotStore(directory);
+    await writeFile(path.join(directory, 'BROKEN.json'), '{');
+    await exerciseStore(store);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('the store is chosen from the environment', () => {
+  assert.equal(createSnapshotStore({}, null), null);
+  assert.equal(createSnapshotStore({ SNAPSHOT_STORE: 'memory' }, null).name, 'memory');
+  assert.throws(() => createSnapshotStore({ SNAPSHOT_STORE: 'supabase' }, null), /SUPABASE_URL/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { squadExclusionReason, slotsNeededForMinimums } from '../src/auction/squadRules.js';
+import { validateGameSettings } from '../src/settings.js';
+import { makeCricketer } from './helpers.js';
+
+const settingsWith = (squadRules, maxSquadSize = 5) => {
+  const { settings, errors } = validateGameSettings({ maxSquadSize, squadRules });
+  assert.deepEqual(errors, []);
+  return settings;
+};
+
+const batsman = (id, extra = {}) => ({ ...makeCricketer(id, 'Batsman', 80), ...extra });
+const keeper = (id) => makeCricketer(id, 'Wicket-Keeper', 80);
+
+test('a role at its maximum turns away more of that role', () => {
+  const settings = settingsWith({ roleLimits: { Batsman: { max: 2 } } });
+  assert.equal(squadExclusionReason([batsman(1)], batsman(2), settings), null);
+  assert.equal(squadExclusionReason([batsman(1), batsman(2)], batsman(3), settings), 'Squad already has the maximum of 2 batsmen.');
+  assert.equal(squadExclusionReason([batsman(1), batsman(2)], keeper(3), settings), null);
+});
+
+test('a squad cannot use up slots it needs for role minimums', () => {
+  const settings = settingsWith({ roleLimits: { 'Wicket-Keeper': { min: 1 }, Bowler: { min: 1 } } }, 3);
+  assert.equal(slotsNeededForMinimums([batsman(1)], settings.squadRules), 2);
+  assert.equal(squadExclusionReason([], batsman(1), settings), null);
+  assert.equal(squadExclusionReason([batsman(1)], batsman(2), settings), 'Remaining squad slots are needed for bowlers, wicket-keepers.');
+  assert.equal(squadExclusionReason([batsman(1)], keeper(2), settings), null);
+});
+
+test('attribute caps count flagged cricketers only', () => {
+  const settings = settingsWith({ attributeCaps: [{ attribute: 'overseas', max: 1 }] });
+  const squad = [batsman(1, { overseas: true })];
+  assert.equal(squadExclusionReason(squad, batsman(2, { overseas: true }), settings), 'Squad already has the maximum of 1 overseas players.');
+  assert.equal(squadExclusionReason(squad, batsman(2, { overseas: false }), settings), null);
+});
+
+test('squad rules are validated against the squad size', () => {
+  const { errors } = validateGameSettings({
+    maxSquadSize: 3,
+    squadRules: { roleLimits: { Batsman: { min: 2 }, Bowler: { min: 2, max: 1 } }, attributeCaps: [{ attribute: 'age', max: 2 }] },
+  });
+  assert.deepEqual(errors, [
+    'squadRules.roleLimits.Bowler.max must be null or a whole number between min and 30.',
+    'squadRules role minimums add up to 4, more than maxSquadSize.',
+    'squadRules.attributeCaps[0].attribute must be one of: overseas.',
+  ]);
+});
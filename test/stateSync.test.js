@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stateForPlayer } from '../src/auction/engine.js';
+import { compactState, diffState, applyPatch, createStateSync } from '../src/protocol/stateSync.js';
+import { createGame, startBidding } from './helpers.js';
+
+test('diffState produces a patch that applyPatch turns back into the new value', () => {
+  const prev = { a: 1, list: [1, 2, 3], nested: { 'x/y': true, gone: 1 } };
+  const next = { a: 2, list: [1, 5], nested: { 'x/y': false }, added: [] };
+  const ops = diffState(prev, next);
+  assert.deepEqual(applyPatch(prev, ops), next);
+  assert.deepEqual(diffState(next, structuredClone(next)), []);
+});
+
+test('compact state refers to cricketers by id and collects them into a catalogue', () => {
+  const game = startBidding(createGame());
+  const catalogue = new Map();
+  const state = compactState(stateForPlayer(game.state, 'host'), catalogue);
+
+  assert.equal(state.currentPlayerForAuction, game.state.currentPlayerForAuction.id);
+  assert.deepEqual(state.auctionPool, game.state.auctionPool.map(c => c.id));
+  assert.equal(catalogue.size, game.state.auctionPool.length);
+  assert.equal(state.auctionLog, undefined);
+});
+
+test('a bid is sent as a small numbered patch and the client can rebuild the state from it', () => {
+  const game = startBidding(createGame());
+  const sync = createStateSync();
+  const [catalogue, snapshot] = sync.update(stateForPlayer(game.state, 'p2'));
+  assert.equal(catalogue.type, 'CATALOGUE');
+  assert.equal(snapshot.type, 'STATE_SNAPSHOT');
+  assert.equal(snapshot.payload.seq, 1);
+
+  game.act(game.state.activePlayerId, 'PLACE_BID');
+  const messages = sync.update(stateForPlayer(game.state, 'p2'));
+  assert.deepEqual(messages.map(m => m.type), ['STATE_PATCH']);
+  const { baseSeq, seq, ops } = messages[0].payload;
+  assert.deepEqual([baseSeq, seq], [1, 2]);
+  assert.ok(JSON.stringify(ops).length < JSON.stringify(snapshot.payload.state).length / 10);
+  assert.deepEqual(applyPatch(snapshot.payload.state, ops), compactState(stateForPlayer(game.state, 'p2')));
+
+  assert.deepEqual(sync.update(stateForPlayer(game.state, 'p2')), []);
+});
+
+test('a resync sends the whole catalogue and a fresh snapshot', () => {
+  const game = startBidding(createGame());
+  const sync = createStateSync();
+  sync.update(stateForPlayer(game.state, 'p2'));
+  const messages = sync.resync(stateForPlayer(game.state, 'p2'));
+  assert.deepEqual(messages.map(m => m.type), ['CATALOGUE', 'STATE_SNAPSHOT']);
+  assert.equal(messages[0].payload.cricketers.length, game.state.auctionPool.length);
+  assert.equal(messages[1].payload.seq, 2);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { lifetimeStats, historyEntry } from '../src/stats/records.js';
+import { createMemoryStatsStore, createFileStatsStore, createStatsStore } from '../src/stats/index.js';
+import { createGame, startBidding, runToBidding } from './helpers.js';
+
+const TWO_LOTS = { roleQuotas: { Batsman: 2, Bowler: 0, 'All-Rounder': 0, 'Wicket-Keeper': 0 }, maxSquadSize: 1 };
+
+// Plays a two-lot auction where each team buys one cricketer, and returns its record.
+const playAuction = (now = 0) => {
+  const game = createGame({ settings: TWO_LOTS, players: [] });
+  game.now = now;
+  game.apply({ type: 'PLAYER_JOINED', playerId: 'p2', payload: { playerName: 'P2', accountId: 'acc-2' } });
+  startBidding(game);
+  game.act(game.state.activePlayerId, 'PLACE_BID');
+  game.act(game.state.activePlayerId, 'PASS_TURN');
+  game.fire('phase');
+  runToBidding(game);
+  game.act(game.state.activePlayerId, 'PLACE_BID', { amount: 300 });
+  assert.equal(game.state.gameStatus, 'GAME_OVER');
+  return game;
+};
+
+test('a completed auction hands over a record of every team and lot', () => {
+  const game = playAuction();
+  assert.equal(game.recorded.length, 1);
+  const [record] = game.recorded;
+
+  assert.equal(record.auctionId, game.state.auctionId);
+  assert.equal(record.completedAt, game.now);
+  assert.deepEqual(record.teams.map(t => t.rank), [1, 2]);
+  const p2 = record.teams.find(t => t.playerId === 'p2');
+  assert.equal(p2.accountId, 'acc-2');
+  assert.equal(p2.spent, 10000 - game.player('p2').budget);
+  assert.deepEqual(p2.squad.map(c => c.cricketerId), game.player('p2').squad.map(c => c.id));
+  assert.equal(p2.squad[0].price, p2.spent);
+  assert.deepEqual(record.lots.map(l => l.result), ['SOLD', 'SOLD']);
+  assert.deepEqual(record.lots.map(l => l.price).sort((a, b) => a - b), [p2.spent, 300]);
+
+  // Abandoned auctions aren't recorded.
+  const abandoned = startBidding(createGame({ settings: TWO_LOTS }));
+  abandoned.act('host', 'BACK_TO_LOBBY');
+  assert.deepEqual(abandoned.recorded, []);
+});
+
+test('lifetime stats add up each signed-in player\'s auctions', async () => {
+  const store = createMemoryStatsStore();
+  const first = playAuction(1000).recorded[0];
+  const second = { ...playAuction(2000).recorded[0], auctionId: 'second' };
+  assert.equal(await store.save(first), true);
+  assert.equal(await store.save(first), false);
+  await store.save(second);
+
+  const team = first.teams.find(t => t.accountId === 'acc-2');
+  const stats = lifetimeStats(await store.totals('acc-2'));
+  assert.equal(stats.gamesPlayed, 2);
+  assert.equal(stats.wins, first.teams[0].accountId === 'acc-2' ? 2 : 0);
+  assert.equal(stats.totalSpent, team.spent * 2);
+  assert.equal(stats.averageSpendPerOVR, Math.round((team.spent / team.totalOVR) * 10) / 10);
+  assert.deepEqual(stats.favouriteRoles, [{ role: 'Batsman', count: 2 }]);
+  assert.equal(stats.lastPlayedAt, second.completedAt);
+  assert.equal(await store.totals('host'), null);
+
+  const history = (await store.history('acc-2', 10)).map(record => historyEntry(record, 'acc-2'));
+  assert.deepEqual(history.map(h => h.auctionId), ['second', first.auctionId]);
+  assert.equal(history[0].teams, 2);
+  assert.deepEqual((await store.leaderboard(10)).map(t => t.accountId), ['acc-2']);
+});
+
+test('the leaderboard ranks by wins, then fewer games', async () => {
+  const team = (accountId, rank) => ({ accountId, name: accountId, rank, spent: 0, totalOVR: 0, squad: [] });
+  const store = createMemoryStatsStore([
+    { auctionId: 'a1', completedAt: 1, teams: [team('ann', 1), team('bob', 2)] },
+    { auctionId: 'a2', completedAt: 2, teams: [team('bob', 1), team('ann', 2), team('cat', 3)] },
+    { auctionId: 'a3', completedAt: 3, teams: [team('cat', 1)] },
+    { auctionId: 'a4', completedAt: 4, teams: [team('cat', 1)] },
+    { auctionId: 'a5', completedAt: 5, teams: [team('dan', 1)] },
+  ]);
+  assert.deepEqual((await store.leaderboard(10)).map(t => t.accountId), ['cat', 'dan', 'ann', 'bob']);
+  assert.deepEqual((await store.leaderboard(1)).map(t => t.accountId), ['cat']);
+});
+
+test('the file store rebuilds lifetime stats from its records after a restart', async () => {
+  const directory = await mkdtemp(path.join(tmpdir(), 'cag-stats-'));
+  try {
+    const record = playAuction().recorded[0];
+    await createFileStatsStore(directory).save(record);
+    const reopened = createFileStatsStore(directory);
+    assert.equal((await reopened.totals('acc-2')).gamesPlayed, 1);
+    assert.equal(await reopened.save(record), false);
+    assert.equal((await reopened.history('acc-2', 5)).length, 1);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('the results store is chosen from the environment', () => {
+  assert.equal(createStatsStore({}, null).name, 'memory');
+  assert.equal(createStatsStore({ STATS_STORE: 'none' }, null), null);
+  assert.throws(() => createStatsStore({ STATS_STORE: 'supabase' }, null), /SUPABASE_URL/);
+  assert.throws(() => createStatsStore({ STATS_STORE: 'disk' }, null), /Unknown STATS_STORE/);
+});